@@ -1,312 +1,160 @@
 // automation/daily-update.js
 // Headless script for daily RSS feed aggregation and Claude AI summary generation
 
-const fs = require('fs').promises;
-const fetch = require('node-fetch').default || require('node-fetch');
+// Before the lib/ requires, which read their settings from process.env when they load
 require('dotenv').config();
 
+const fetch = require('node-fetch').default || require('node-fetch');
+const { DEFAULT_TIMEOUT_MS } = require('../lib/feed-fetcher');
+const { collectArticles } = require('../lib/articles');
+const { rebuildSummaryFeeds } = require('../lib/summary-feeds');
+const { formatTimestamp } = require('../lib/format');
+const promptProfiles = require('../lib/prompt-profiles');
+const { readCache } = require('../lib/summary-cache');
+const { createProvider, getLLMConfig } = require('../lib/llm');
+const { generateSummary } = require('../lib/summary-generator');
+const { parseComparisonMode } = require('../lib/summary-comparison');
+const { generateWeeklyRollup } = require('../lib/weekly-rollup');
+const sectionReports = require('../lib/section-reports');
+const feedRegistry = require('../lib/feed-registry');
+const articleArchive = require('../lib/article-archive');
+const articleText = require('../lib/article-text');
+const feedHealth = require('../lib/feed-health');
+const usageLedger = require('../lib/usage-ledger');
+const delivery = require('../lib/delivery');
+
 // Configuration
-const CACHE_FILE = 'summary_cache.txt';
 const THROTTLE_MINUTES = 91;
 const THROTTLE_MILLISECONDS = THROTTLE_MINUTES * 60 * 1000;
-const apiKey = process.env.CLAUDE_API_KEY ? process.env.CLAUDE_API_KEY.trim() : null;
-const CLAUDE_MODEL = "claude-sonnet-4-5-20250929";
-const API_URL = "https://api.anthropic.com/v1/messages";
-const RSS_TO_JSON_PROXY_BASE = 'https://api.rss2json.com/v1/api.json?rss_url=';
+// LLM_PROVIDER selects anthropic (default), openai-compatible or mock; see lib/llm/index.js
+const llmConfig = getLLMConfig();
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+// Optional: route feed fetching through a running server's /api/feeds endpoint
+// (e.g. http://localhost:3000/api/feeds). When unset, the same parser runs in-process.
+const FEEDS_API_URL = process.env.FEEDS_API_URL ? process.env.FEEDS_API_URL.trim() : null;
+// API token for that server when it runs with AUTH_ENABLED=true (create one via POST /api/auth/tokens)
+const FEEDS_API_TOKEN = process.env.FEEDS_API_TOKEN ? process.env.FEEDS_API_TOKEN.trim() : null;
 
 // Skip throttling for scheduled/manual runs (GitHub Actions or CLI with flag)
 const SKIP_THROTTLE = process.env.SKIP_THROTTLE === 'true' || process.env.GITHUB_ACTIONS === 'true';
 
-// RSS Feed Sources
-const EDITORIAL_FEEDS = [
-    // --- CORE MARKETING ---
-    { url: 'https://www.marketingdive.com/feeds/news', source: 'Marketing Dive' },
-    { url: 'https://www.campaignlive.co.uk/rss/latest', source: 'Campaign Live' },
-
-    // --- BRANDING & CAMPAIGNS ---
-    { url: 'https://www.adweek.com/feed/', source: 'Adweek' },
-    { url: 'https://www.moreaboutadvertising.com/feed/', source: 'More About Advertising' },
-    { url: 'http://feeds.feedburner.com/Adpulp', source: 'AdPulp' },
-
-    // --- AD TECHNOLOGY ---
-    { url: 'https://www.adexchanger.com/feed/', source: 'AdExchanger' },
-    { url: 'https://www.adtechdaily.com/feed/', source: 'Ad Tech Daily' },
-    { url: 'https://www.videoweek.com/feed/', source: 'VideoWeek' },
-    { url: 'https://advertisemint.com/feed/', source: 'AdvertiseMint' },
-    { url: 'https://www.ipglab.com/feed/', source: 'IPG Media Lab' },
-    { url: 'https://www.silverpush.co/blog/feed/', source: 'SilverPush' },
-
-    // --- FINTECH / ENTERPRISE ---
-    { url: 'https://www.ciodive.com/feeds/news/', source: 'CIO Dive' },
-    { url: 'https://www.bankingdive.com/feeds/news/', source: 'Banking Dive' },
-
-    // --- TECH & CULTURE ---
-    { url: 'https://www.wired.com/feed/rss', source: 'Wired' },
-    { url: 'https://www.fastcompany.com/rss', source: 'Fast Company' },
-];
-
-const REDDIT_FEEDS = [
-    { url: 'https://www.reddit.com/r/marketing.rss', source: 'r/marketing' },
-    { url: 'https://www.reddit.com/r/advertising.rss', source: 'r/advertising' },
-    { url: 'https://www.reddit.com/r/tech.rss', source: 'r/tech' },
-    { url: 'https://www.reddit.com/r/Fintech.rss', source: 'r/fintech' },
-    { url: 'https://www.reddit.com/r/userexperience.rss', source: 'r/userexperience' },
-];
+// `--weekly-rollup` rolls the past 7 days of daily summaries up into one report instead of summarizing the feeds
+const WEEKLY_ROLLUP = process.argv.includes('--weekly-rollup');
 
-/**
- * Formats a timestamp into a readable date/time string in EST/EDT
- */
-function formatTimestamp(msTimestamp) {
-    if (!msTimestamp) return 'N/A';
-    return new Date(msTimestamp).toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        timeZone: 'America/New_York',
-        timeZoneName: 'short'
-    });
-}
+// After the daily summary, `--section-briefs` (or SECTION_BRIEFS=true) also writes one brief per editorial section and
+// `--community-pulse` (or COMMUNITY_PULSE=true) the Community Pulse report. With the pulse on, the community posts are
+// left out of the daily summary so it stays editorial.
+const SECTION_BRIEFS = process.argv.includes('--section-briefs') || process.env.SECTION_BRIEFS === 'true';
+const COMMUNITY_PULSE = process.argv.includes('--community-pulse') || process.env.COMMUNITY_PULSE === 'true';
 
 /**
- * Reads the cache file
+ * Reads a `--<name> <value>` / `--<name>=<value>` option, falling back to an environment variable
  */
-async function readCache() {
-    try {
-        const content = await fs.readFile(CACHE_FILE, 'utf8');
-        const lines = content.trim().split('\n');
-
-        if (lines.length < 2) {
-            console.warn('⚠️  Cache file is corrupted or incomplete.');
-            return null;
-        }
-
-        const timestamp = parseInt(lines[0], 10);
-        const summary = lines.slice(1).join('\n');
-
-        if (isNaN(timestamp)) {
-            console.error('❌ Cache file contains an invalid timestamp.');
-            return null;
-        }
-
-        return { timestamp, summary };
-    } catch (error) {
-        if (error.code !== 'ENOENT') {
-            console.error('❌ Error reading cache file:', error);
-        }
-        return null;
+function getOption(argv, name, envName) {
+    const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index !== -1) {
+        return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
     }
+    return process.env[envName] ? process.env[envName].trim() : undefined;
 }
 
 /**
- * Writes to the cache file
+ * Reads the prompt profile from `--profile <id>`, falling back to SUMMARY_PROFILE
+ * (and then to the default profile in data/prompt-profiles.json when neither is set)
  */
-async function writeCache(timestamp, summary) {
-    const content = `${timestamp}\n${summary}`;
-    try {
-        await fs.writeFile(CACHE_FILE, content, 'utf8');
-        console.log('✅ Cache updated');
-    } catch (error) {
-        console.error('❌ Error writing cache file:', error);
-    }
-}
-
-/**
- * Updates the feed.xml file with the latest Claude summary
- */
-async function updateFeedXML(timestamp, summary) {
-    const RFC822_DATE = new Date(timestamp).toUTCString();
-    const GUID = `adtech-summary-${new Date(timestamp).toISOString().split('T')[0]}`;
-    const escapedSummary = summary.replace(/]]>/g, ']]]]><![CDATA[>');
-
-    const xmlContent = `<?xml version="1.0" encoding="UTF-8" ?>
-<rss version="2.0"
-     xmlns:atom="http://www.w3.org/2005/Atom"
-     xmlns:content="http://purl.org/rss/1.0/modules/content/">
-  <channel>
-    <title>AdTech News - AI Strategy Summary</title>
-    <link>https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml</link>
-    <description>Claude AI-generated strategic analysis of AdTech, Marketing, and Enterprise Technology news</description>
-    <language>en-us</language>
-    <lastBuildDate>${RFC822_DATE}</lastBuildDate>
-    <atom:link href="https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml" rel="self" type="application/rss+xml" />
-
-    <item>
-      <title>AI Strategy Summary - AdTech &amp; Marketing News</title>
-      <link>https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml</link>
-      <guid isPermaLink="false">${GUID}</guid>
-      <pubDate>${RFC822_DATE}</pubDate>
-      <description><![CDATA[Strategic AI analysis of AdTech, Marketing, and Enterprise Technology news - Updated ${formatTimestamp(timestamp)}]]></description>
-      <content:encoded><![CDATA[
-${escapedSummary}
-
----
-
-**Last Updated**: ${formatTimestamp(timestamp)}
-
-**About This Feed**:
-This feed contains AI-generated strategic analysis powered by Claude (Anthropic).
-The summary is updated periodically based on aggregated news from Marketing Dive, Adweek, AdExchanger,
-VideoWeek, CIO Dive, Banking Dive, Wired, and other industry sources.
-
-**How it works**:
-1. The system aggregates news from 15+ industry RSS feeds
-2. Claude AI analyzes the content for strategic patterns and insights
-3. A structured summary is generated highlighting trends, takeaways, and risks
-4. This feed is updated daily via automated GitHub Actions
-
-**Throttling**: To conserve API resources, summaries are generated no more frequently than every ${THROTTLE_MINUTES} minutes.
-      ]]></content:encoded>
-    </item>
-  </channel>
-</rss>`;
-
-    try {
-        await fs.writeFile('feed.xml', xmlContent, 'utf8');
-        console.log('✅ feed.xml updated successfully');
-    } catch (error) {
-        console.error('❌ Error writing feed.xml:', error);
-    }
+function getRequestedProfile(argv) {
+    return getOption(argv, 'profile', 'SUMMARY_PROFILE');
 }
 
 /**
- * Fetches a single RSS feed via the rss2json proxy
+ * Loads a registry feed's items through the server's /api/feeds endpoint (when FEEDS_API_URL is set)
  */
-async function fetchRSSFeed(feedUrl, source) {
-    const proxyUrl = `${RSS_TO_JSON_PROXY_BASE}${encodeURIComponent(feedUrl)}`;
-
-    try {
-        const response = await fetch(proxyUrl);
-        if (!response.ok) {
-            console.warn(`⚠️  Failed to fetch ${source}: ${response.status}`);
-            return [];
-        }
-
-        const data = await response.json();
-        if (data.status !== 'ok' || !data.items) {
-            console.warn(`⚠️  Invalid response from ${source}`);
-            return [];
-        }
-
-        // Return items with source attribution
-        return data.items.slice(0, 10).map(item => ({
-            title: item.title,
-            source: source,
-            description: item.description || item.content || '',
-            link: item.link,
-            pubDate: item.pubDate
-        }));
-    } catch (error) {
-        console.warn(`⚠️  Error fetching ${source}:`, error.message);
-        return [];
+async function loadFeedItemsFromServer(feed) {
+    const response = await fetch(`${FEEDS_API_URL}?id=${encodeURIComponent(feed.id)}&limit=${feed.limit}`, {
+        headers: FEEDS_API_TOKEN ? { Authorization: `Bearer ${FEEDS_API_TOKEN}` } : {}
+    });
+    const data = await response.json();
+    if (!response.ok || data.status !== 'ok') {
+        throw new Error(data.error || `HTTP ${response.status}`);
     }
+    return data.items;
 }
 
 /**
- * Fetches all RSS feeds and aggregates them
+ * Fetches all enabled registry feeds and aggregates them
  */
 async function fetchAllFeeds() {
     console.log('📡 Fetching RSS feeds...');
 
-    const allPromises = [
-        ...EDITORIAL_FEEDS.map(feed => fetchRSSFeed(feed.url, feed.source)),
-        ...REDDIT_FEEDS.map(feed => fetchRSSFeed(feed.url, feed.source))
-    ];
-
-    const results = await Promise.all(allPromises);
-    const allItems = results.flat();
+    const { articles, feedCount } = await collectArticles({
+        timeoutMs: FEED_TIMEOUT_MS,
+        fullText: articleText.FULL_TEXT_ENABLED,
+        ...(FEEDS_API_URL ? { loadItems: loadFeedItemsFromServer } : {})
+    });
 
-    console.log(`✅ Fetched ${allItems.length} news items from ${EDITORIAL_FEEDS.length + REDDIT_FEEDS.length} sources`);
-    return allItems;
+    console.log(`✅ Fetched ${articles.length} news items from ${feedCount} sources`);
+    await Promise.all([articleArchive.flush(), feedHealth.flush()]);
+    return articles;
 }
 
 /**
- * Formats news items into text content for Claude to analyze
+ * Pushes a new summary or rollup to the configured email and webhook channels
  */
-function formatNewsForClaude(items) {
-    let content = '# News Articles for Analysis\n\n';
-
-    items.forEach((item, index) => {
-        content += `## Article ${index + 1}: ${item.title}\n`;
-        content += `**Source:** ${item.source}\n`;
-        content += `**Published:** ${item.pubDate || 'Unknown'}\n`;
-        content += `**Link:** ${item.link}\n`;
-        content += `**Description:**\n${item.description}\n`;
-        content += `\n---\n\n`;
-    });
-
-    return content;
+async function deliver(record) {
+    const deliveries = await delivery.deliverSummary(record);
+    if (deliveries.length) {
+        const failed = deliveries.filter(entry => entry.status === 'failed').length;
+        console.log(`📬 Delivered to ${deliveries.length - failed} of ${deliveries.length} channel(s)`);
+    }
 }
 
 /**
- * Calls Claude API to generate summary
+ * Generates and publishes the weekly rollup (skipped when one was made in the last 6 days,
+ * when there is nothing to roll up or when a budget is spent)
  */
-async function generateClaudeSummary(newsContent) {
-    if (!apiKey) {
-        throw new Error('CLAUDE_API_KEY environment variable is not set');
-    }
-
-    const systemPrompt = `
-For consideration by the Chief Marketing Officer in Advertising, AdTech, Marketing, with a mild bit of Enterprise Technology.
-Analyze the following news articles from various industry feeds through the lens of mortgage and real-estate CMO.
-
-Your task is to:
-1. **SCAN** all the provided news articles, extracting key themes and patterns
-2. **SYNTHESIZE** the information into strategic insights
-3. **GENERATE** a strategic summary in Markdown format without preamble.
-
-Your output MUST be structured using Markdown headings and lists, focusing on actionable insights, without preamble. Go directly into the following structure:
-
-## 📰 Core Trends & Market Focus
-* **[Trend 1/Topic]**: Briefly describe the key theme (e.g., "AI Regulation").
-* **[Trend 2/Topic]**: Briefly describe the key theme (e.g., "Retail Media Expansion").
-* ... (List 3-5 major recurring themes)
-
-## 💡 Strategic Takeaways for AdTech Leadership
-* **For Branding & Campaigns**: What should leadership be doing right now based on the news?
-* **For Ad Technology**: What specific technology area requires immediate investment or planning?
-* **For Enterprise Tech/FinTech**: What is the key market shift that requires a business response?
-
-## 📉 Potential Risks & Blindspots
-* [Risk 1]: A critical risk emerging from the news (e.g., privacy changes, economic downturn, competitor move).
-`;
-
+async function runWeeklyRollup(profile) {
     try {
-        console.log('🤖 Calling Claude API for summary generation...');
-
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01',
-                'content-type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: CLAUDE_MODEL,
-                max_tokens: 4096,
-                system: systemPrompt,
-                messages: [
-                    { "role": "user", "content": newsContent }
-                ]
-            })
+        await usageLedger.assertWithinBudget();
+        const { timestamp, record } = await generateWeeklyRollup({
+            provider: createProvider(llmConfig),
+            profile,
+            throttleMinutes: THROTTLE_MINUTES
         });
+        await deliver(record);
+        console.log(`\n✅ Weekly rollup completed successfully!`);
+        console.log(`📅 Generated at: ${formatTimestamp(timestamp)}`);
+    } catch (error) {
+        if (error.statusCode !== 409 && error.statusCode !== 429) throw error;
+        console.log(`ℹ️  ${error.message}`);
+        console.log('\n✅ Weekly rollup skipped');
+    }
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`❌ Claude API HTTP Error ${response.status}:`, errorText);
-            throw new Error(`Anthropic API request failed with status ${response.status}`);
+/**
+ * Generates the section briefs and/or the Community Pulse report from the articles already fetched. Failures are
+ * logged but do not fail the run: the daily summary is already published.
+ */
+async function runSectionReports(profile, articles, sections) {
+    const provider = createProvider(llmConfig);
+
+    if (SECTION_BRIEFS) {
+        try {
+            const { briefs, skipped } = await sectionReports.generateSectionBriefs({ provider, profile, articles, sections });
+            skipped.forEach(entry => console.log(`ℹ️  No brief for ${entry.section}: ${entry.reason}`));
+            console.log(`📝 ${briefs.length} section brief(s) archived`);
+        } catch (error) {
+            console.error('❌ Section briefs failed:', error.message);
         }
+    }
 
-        const data = await response.json();
-        const summary = data.content?.[0]?.text || "Error: Could not extract summary text from Claude response.";
-
-        console.log('✅ Claude summary generated successfully');
-        return summary;
-    } catch (error) {
-        console.error('❌ Claude API Error:', error.message);
-        throw error;
+    if (COMMUNITY_PULSE) {
+        try {
+            await usageLedger.assertWithinBudget();
+            await sectionReports.generateCommunityPulse({ provider, profile, articles, sections });
+        } catch (error) {
+            console.error('❌ Community Pulse failed:', error.message);
+        }
     }
 }
 
@@ -321,9 +169,19 @@ async function main() {
     }
 
     try {
+        const profile = await promptProfiles.resolveProfile(getRequestedProfile(process.argv.slice(2)));
+        console.log(`🎭 Prompt profile: ${profile.name} (${profile.id})`);
+        // "What changed" comparison with the previous summary or the past 7 days: `--compare <mode>` or SUMMARY_COMPARE
+        const compare = parseComparisonMode(getOption(process.argv.slice(2), 'compare', 'SUMMARY_COMPARE'));
+
+        if (WEEKLY_ROLLUP) {
+            await runWeeklyRollup(profile);
+            return;
+        }
+
         // Check cache first (but only enforce throttle if not skipping)
         const currentTime = Date.now();
-        const cachedData = await readCache();
+        const cachedData = await readCache(profile.id);
 
         if (cachedData && !SKIP_THROTTLE) {
             const timeElapsed = currentTime - cachedData.timestamp;
@@ -332,16 +190,25 @@ async function main() {
                 const timeRemaining = Math.ceil((THROTTLE_MILLISECONDS - timeElapsed) / (60 * 1000));
                 console.log(`⏳ Summary was generated recently at ${formatTimestamp(cachedData.timestamp)}`);
                 console.log(`⏳ Next generation available in ${timeRemaining} minutes`);
-                console.log(`ℹ️  Using cached summary to update feed.xml with NEW timestamp`);
+                console.log(`ℹ️  Using cached summary; rebuilding the summary feeds from the archive`);
 
-                // Update feed.xml with cached summary but NEW timestamp
-                const newTimestamp = Date.now();
-                await updateFeedXML(newTimestamp, cachedData.summary);
-                console.log('\n✅ Daily update completed (using cached summary with updated timestamp)');
+                await rebuildSummaryFeeds({ throttleMinutes: THROTTLE_MINUTES });
+                console.log('\n✅ Daily update completed (using cached summary)');
                 return;
             }
         }
 
+        // Budgets apply to scheduled runs too: keep publishing the archive, but don't call the LLM
+        try {
+            await usageLedger.assertWithinBudget();
+        } catch (error) {
+            console.warn(`⚠️  ${error.message}`);
+            console.log(`ℹ️  Skipping generation; rebuilding the summary feeds from the archive`);
+            await rebuildSummaryFeeds({ throttleMinutes: THROTTLE_MINUTES });
+            console.log('\n✅ Daily update completed (budget reached, no new summary)');
+            return;
+        }
+
         // Fetch all RSS feeds
         const newsItems = await fetchAllFeeds();
 
@@ -350,16 +217,26 @@ async function main() {
             process.exit(1);
         }
 
-        // Format news for Claude
-        const formattedNews = formatNewsForClaude(newsItems);
+        const { sections } = await feedRegistry.loadRegistry();
+        const communityIds = new Set(sections.filter(sectionReports.isCommunitySection).map(section => section.id));
+        const editorialItems = COMMUNITY_PULSE ? newsItems.filter(item => !communityIds.has(item.section)) : newsItems;
+
+        // Generate the summary, then cache, archive and publish it
+        const { timestamp, record } = await generateSummary({
+            provider: createProvider(llmConfig),
+            profile,
+            articles: editorialItems.length ? editorialItems : newsItems,
+            throttleMinutes: THROTTLE_MINUTES,
+            trigger: 'daily-script',
+            compare
+        });
 
-        // Generate Claude summary
-        const summary = await generateClaudeSummary(formattedNews);
+        // Push the digest to the configured email and webhook channels
+        await deliver(record);
 
-        // Save to cache and update feed
-        const timestamp = Date.now();
-        await writeCache(timestamp, summary);
-        await updateFeedXML(timestamp, summary);
+        if (SECTION_BRIEFS || COMMUNITY_PULSE) {
+            await runSectionReports(profile, newsItems, sections);
+        }
 
         console.log(`\n✅ Daily update completed successfully!`);
         console.log(`📅 Generated at: ${formatTimestamp(timestamp)}`);
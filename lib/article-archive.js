@@ -0,0 +1,294 @@
+// lib/article-archive.js
+// On-disk archive of every fetched feed item (deduplicated by normalized link), with a retention
+// window and full-text search over title and description
+
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+const { htmlToText } = require('./format');
+const { normalizeLink } = require('./story-clusters');
+const { HttpError } = require('./errors');
+
+const ARCHIVE_FILE = process.env.ARTICLE_ARCHIVE_FILE || dataPath('article-archive.json');
+const RETENTION_DAYS = parseInt(process.env.ARTICLE_RETENTION_DAYS, 10) || 90;
+const FLUSH_DELAY_MS = 5000; // Batch the writes from a burst of feed fetches into one
+const MAX_DESCRIPTION_CHARS = 2000;
+const SNIPPET_CHARS = 240;
+const MAX_PAGE_SIZE = 100;
+
+let store = null;     // Map of id → article, loaded lazily
+let loading = null;
+let dirty = false;
+let flushTimer = null;
+let writing = Promise.resolve();
+
+/**
+ * Stable archive id for an article link.
+ * @param {string} link
+ * @returns {string}
+ */
+function articleId(link) {
+    return crypto.createHash('sha1').update(normalizeLink(link)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Date an article is filed under: its publish date, or when it was first seen.
+ * @param {object} article
+ * @returns {number}
+ */
+function articleTime(article) {
+    const published = article.pubDate ? new Date(article.pubDate).getTime() : NaN;
+    return Number.isNaN(published) ? article.firstSeen : published;
+}
+
+/**
+ * Drops articles older than the retention window.
+ * @returns {number} Number of articles removed
+ */
+function prune() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    store.forEach((article, id) => {
+        if (articleTime(article) < cutoff) {
+            store.delete(id);
+            removed++;
+        }
+    });
+    if (removed) dirty = true;
+    return removed;
+}
+
+/**
+ * Loads the archive from disk (once). A failed read is retried by the next call.
+ * @returns {Promise<Map<string, object>>}
+ */
+function load() {
+    if (!loading) {
+        loading = readJSON(ARCHIVE_FILE, { articles: [] }).then(data => {
+            store = new Map(data.articles.map(article => [article.id, article]));
+            prune();
+            return store;
+        }).catch(error => {
+            loading = null;
+            throw error;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Writes the archive to disk if it changed since the last write.
+ * @returns {Promise<void>}
+ */
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    writing = writing.catch(() => {}).then(async () => {
+        if (!store || !dirty) return;
+        dirty = false;
+        prune();
+        await writeJSON(ARCHIVE_FILE, { retentionDays: RETENTION_DAYS, articles: [...store.values()] });
+    });
+    return writing;
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flush().catch(error => console.error('❌ Failed to write the article archive:', error.message));
+    }, FLUSH_DELAY_MS);
+    flushTimer.unref(); // Never keep a finished script alive; scripts call flush() themselves
+}
+
+/**
+ * Adds a feed's items to the archive (or refreshes ones already stored). Never throws: archiving
+ * problems are logged so they cannot break feed loading.
+ * @param {{id: string, name: string, section?: string}} feed Registry feed
+ * @param {object[]} items Normalized items from lib/feed-fetcher
+ * @returns {Promise<number>} Number of newly archived articles
+ */
+async function recordItems(feed, items) {
+    try {
+        await load();
+        const now = Date.now();
+        const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        let added = 0;
+
+        items.forEach(item => {
+            if (!item.link || !/^https?:\/\//i.test(item.link)) return;
+            const id = articleId(item.link);
+            const existing = store.get(id);
+            if (existing) {
+                existing.lastSeen = now;
+                dirty = true;
+                return;
+            }
+
+            const article = {
+                id,
+                link: item.link,
+                title: htmlToText(item.title) || 'No Title',
+                description: htmlToText(item.description || item.content).slice(0, MAX_DESCRIPTION_CHARS),
+                source: feed.name,
+                feedId: feed.id,
+                section: feed.section || null,
+                pubDate: item.pubDate || null,
+                author: item.author || '',
+                categories: item.categories || [],
+                firstSeen: now,
+                lastSeen: now
+            };
+            if (articleTime(article) < cutoff) return;
+
+            store.set(id, article);
+            dirty = true;
+            added++;
+        });
+
+        if (dirty) scheduleFlush();
+        return added;
+    } catch (error) {
+        console.warn(`⚠️  Could not archive items from ${feed.name}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Parses a date filter (ISO date or date-time).
+ * @param {string} value
+ * @param {string} name
+ * @returns {number|null}
+ */
+function parseDateFilter(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new HttpError(400, `"${name}" must be an ISO date (e.g. 2025-01-31).`);
+    return time;
+}
+
+/**
+ * Validates search query parameters.
+ * @param {object} query Request query string
+ * @returns {{q: string, source?: string, section?: string, from: number|null, to: number|null, sort: string, limit: number, offset: number}}
+ */
+function parseSearchQuery(query) {
+    const sort = query.sort || 'relevance';
+    if (!['relevance', 'date'].includes(sort)) {
+        throw new HttpError(400, '"sort" must be "relevance" or "date".');
+    }
+
+    const to = parseDateFilter(query.to, 'to');
+    return {
+        q: String(query.q || '').trim(),
+        source: query.source ? String(query.source) : undefined,
+        section: query.section ? String(query.section) : undefined,
+        from: parseDateFilter(query.from, 'from'),
+        // A bare date means "through the end of that day"
+        to: to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? to + 24 * 60 * 60 * 1000 - 1 : to,
+        sort,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
+}
+
+/**
+ * Splits a query into lowercase terms; "quoted phrases" stay together.
+ * @param {string} q
+ * @returns {string[]}
+ */
+function parseTerms(q) {
+    const terms = [];
+    q.toLowerCase().replace(/"([^"]+)"|(\S+)/g, (m, phrase, word) => {
+        terms.push((phrase || word).trim());
+        return '';
+    });
+    return terms.filter(Boolean);
+}
+
+/**
+ * Builds a short excerpt of the description around the first matching term.
+ * @param {string} description
+ * @param {string[]} terms
+ * @returns {string}
+ */
+function buildSnippet(description, terms) {
+    if (description.length <= SNIPPET_CHARS) return description;
+    const lower = description.toLowerCase();
+    const hit = terms.map(term => lower.indexOf(term)).filter(index => index !== -1).sort((a, b) => a - b)[0] || 0;
+    const start = Math.max(0, hit - SNIPPET_CHARS / 3);
+    const excerpt = description.slice(start, start + SNIPPET_CHARS).trim();
+    return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_CHARS < description.length ? '…' : ''}`;
+}
+
+/**
+ * Full-text search over archived titles and descriptions. Every term must match; title matches rank higher.
+ * @param {object} query Output of parseSearchQuery
+ * @returns {Promise<{total: number, offset: number, limit: number, results: object[]}>}
+ */
+async function search({ q = '', source, section, from = null, to = null, sort = 'relevance', limit = 20, offset = 0 }) {
+    await load();
+    const terms = parseTerms(q);
+    const sourceFilter = source ? source.toLowerCase() : null;
+
+    const matches = [];
+    store.forEach(article => {
+        if (section && article.section !== section) return;
+        if (sourceFilter && article.feedId !== source && article.source.toLowerCase() !== sourceFilter) return;
+        const time = articleTime(article);
+        if (from !== null && time < from) return;
+        if (to !== null && time > to) return;
+
+        const title = article.title.toLowerCase();
+        const description = article.description.toLowerCase();
+        let score = 0;
+        for (const term of terms) {
+            const inTitle = title.includes(term);
+            if (!inTitle && !description.includes(term)) return;
+            score += inTitle ? 3 : 1;
+        }
+        matches.push({ article, score, time });
+    });
+
+    matches.sort((a, b) => (sort === 'relevance' ? b.score - a.score : 0) || b.time - a.time);
+
+    return {
+        total: matches.length,
+        offset,
+        limit,
+        results: matches.slice(offset, offset + limit).map(({ article }) => ({
+            id: article.id,
+            title: article.title,
+            link: article.link,
+            source: article.source,
+            feedId: article.feedId,
+            section: article.section,
+            pubDate: article.pubDate,
+            firstSeen: article.firstSeen,
+            snippet: buildSnippet(article.description, terms)
+        }))
+    };
+}
+
+/**
+ * Archived articles filed between two times (see articleTime), for analytics over the archive.
+ * @param {{from?: number, to?: number}} [range]
+ * @returns {Promise<Array<object & {time: number}>>} Archived articles with their filing time
+ */
+async function listArticles({ from = 0, to = Infinity } = {}) {
+    await load();
+    const articles = [];
+    store.forEach(article => {
+        const time = articleTime(article);
+        if (time >= from && time <= to) articles.push({ ...article, time });
+    });
+    return articles;
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    articleId,
+    recordItems,
+    flush,
+    listArticles,
+    parseSearchQuery,
+    search
+};
@@ -0,0 +1,393 @@
+// lib/article-text.js
+// Optional full-text enrichment for summaries (ARTICLE_FULL_TEXT=true): fetches each article page, extracts its
+// main readable text, caches it by URL and attaches a bounded excerpt that formatNewsForClaude sends to the model.
+// Pages are only fetched when robots.txt allows it, never from excluded domains, and never beyond a size cap.
+
+const fetch = require('node-fetch').default || require('node-fetch');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+const { htmlToText } = require('./format');
+const { USER_AGENT } = require('./feed-fetcher');
+
+const FULL_TEXT_ENABLED = process.env.ARTICLE_FULL_TEXT === 'true';
+const CACHE_FILE = process.env.FULL_TEXT_CACHE_FILE || dataPath('article-text-cache.json');
+const MAX_ARTICLES = parseInt(process.env.FULL_TEXT_MAX_ARTICLES, 10) || 30;
+const EXCERPT_CHARS = parseInt(process.env.FULL_TEXT_EXCERPT_CHARS, 10) || 1500;
+const MAX_PAGE_BYTES = parseInt(process.env.FULL_TEXT_MAX_PAGE_BYTES, 10) || 2 * 1024 * 1024;
+const TIMEOUT_MS = parseInt(process.env.FULL_TEXT_TIMEOUT_MS, 10) || 8000;
+// Domains (and their subdomains) whose pages are never fetched
+const EXCLUDED_DOMAINS = (process.env.FULL_TEXT_EXCLUDED_DOMAINS ?? 'reddit.com')
+    .split(',').map(domain => domain.trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+
+const CONCURRENCY = 4;
+const MAX_STORED_CHARS = 10000;
+const MAX_CACHE_ENTRIES = 3000;
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000; // Retry pages that failed (or were disallowed) a day later
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_AGENT = USER_AGENT.split('/')[0].toLowerCase(); // Product token matched against robots.txt user-agent lines
+const MIN_BLOCK_CHARS = 40;
+const MAX_REDIRECTS = 5;
+
+// Elements that never hold article text
+const STRIPPED_ELEMENTS = ['script', 'style', 'noscript', 'svg', 'iframe', 'template', 'form', 'button', 'select', 'nav', 'header', 'footer', 'aside', 'figure'];
+// Paragraphs that are boilerplate rather than article text (cookie notices, not articles that mention cookies)
+const BOILERPLATE_PATTERN = /\b(subscribe|sign up|newsletter|(we|this site) uses? cookies|accept (all )?cookies|cookie (policy|settings|preferences)|all rights reserved|advertisement|related articles?|follow us|share this)\b/i;
+
+let cache = null;   // Map of URL → { fetchedAt, text } or { fetchedAt, error }, loaded lazily
+let loading = null;
+let dirty = false;
+const robotsCache = new Map(); // origin → { fetchedAt, groups } (groups is a promise while the fetch is in flight)
+
+/**
+ * Loads the text cache from disk (once). A failed read is retried by the next call.
+ * @returns {Promise<Map<string, object>>}
+ */
+function load() {
+    if (!loading) {
+        loading = readJSON(CACHE_FILE, { pages: {} }).then(data => {
+            cache = new Map(Object.entries(data.pages));
+            return cache;
+        }).catch(error => {
+            loading = null;
+            throw error;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Writes the text cache to disk if it changed, keeping the most recently fetched MAX_CACHE_ENTRIES pages.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    if (!cache || !dirty) return;
+    dirty = false;
+    const pages = [...cache.entries()]
+        .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+        .slice(0, MAX_CACHE_ENTRIES);
+    cache = new Map(pages);
+    await writeJSON(CACHE_FILE, { pages: Object.fromEntries(pages) });
+}
+
+/**
+ * Whether a URL belongs to an excluded domain (FULL_TEXT_EXCLUDED_DOMAINS).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExcludedDomain(url) {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return EXCLUDED_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// --- ROBOTS.TXT ---
+
+/**
+ * Parses robots.txt into groups of { agents, rules: [{ allow, pattern }] }.
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseRobots(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) return;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        lastWasAgent = false;
+        if (group && (field === 'allow' || field === 'disallow') && value) {
+            group.rules.push({ allow: field === 'allow', pattern: value });
+        }
+    });
+    return groups;
+}
+
+/**
+ * Checks a path against robots.txt groups for our user agent: the group naming our product token applies,
+ * otherwise the "*" group. The longest matching rule wins, and Allow wins ties.
+ * @param {object[]} groups From parseRobots
+ * @param {string} path URL path and query
+ * @returns {boolean}
+ */
+function isAllowedByRobots(groups, path) {
+    const specific = groups.filter(group => group.agents.includes(ROBOTS_AGENT));
+    const applicable = specific.length ? specific : groups.filter(group => group.agents.includes('*'));
+    const rules = applicable.flatMap(group => group.rules);
+
+    let best = null;
+    rules.forEach(rule => {
+        // "*" matches any characters and a trailing "$" anchors the end of the path
+        const anchored = rule.pattern.endsWith('$');
+        const source = (anchored ? rule.pattern.slice(0, -1) : rule.pattern)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*');
+        if (!new RegExp(`^${source}${anchored ? '$' : ''}`).test(path)) return;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    });
+    return !best || best.allow;
+}
+
+/**
+ * Fetches (and caches for a day) the robots.txt groups of an origin. A missing robots.txt (4xx) allows
+ * everything; an unreachable one (5xx, network error) disallows everything.
+ * @param {string} origin
+ * @returns {Promise<object[]>}
+ */
+function getRobots(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.groups;
+
+    // Cache the pending fetch so concurrent lookups for one origin share it
+    const groups = fetchRobots(origin);
+    robotsCache.set(origin, { fetchedAt: Date.now(), groups });
+    return groups;
+}
+
+/**
+ * @param {string} origin
+ * @returns {Promise<object[]>} Never rejects
+ */
+async function fetchRobots(origin) {
+    try {
+        const response = await fetchWithTimeout(`${origin}/robots.txt`, { size: MAX_PAGE_BYTES });
+        if (response.ok) return parseRobots(await response.text());
+        if (response.status >= 400 && response.status < 500) return [];
+        throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        return [{ agents: ['*'], rules: [{ allow: false, pattern: '/' }] }];
+    }
+}
+
+// --- EXTRACTION ---
+
+/**
+ * Returns the inner HTML of the largest element with the given tag, or null.
+ * @param {string} html
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function largestElement(html, tag) {
+    const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+    let largest = null;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (!largest || match[1].length > largest.length) largest = match[1];
+    }
+    return largest;
+}
+
+/**
+ * Extracts the main readable text of an article page: the paragraphs and subheadings of its <article>
+ * (or <main>, or <body>), without navigation, scripts, boilerplate and link lists. Pure, so it can be run
+ * against saved HTML files.
+ * @param {string} html
+ * @returns {string} Paragraphs separated by blank lines ('' when nothing readable was found)
+ */
+function extractReadableText(html) {
+    let cleaned = String(html || '').replace(/<!--[\s\S]*?-->/g, ' ');
+    STRIPPED_ELEMENTS.forEach(tag => {
+        cleaned = cleaned.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    });
+
+    const scope = largestElement(cleaned, 'article') || largestElement(cleaned, 'main') || largestElement(cleaned, 'body') || cleaned;
+
+    const blocks = [];
+    const seen = new Set();
+    const pattern = /<(p|h2|h3|blockquote|li)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+    let match;
+    while ((match = pattern.exec(scope)) !== null) {
+        const text = htmlToText(match[2]);
+        if (seen.has(text)) continue;
+        const isHeading = match[1].toLowerCase().startsWith('h');
+        if (!isHeading && text.length < MIN_BLOCK_CHARS) continue;
+        if (BOILERPLATE_PATTERN.test(text) && text.length < 200) continue;
+
+        // Skip link lists ("Read more", tag clouds): blocks that are mostly link text
+        const linkText = (match[2].match(/<a\b[^>]*>([\s\S]*?)<\/a>/gi) || []).map(htmlToText).join('');
+        if (linkText.length > text.length * 0.5) continue;
+
+        seen.add(text);
+        blocks.push(text);
+    }
+
+    // Headings only count when followed by text
+    while (blocks.length && blocks[blocks.length - 1].length < MIN_BLOCK_CHARS) blocks.pop();
+    return blocks.join('\n\n').slice(0, MAX_STORED_CHARS);
+}
+
+/**
+ * Shortens text to at most `maxChars`, at a sentence or word boundary.
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+function excerpt(text, maxChars = EXCERPT_CHARS) {
+    if (text.length <= maxChars) return text;
+    const cut = text.slice(0, maxChars);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+    if (sentenceEnd > maxChars * 0.6) return cut.slice(0, sentenceEnd + 1);
+    const wordEnd = cut.lastIndexOf(' ');
+    return `${cut.slice(0, wordEnd > 0 ? wordEnd : maxChars).trim()}...`;
+}
+
+// --- FETCHING ---
+
+/**
+ * node-fetch with our user agent and a timeout. Redirects are followed unless `options.redirect` says otherwise.
+ * @param {string} url
+ * @param {object} [options]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { redirect: 'follow', ...options, headers: { 'user-agent': USER_AGENT, ...options.headers }, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Timed out after ${TIMEOUT_MS}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Throws unless a page may be fetched: an http(s) URL outside the excluded domains that robots.txt allows.
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function assertFetchable(url) {
+    const { protocol, origin, pathname, search } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`Unsupported protocol ${protocol}`);
+    if (isExcludedDomain(url)) throw new Error('Excluded domain');
+    if (!isAllowedByRobots(await getRobots(origin), `${pathname}${search}`)) {
+        throw new Error('Disallowed by robots.txt');
+    }
+}
+
+/**
+ * Fetches an article page and extracts its text. Redirects are followed one hop at a time, so every page on
+ * the way is checked against the excluded domains and its own site's robots.txt. Throws when a page is
+ * disallowed, too large or not HTML.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function fetchArticleText(url) {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        await assertFetchable(url);
+        response = await fetchWithTimeout(url, { size: MAX_PAGE_BYTES, redirect: 'manual', headers: { accept: 'text/html,application/xhtml+xml;q=0.9' } });
+        const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+        if (!location) break;
+        if (redirects >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        url = new URL(location, url).href;
+    }
+
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html/i.test(contentType)) throw new Error(`Not an HTML page (${contentType})`);
+    return extractReadableText(await response.text());
+}
+
+/**
+ * Article text for a URL, from the cache or freshly fetched. Failures are cached too (for a day).
+ * @param {string} url
+ * @returns {Promise<{text: string|null, cached: boolean, error?: string}>}
+ */
+async function getArticleText(url) {
+    await load();
+    const cached = cache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < (cached.error ? FAILURE_TTL_MS : CACHE_TTL_MS)) {
+        return { text: cached.text || null, cached: true, error: cached.error };
+    }
+
+    let entry;
+    try {
+        entry = { fetchedAt: Date.now(), text: await fetchArticleText(url) };
+    } catch (error) {
+        entry = { fetchedAt: Date.now(), error: error.type === 'max-size' ? `Larger than ${MAX_PAGE_BYTES} bytes` : error.message };
+    }
+    cache.set(url, entry);
+    dirty = true;
+    return { text: entry.text || null, cached: false, error: entry.error };
+}
+
+/**
+ * Attaches `fullText` (a bounded excerpt of the page text) to the first `limit` articles, skipping excluded
+ * domains and pages whose text adds nothing to the feed description. Never throws: failures are counted and logged.
+ * @param {object[]} articles Articles from collectArticles (modified in place)
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<{enriched: number, cached: number, failed: number, skipped: number}>}
+ */
+async function enrichArticles(articles, { limit = MAX_ARTICLES } = {}) {
+    const stats = { enriched: 0, cached: 0, failed: 0, skipped: 0 };
+    const queue = articles.slice(0, limit).filter(article => {
+        let eligible = false;
+        try {
+            eligible = /^https?:\/\//i.test(article.link || '') && !isExcludedDomain(article.link);
+        } catch (error) {
+            // A malformed link (new URL throws) is skipped like any other ineligible one
+        }
+        if (!eligible) stats.skipped++;
+        return eligible;
+    });
+
+    const worker = async () => {
+        while (queue.length) {
+            const article = queue.shift();
+            try {
+                const result = await getArticleText(article.link);
+                if (result.cached) stats.cached++;
+                if (!result.text) {
+                    stats.failed++;
+                    continue;
+                }
+                if (result.text.length <= (article.description || '').length + MIN_BLOCK_CHARS) {
+                    stats.skipped++;
+                    continue;
+                }
+                article.fullText = excerpt(result.text);
+                stats.enriched++;
+            } catch (error) {
+                stats.failed++;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    try {
+        await flush();
+    } catch (error) {
+        console.error('❌ Failed to write the article text cache:', error.message);
+    }
+
+    console.log(`📄 Full text: ${stats.enriched} of ${Math.min(articles.length, limit)} articles enriched (${stats.cached} from cache, ${stats.failed} unavailable, ${stats.skipped} skipped)`);
+    return stats;
+}
+
+module.exports = {
+    FULL_TEXT_ENABLED,
+    EXCERPT_CHARS,
+    parseRobots,
+    isAllowedByRobots,
+    extractReadableText,
+    excerpt,
+    getArticleText,
+    enrichArticles
+};
@@ -0,0 +1,227 @@
+// lib/articles.js
+// Assembles the article set for summary generation from the registry's feeds and formats it for the LLM
+
+const { DEFAULT_TIMEOUT_MS, getCachedItems } = require('./feed-fetcher');
+const feedHealth = require('./feed-health');
+const feedRegistry = require('./feed-registry');
+const { htmlToText } = require('./format');
+const { HttpError } = require('./errors');
+const { clusterArticles } = require('./story-clusters');
+const articleArchive = require('./article-archive');
+const filterRules = require('./filter-rules');
+const articleText = require('./article-text');
+
+const MAX_DESCRIPTION_CHARS = 600;
+const MAX_WINDOW_HOURS = 24 * 30;
+const MAX_EXCLUDED_LINKS = 5000;
+
+/**
+ * Default item loader: fetches the feed in-process, recording the outcome in the feed health records.
+ * @param {object} feed Registry feed
+ * @param {{timeoutMs: number}} options
+ * @returns {Promise<object[]>}
+ */
+async function fetchFeedItems(feed, { timeoutMs }) {
+    const result = await feedHealth.fetchRegistryFeed(feed, { timeoutMs });
+    return result.items;
+}
+
+/**
+ * Item loader that makes no request: the items of the feed's last fetch in this process (none when it has
+ * not been fetched yet).
+ * @param {object} feed Registry feed
+ * @returns {Promise<object[]>}
+ */
+async function loadCachedFeedItems(feed) {
+    return getCachedItems(feed.url) || [];
+}
+
+/**
+ * Gives each story cluster the combined filter result of its members, each matched by its own rules: the
+ * strongest boost, highlighted when any member is, and every matched rule. Without this a cluster would only
+ * carry the rules that matched its representative article.
+ * @param {object[]} clusters From clusterArticles()
+ * @param {object[]} articles The clustered articles, with their own `filter`
+ * @returns {object[]} The clusters
+ */
+function mergeClusterFilters(clusters, articles) {
+    const filterByLink = new Map(articles.filter(article => article.filter).map(article => [article.link, article.filter]));
+    return clusters.map(cluster => {
+        const filters = [cluster.filter, ...cluster.related.map(member => filterByLink.get(member.link))].filter(Boolean);
+        if (filters.length < 2) return cluster;
+        return {
+            ...cluster,
+            filter: {
+                blocked: false,
+                highlighted: filters.some(filter => filter.highlighted),
+                boost: Math.max(...filters.map(filter => filter.boost)),
+                rules: [...new Set(filters.flatMap(filter => filter.rules))]
+            }
+        };
+    });
+}
+
+/**
+ * Fetches every enabled registry feed (optionally restricted to sections) and returns
+ * normalized, source-attributed articles filtered by date window and excluded links.
+ * The same story from several sources is merged into one article with `coverage` and `related`
+ * (see lib/story-clusters.js). Filtering rules (lib/filter-rules.js) drop blocked articles and move boosted
+ * ones to the front, then the most-covered stories come first. Every loaded item is also added to the
+ * article archive. Feeds that fail are logged and skipped. With `fullText`, the leading articles also get a
+ * `fullText` excerpt of their page (see lib/article-text.js).
+ * @param {object} [options]
+ * @param {string[]} [options.sections] Section ids to include (all when omitted)
+ * @param {number} [options.windowHours] Only keep articles published within this many hours
+ * @param {string[]} [options.excludeLinks] Article links to leave out (e.g. hidden tiles)
+ * @param {number} [options.timeoutMs] Per-feed timeout
+ * @param {function(object, {timeoutMs: number}): Promise<object[]>} [options.loadItems] Override for how a feed's items are loaded
+ * @param {boolean} [options.cluster=true] Merge duplicate stories across sources
+ * @param {boolean} [options.archive=true] Add the loaded items to the article archive
+ * @param {boolean} [options.applyRules=true] Apply the filtering rules
+ * @param {boolean} [options.fullText=false] Fetch the article pages and attach excerpts of their text
+ * @returns {Promise<{articles: object[], feedCount: number}>}
+ */
+async function collectArticles(options = {}) {
+    const {
+        sections,
+        windowHours,
+        excludeLinks = [],
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        loadItems = fetchFeedItems,
+        cluster = true,
+        archive = true,
+        applyRules = true,
+        fullText = false
+    } = options;
+
+    const feeds = await feedRegistry.getEnabledFeeds(sections);
+    const matchRules = applyRules ? await filterRules.loadMatcher() : null;
+    const excluded = new Set(excludeLinks);
+    const cutoff = windowHours ? Date.now() - windowHours * 60 * 60 * 1000 : null;
+
+    const results = await Promise.all(feeds.map(async feed => {
+        try {
+            const items = await loadItems(feed, { timeoutMs });
+            if (archive) await articleArchive.recordItems(feed, items);
+            return items.slice(0, feed.limit || feedRegistry.DEFAULT_ITEM_LIMIT).map(item => ({
+                title: htmlToText(item.title) || 'No Title',
+                source: feed.name,
+                section: feed.section,
+                description: htmlToText(item.description || item.content),
+                link: item.link,
+                pubDate: item.pubDate || null,
+                author: item.author || '',
+                categories: item.categories || []
+            })).map(article => ({
+                ...article,
+                filter: matchRules ? matchRules({ ...article, feedId: feed.id }) : null
+            }));
+        } catch (error) {
+            console.warn(`⚠️  Error fetching ${feed.name}:`, error.message);
+            return [];
+        }
+    }));
+
+    const articles = results.flat().filter(article => {
+        if (article.filter && article.filter.blocked) return false;
+        if (article.link && excluded.has(article.link)) return false;
+        if (cutoff && article.pubDate && new Date(article.pubDate).getTime() < cutoff) return false;
+        return true;
+    });
+
+    const boost = article => (article.filter ? article.filter.boost : 0);
+    const ordered = (cluster ? mergeClusterFilters(clusterArticles(articles), articles) : articles).sort((a, b) => boost(b) - boost(a));
+    if (fullText) {
+        await articleText.enrichArticles(ordered);
+    }
+    return { articles: ordered, feedCount: feeds.length };
+}
+
+/**
+ * Validates the selection parameters a client may send for summary generation.
+ * Only { sections, windowHours, excludeLinks } are accepted; raw HTML payloads are rejected.
+ * @param {object} body Request body
+ * @param {string[]} knownSectionIds Section ids from the feed registry
+ * @returns {{sections?: string[], windowHours?: number, excludeLinks: string[]}}
+ */
+function parseSelection(body, knownSectionIds) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'The request body must be a JSON object of selection parameters (sections, windowHours, excludeLinks).');
+    }
+    if (body.htmlContent !== undefined) {
+        throw new HttpError(400, 'Raw HTML payloads are not accepted. Send selection parameters (sections, windowHours, excludeLinks) instead.');
+    }
+
+    const selection = { excludeLinks: [] };
+
+    if (body.sections !== undefined) {
+        if (!Array.isArray(body.sections) || body.sections.some(id => !knownSectionIds.includes(id))) {
+            throw new HttpError(400, `"sections" must be an array of section ids: ${knownSectionIds.join(', ')}.`);
+        }
+        selection.sections = body.sections;
+    }
+
+    if (body.windowHours !== undefined && body.windowHours !== null) {
+        const windowHours = Number(body.windowHours);
+        if (!Number.isFinite(windowHours) || windowHours <= 0 || windowHours > MAX_WINDOW_HOURS) {
+            throw new HttpError(400, `"windowHours" must be a number between 1 and ${MAX_WINDOW_HOURS}.`);
+        }
+        selection.windowHours = windowHours;
+    }
+
+    if (body.excludeLinks !== undefined) {
+        const links = body.excludeLinks;
+        if (!Array.isArray(links) || links.length > MAX_EXCLUDED_LINKS || links.some(link => !feedRegistry.isFeedURL(link))) {
+            throw new HttpError(400, `"excludeLinks" must be an array of at most ${MAX_EXCLUDED_LINKS} http(s) URLs.`);
+        }
+        selection.excludeLinks = links;
+    }
+
+    return selection;
+}
+
+/**
+ * Formats news items into text content for Claude to analyze.
+ * Clustered stories list every source that covered them, as a signal of importance; articles enriched with
+ * their page text (collectArticles' `fullText` option) carry a bounded excerpt of it.
+ * @param {object[]} items
+ * @returns {string}
+ */
+function formatNewsForClaude(items) {
+    let content = '# News Articles for Analysis\n\n';
+    if (items.some(item => item.coverage > 1)) {
+        content += 'Stories reported by several sources are merged into one article; a higher coverage count means wider industry attention.\n\n';
+    }
+
+    items.forEach((item, index) => {
+        const description = item.description.length > MAX_DESCRIPTION_CHARS
+            ? `${item.description.slice(0, MAX_DESCRIPTION_CHARS)}...`
+            : item.description;
+
+        content += `## Article ${index + 1}: ${item.title}\n`;
+        content += `**Source:** ${item.source}\n`;
+        if (item.coverage > 1) {
+            const others = [...new Set(item.related.map(related => related.source))].filter(source => source !== item.source);
+            content += `**Coverage:** ${item.coverage} sources${others.length ? ` (also ${others.join(', ')})` : ''}\n`;
+        }
+        if (item.filter && item.filter.boost > 0) {
+            content += `**Priority:** Boosted by the editors' filtering rules\n`;
+        }
+        content += `**Published:** ${item.pubDate || 'Unknown'}\n`;
+        content += `**Link:** ${item.link}\n`;
+        content += `**Description:**\n${description}\n`;
+        if (item.fullText) {
+            content += `**Article Text (excerpt):**\n${item.fullText}\n`;
+        }
+        content += `\n---\n\n`;
+    });
+
+    return content;
+}
+
+module.exports = {
+    parseSelection,
+    collectArticles,
+    loadCachedFeedItems,
+    formatNewsForClaude
+};
@@ -0,0 +1,545 @@
+// lib/auth.js
+// Optional authentication (AUTH_ENABLED=true): local accounts with scrypt-hashed passwords, signed session
+// cookies, API tokens for scripts, roles (viewer < editor < admin) and per-user daily regeneration quotas
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { formatDateKey } = require('./format');
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+const USERS_FILE = process.env.USERS_FILE || dataPath('users.json');
+const QUOTA_FILE = dataPath('regeneration-usage.json');
+const ROLES = ['viewer', 'editor', 'admin'];
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.REGENERATION_DAILY_QUOTA, 10) || 5;
+const SESSION_COOKIE = 'thanos_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const TOKEN_PREFIX = 'thanos_';
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const QUOTA_HISTORY_DAYS = 7;
+// Failed sign-ins allowed per window, per client IP and per username
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES_PER_IP = 20;
+const MAX_LOGIN_FAILURES_PER_USERNAME = 5;
+
+// Sessions are signed with AUTH_SESSION_SECRET; without it a random secret is used and sessions end on restart
+const SESSION_SECRET = process.env.AUTH_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (AUTH_ENABLED && !process.env.AUTH_SESSION_SECRET) {
+    console.warn('⚠️  AUTH_SESSION_SECRET is not set; sessions will not survive a server restart.');
+}
+
+// --- PASSWORDS & TOKENS ---
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a password against a stored scrypt hash in constant time.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * API tokens are stored as SHA-256 hashes only.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * HMAC signature for session cookie payloads.
+ * @param {string} payload
+ * @returns {string}
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// --- USERS ---
+
+/**
+ * Strips secrets from a user record.
+ * @param {object} user
+ * @returns {{id: string, username: string, role: string, dailyQuota: number|null, createdAt: number}}
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        dailyQuota: user.dailyQuota ?? null,
+        createdAt: user.createdAt
+    };
+}
+
+/**
+ * Reads all user records (including hashes).
+ * @returns {Promise<object[]>}
+ */
+async function loadUsers() {
+    const store = await readJSON(USERS_FILE, { users: [] });
+    return store.users || [];
+}
+
+/**
+ * Validates the editable fields of an account. Only fields present in `input` are returned.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateUserFields(input) {
+    const fields = {};
+    if (input.role !== undefined) {
+        if (!ROLES.includes(input.role)) throw new HttpError(400, `"role" must be one of: ${ROLES.join(', ')}.`);
+        fields.role = input.role;
+    }
+    if (input.dailyQuota !== undefined) {
+        const quota = input.dailyQuota === null ? null : parseInt(input.dailyQuota, 10);
+        if (quota !== null && (isNaN(quota) || quota < 0)) {
+            throw new HttpError(400, '"dailyQuota" must be a non-negative integer, or null for the default.');
+        }
+        fields.dailyQuota = quota;
+    }
+    if (input.password !== undefined) {
+        if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+            throw new HttpError(400, `"password" must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Creates a local account.
+ * @param {{username: string, password: string, role?: string, dailyQuota?: number|null}} input
+ * @returns {Promise<object>} The public user
+ */
+async function createUser(input) {
+    if (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username)) {
+        throw new HttpError(400, '"username" must be 3-32 letters, digits, dots, dashes or underscores.');
+    }
+    if (input.password === undefined) throw new HttpError(400, '"password" is required.');
+    const fields = validateUserFields({ role: 'viewer', ...input });
+    const passwordHash = await hashPassword(input.password);
+
+    let created = null;
+    await updateJSON(USERS_FILE, { users: [] }, store => {
+        const username = input.username.toLowerCase();
+        if (store.users.some(user => user.username === username)) {
+            throw new HttpError(409, `User "${username}" already exists.`);
+        }
+        created = {
+            id: crypto.randomUUID(),
+            username,
+            role: fields.role,
+            dailyQuota: fields.dailyQuota ?? null,
+            passwordHash,
+            sessionVersion: 1,
+            tokens: [],
+            createdAt: Date.now()
+        };
+        store.users.push(created);
+    });
+    return publicUser(created);
+}
+
+/**
+ * Edits an account's role, quota or password. Changing the password ends the user's existing sessions.
+ * @param {string} id
+ * @param {{role?: string, dailyQuota?: number|null, password?: string}} changes
+ * @returns {Promise<object>} The public user
+ */
+async function updateUser(id, changes) {
+    const fields = validateUserFields(changes);
+    const passwordHash = changes.password !== undefined ? await hashPassword(changes.password) : null;
+
+    let updated = null;
+    await updateJSON(USERS_FILE, { users: [] }, store => {
+        const user = store.users.find(u => u.id === id);
+        if (!user) throw new HttpError(404, `User "${id}" not found.`);
+        Object.assign(user, fields);
+        if (passwordHash) {
+            user.passwordHash = passwordHash;
+            user.sessionVersion = (user.sessionVersion || 1) + 1;
+        }
+        updated = user;
+    });
+    return publicUser(updated);
+}
+
+/**
+ * Deletes an account (its sessions and API tokens stop working immediately).
+ * @param {string} id
+ * @returns {Promise<object>} The removed public user
+ */
+async function deleteUser(id) {
+    let removed = null;
+    await updateJSON(USERS_FILE, { users: [] }, store => {
+        const index = store.users.findIndex(u => u.id === id);
+        if (index === -1) throw new HttpError(404, `User "${id}" not found.`);
+        [removed] = store.users.splice(index, 1);
+    });
+    return publicUser(removed);
+}
+
+/**
+ * Creates the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD when auth is enabled and no accounts exist.
+ * @returns {Promise<void>}
+ */
+async function bootstrapAdmin() {
+    if (!AUTH_ENABLED) return;
+    const users = await loadUsers();
+    if (users.length > 0) return;
+
+    if (!process.env.AUTH_ADMIN_PASSWORD) {
+        console.warn('⚠️  AUTH_ENABLED is set but no accounts exist. Set AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD to create the first admin.');
+        return;
+    }
+    const admin = await createUser({
+        username: process.env.AUTH_ADMIN_USERNAME || 'admin',
+        password: process.env.AUTH_ADMIN_PASSWORD,
+        role: 'admin'
+    });
+    console.log(`✅ Created admin account "${admin.username}"`);
+}
+
+// --- SESSIONS ---
+
+/**
+ * Verifies a username and password.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} The user record, or null
+ */
+async function verifyCredentials(username, password) {
+    const users = await loadUsers();
+    const user = users.find(u => u.username === String(username || '').toLowerCase());
+    // Hash even for unknown users so response time doesn't reveal which usernames exist
+    const valid = await verifyPassword(password || '', user ? user.passwordHash : `scrypt$${'A'.repeat(24)}$${'A'.repeat(88)}`);
+    return user && valid ? user : null;
+}
+
+// Timestamps of recent failed sign-ins, keyed "ip:<address>" or "user:<username>" (in memory, per process)
+const loginFailures = new Map();
+
+/**
+ * Failed sign-ins within the window for a key, dropping older ones.
+ * @param {string} key
+ * @returns {number[]}
+ */
+function recentFailures(key) {
+    const cutoff = Date.now() - LOGIN_WINDOW_MS;
+    const failures = (loginFailures.get(key) || []).filter(time => time > cutoff);
+    if (failures.length) loginFailures.set(key, failures);
+    else loginFailures.delete(key);
+    return failures;
+}
+
+/**
+ * Throws 429 when the client IP or the username has too many recent failed sign-ins. The error's `retryAfter`
+ * is the number of seconds until the oldest counted failure leaves the window.
+ * @param {string} ip
+ * @param {string} username
+ */
+function assertLoginAllowed(ip, username) {
+    const limits = [
+        [`ip:${ip}`, MAX_LOGIN_FAILURES_PER_IP],
+        [`user:${String(username || '').toLowerCase()}`, MAX_LOGIN_FAILURES_PER_USERNAME]
+    ];
+    for (const [key, max] of limits) {
+        const failures = recentFailures(key);
+        if (failures.length >= max) {
+            const retryAfter = Math.ceil((failures[failures.length - max] + LOGIN_WINDOW_MS - Date.now()) / 1000);
+            const error = new HttpError(429, `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`);
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Counts a failed sign-in against the client IP and the username.
+ * @param {string} ip
+ * @param {string} username
+ */
+function recordLoginFailure(ip, username) {
+    [...loginFailures.keys()].forEach(recentFailures);
+    [`ip:${ip}`, `user:${String(username || '').toLowerCase()}`].forEach(key => {
+        loginFailures.set(key, [...recentFailures(key), Date.now()]);
+    });
+}
+
+/**
+ * Forgets a username's failed sign-ins after it signs in successfully. The client IP's failures still count.
+ * @param {string} username
+ */
+function clearLoginFailures(username) {
+    loginFailures.delete(`user:${String(username || '').toLowerCase()}`);
+}
+
+/**
+ * Builds the signed session cookie value for a user.
+ * @param {object} user
+ * @returns {string}
+ */
+function createSession(user) {
+    const payload = Buffer.from(JSON.stringify({
+        u: user.id,
+        v: user.sessionVersion || 1,
+        exp: Date.now() + SESSION_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Options for the session cookie.
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+function sessionCookieOptions(req) {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure || process.env.COOKIE_SECURE === 'true',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    };
+}
+
+/**
+ * Parses the Cookie header.
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Ignore malformed cookies
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Resolves the user behind a request from its bearer token or session cookie.
+ * @param {import('express').Request} req
+ * @returns {Promise<object|null>} The user record, or null
+ */
+async function resolveRequestUser(req) {
+    const users = await loadUsers();
+
+    const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+        const tokenHash = hashToken(bearer[1]);
+        return users.find(user => (user.tokens || []).some(token => token.hash === tokenHash)) || null;
+    }
+
+    const session = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    if (!session) return null;
+    const [payload, signature] = session.split('.');
+    const expected = sign(payload || '');
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    try {
+        const { u, v, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (exp < Date.now()) return null;
+        const user = users.find(candidate => candidate.id === u);
+        return user && (user.sessionVersion || 1) === v ? user : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// --- API TOKENS ---
+
+/**
+ * Creates an API token for scripts. The token itself is only returned here; only its hash is stored.
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<{id: string, name: string, token: string, createdAt: number}>}
+ */
+async function createApiToken(userId, name) {
+    if (typeof name !== 'string' || !name.trim()) throw new HttpError(400, 'Token "name" must be a non-empty string.');
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = { id: crypto.randomUUID(), name: name.trim(), hash: hashToken(token), createdAt: Date.now() };
+
+    await updateJSON(USERS_FILE, { users: [] }, store => {
+        const user = store.users.find(u => u.id === userId);
+        if (!user) throw new HttpError(404, 'User not found.');
+        user.tokens = [...(user.tokens || []), record];
+    });
+    return { id: record.id, name: record.name, token, createdAt: record.createdAt };
+}
+
+/**
+ * Lists a user's API tokens (without hashes).
+ * @param {object} user
+ * @returns {Array<{id: string, name: string, createdAt: number}>}
+ */
+function listApiTokens(user) {
+    return (user.tokens || []).map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+}
+
+/**
+ * Revokes one of a user's API tokens.
+ * @param {string} userId
+ * @param {string} tokenId
+ * @returns {Promise<void>}
+ */
+async function revokeApiToken(userId, tokenId) {
+    await updateJSON(USERS_FILE, { users: [] }, store => {
+        const user = store.users.find(u => u.id === userId);
+        const index = user ? (user.tokens || []).findIndex(token => token.id === tokenId) : -1;
+        if (index === -1) throw new HttpError(404, `API token "${tokenId}" not found.`);
+        user.tokens.splice(index, 1);
+    });
+}
+
+// --- MIDDLEWARE ---
+
+/**
+ * Express middleware: attaches the signed-in user (if any) as req.user.
+ */
+async function authenticate(req, res, next) {
+    req.user = null;
+    if (!AUTH_ENABLED) return next();
+    try {
+        req.user = await resolveRequestUser(req);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Checks whether a user has at least the given role. Always true when auth is disabled.
+ * @param {object|null} user
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+    if (!AUTH_ENABLED) return true;
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Express middleware factory: requires a signed-in user with at least `role` (no-op when auth is disabled).
+ * @param {string} role
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req.user, role)) return next();
+        if (!req.user) return res.status(401).json({ error: 'Sign in required.' });
+        return res.status(403).json({ error: `This action requires the "${role}" role.` });
+    };
+}
+
+// --- REGENERATION QUOTAS ---
+
+/**
+ * Returns a user's regeneration usage for today. `limit` is null when unlimited (auth disabled).
+ * @param {object|null} user
+ * @returns {Promise<{used: number, limit: number|null, remaining: number|null}>}
+ */
+async function getQuotaStatus(user) {
+    if (!AUTH_ENABLED || !user) return { used: 0, limit: null, remaining: null };
+    const usage = await readJSON(QUOTA_FILE, {});
+    const used = (usage[user.id] || {})[formatDateKey()] || 0;
+    const limit = user.dailyQuota ?? DEFAULT_DAILY_QUOTA;
+    return { used, limit, remaining: Math.max(limit - used, 0) };
+}
+
+/**
+ * Reserves one of the user's regenerations for today before the LLM is called, throwing 429 when the quota is
+ * used up. Check and count happen in one serialized update, so concurrent requests cannot overrun the quota.
+ * Call the returned function to give the regeneration back when the call fails; it never throws.
+ * @param {object|null} user
+ * @returns {Promise<function(): Promise<void>>}
+ */
+async function reserveRegeneration(user) {
+    if (!AUTH_ENABLED || !user) return async () => {};
+    const today = formatDateKey();
+    const limit = user.dailyQuota ?? DEFAULT_DAILY_QUOTA;
+
+    await updateJSON(QUOTA_FILE, {}, usage => {
+        const days = usage[user.id] || {};
+        const used = days[today] || 0;
+        if (used >= limit) {
+            throw new HttpError(429, `Daily regeneration quota reached (${used}/${limit}). It resets at midnight Eastern Time.`);
+        }
+        days[today] = used + 1;
+        // Keep a short history only
+        Object.keys(days).sort().slice(0, -QUOTA_HISTORY_DAYS).forEach(day => delete days[day]);
+        usage[user.id] = days;
+    });
+
+    let released = false;
+    return async () => {
+        if (released) return;
+        released = true;
+        try {
+            await updateJSON(QUOTA_FILE, {}, usage => {
+                const days = usage[user.id] || {};
+                if (days[today] > 0) days[today]--;
+                usage[user.id] = days;
+            });
+        } catch (error) {
+            console.error('❌ Failed to release a regeneration:', error.message);
+        }
+    };
+}
+
+module.exports = {
+    AUTH_ENABLED,
+    ROLES,
+    SESSION_COOKIE,
+    publicUser,
+    loadUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    bootstrapAdmin,
+    verifyCredentials,
+    assertLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    createSession,
+    sessionCookieOptions,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    authenticate,
+    hasRole,
+    requireRole,
+    getQuotaStatus,
+    reserveRegeneration
+};
@@ -0,0 +1,216 @@
+// lib/cron.js
+// Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in an IANA time zone, so a
+// schedule keeps its local wall-clock time across daylight-saving changes
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60; // Long enough to reach the next February 29
+
+const formatters = new Map(); // Time zone → Intl.DateTimeFormat
+
+/**
+ * Whether `timeZone` is an IANA time zone this runtime knows.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses one value of a field (a number, or a month / weekday name).
+ * @param {string} value
+ * @param {object} field
+ * @returns {number}
+ */
+function parseValue(value, field) {
+    const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = named !== -1 ? named + field.min : (/^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+    if (!(number >= field.min && number <= field.max)) {
+        throw new Error(`Invalid ${field.name} value "${value}" (expected ${field.min}-${field.max}).`);
+    }
+    return number;
+}
+
+/**
+ * Parses one field (`*`, lists, ranges and steps such as `1-5`, `*\/15` or `mon,wed,fri`) into the values it allows.
+ * @param {string} text
+ * @param {object} field
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid ${field.name} step in "${part}".`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            // "5/15" means every 15 starting at 5
+            end = to !== undefined ? parseValue(to, field) : (stepText !== undefined ? field.max : start);
+        }
+        if (start > end) {
+            throw new Error(`Invalid ${field.name} range "${range}".`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+    return values;
+}
+
+/**
+ * Parses a cron expression (or one of @hourly, @daily, @weekly, @monthly, @yearly).
+ * @param {string} expression
+ * @returns {{expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, restrictsDayOfMonth: boolean, restrictsDayOfWeek: boolean}}
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('The cron expression must be a non-empty string.');
+    }
+    const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week).`);
+    }
+
+    const schedule = { expression: expression.trim() };
+    FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseField(parts[index], field);
+    });
+    if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0); // 7 is Sunday too
+    // As in Vixie cron, a field starting with "*" (including steps such as "*/2") does not restrict the day
+    schedule.restrictsDayOfMonth = !parts[2].startsWith('*');
+    schedule.restrictsDayOfWeek = !parts[4].startsWith('*');
+    return schedule;
+}
+
+/**
+ * The wall-clock fields of an instant in a time zone.
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+function zonedFields(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    const parts = {};
+    formatters.get(timeZone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Whether a day matches. As in classic cron, when both day-of-month and day-of-week are restricted, either may match.
+ * @param {object} schedule Parsed expression
+ * @param {object} fields From zonedFields()
+ * @returns {boolean}
+ */
+function matchesDay(schedule, fields) {
+    const dayOfMonth = schedule.dayOfMonth.has(fields.day);
+    const dayOfWeek = schedule.dayOfWeek.has(fields.weekday);
+    if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Whether the wall-clock minute also occurred an hour earlier (the hour repeated when clocks go back).
+ * @param {object} fields From zonedFields()
+ * @param {number} time
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isRepeatedMinute(fields, time, timeZone) {
+    const earlier = zonedFields(time - 60 * 60000, timeZone);
+    return earlier.day === fields.day && earlier.hour === fields.hour && earlier.minute === fields.minute;
+}
+
+/**
+ * Whether the schedule fires in the minute containing `time`. Local times skipped when clocks go forward never
+ * fire; a local time repeated when clocks go back fires on its first occurrence only.
+ * @param {object} schedule Parsed expression
+ * @param {string} timeZone
+ * @param {number} time Milliseconds since the epoch
+ * @returns {boolean}
+ */
+function isDue(schedule, timeZone, time) {
+    const fields = zonedFields(time, timeZone);
+    return schedule.month.has(fields.month) && matchesDay(schedule, fields) && schedule.hour.has(fields.hour) &&
+        schedule.minute.has(fields.minute) && !isRepeatedMinute(fields, time, timeZone);
+}
+
+/**
+ * The next instant after `after` at which the schedule fires in the time zone (see isDue).
+ * @param {object} schedule Parsed expression
+ * @param {string} timeZone
+ * @param {number} [after] Milliseconds since the epoch (defaults to now)
+ * @returns {number|null} Milliseconds since the epoch, or null when nothing matches within five years
+ */
+function nextRun(schedule, timeZone, after = Date.now()) {
+    let time = Math.floor(after / 60000) * 60000 + 60000;
+    for (let minutes = 0; minutes < MAX_SEARCH_MINUTES;) {
+        const fields = zonedFields(time, timeZone);
+        // Skip the rest of the local hour when the day or hour cannot match
+        const step = schedule.month.has(fields.month) && matchesDay(schedule, fields) && schedule.hour.has(fields.hour)
+            ? 1
+            : 60 - fields.minute;
+        if (step === 1 && isDue(schedule, timeZone, time)) return time;
+        time += step * 60000;
+        minutes += step;
+    }
+    return null;
+}
+
+module.exports = {
+    isValidTimeZone,
+    parseCron,
+    isDue,
+    nextRun
+};
@@ -0,0 +1,50 @@
+// lib/delivery/digest.js
+// Renders an archived summary as a digest: subject line, Markdown, plain text and an HTML email body
+
+const { formatTimestamp } = require('../format');
+const { renderMarkdown, escapeHTML } = require('../markdown');
+const { summaryMarkdown, isRollup, summarySources } = require('../summary-export');
+
+/**
+ * Turns Markdown into readable plain text: links become "text (url)", emphasis markers are dropped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+    return markdown
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (m, a, b) => a || b)
+        .replace(/^#{1,6}\s+(.*)$/gm, (m, heading) => heading.toUpperCase())
+        .replace(/^[ \t]*[-*+][ \t]+/gm, '• ');
+}
+
+/**
+ * Builds the digest for an archived summary record.
+ * @param {object} record Archived summary ({ id, timestamp, model, profile, summary, structured, articles })
+ * @param {{profileName?: string}} [options]
+ * @returns {{subject: string, markdown: string, text: string, html: string, link: string|null, generatedAt: string}}
+ */
+function buildDigest(record, { profileName } = {}) {
+    const generatedAt = formatTimestamp(record.timestamp);
+    const subject = `T.H.A.N.O.S. ${isRollup(record) ? 'Weekly Rollup' : 'AI Strategy Summary'}: ${profileName || record.profile} (${generatedAt})`;
+    const markdown = summaryMarkdown(record);
+    const link = process.env.DASHBOARD_URL ? process.env.DASHBOARD_URL.trim() : null;
+    const { count } = summarySources(record);
+    const footer = `Generated ${generatedAt} by ${record.model || 'unknown model'} from ${count} ${isRollup(record) ? 'daily summaries' : 'articles'}.`;
+
+    const text = `${subject}\n\n${markdownToText(markdown)}\n\n---\n${footer}${link ? `\nDashboard: ${link}` : ''}\n`;
+    const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 680px; margin: 0 auto; padding: 16px;">
+<h1 style="font-size: 20px;">${escapeHTML(subject)}</h1>
+${renderMarkdown(markdown)}
+<hr>
+<p style="font-size: 12px; color: #666;">${escapeHTML(footer)}${link ? ` <a href="${escapeHTML(link)}">Open the dashboard</a>` : ''}</p>
+</body>
+</html>
+`;
+
+    return { subject, markdown, text, html, link, generatedAt };
+}
+
+module.exports = { buildDigest, markdownToText };
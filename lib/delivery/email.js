@@ -0,0 +1,69 @@
+// lib/delivery/email.js
+// SMTP delivery through nodemailer, configured with SMTP_* environment variables
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+/**
+ * Reads the SMTP configuration from the environment.
+ * @param {object} [env]
+ * @returns {{host: string|null, port: number, secure: boolean, auth?: {user: string, pass: string}, from: string}}
+ */
+function getSmtpConfig(env = process.env) {
+    const port = parseInt(env.SMTP_PORT, 10) || 587;
+    return {
+        host: env.SMTP_HOST ? env.SMTP_HOST.trim() : null,
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER.trim(), pass: env.SMTP_PASS || '' } : undefined,
+        from: (env.DELIVERY_FROM || env.SMTP_USER || 'thanos@localhost').trim()
+    };
+}
+
+/**
+ * Marks an error as not worth retrying.
+ * @param {Error} error
+ * @returns {Error}
+ */
+function permanent(error) {
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * Sends one email to all recipients. Rejected addresses, authentication failures and other 5xx SMTP
+ * replies are permanent; connection problems and 4xx replies (including temporarily refused recipients) can be retried.
+ * @param {{to: string[], subject: string, text: string, html: string}} message
+ * @returns {Promise<string>} The message id
+ */
+async function sendEmail({ to, subject, text, html }) {
+    const config = getSmtpConfig();
+    if (!config.host) {
+        throw permanent(new Error('SMTP_HOST is not set.'));
+    }
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: config.host,
+            port: config.port,
+            secure: config.secure,
+            auth: config.auth,
+            connectionTimeout: 15000,
+            greetingTimeout: 15000,
+            socketTimeout: 30000
+        });
+    }
+
+    try {
+        const info = await transport.sendMail({ from: config.from, to, subject, text, html });
+        return info.messageId;
+    } catch (error) {
+        const temporary = error.responseCode >= 400 && error.responseCode < 500;
+        if (!temporary && (error.code === 'EAUTH' || error.code === 'EENVELOPE' || error.responseCode >= 500)) {
+            permanent(error);
+        }
+        throw error;
+    }
+}
+
+module.exports = { getSmtpConfig, sendEmail };
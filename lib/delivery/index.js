@@ -0,0 +1,317 @@
+// lib/delivery/index.js
+// Digest delivery channels (email recipients or Slack/Teams/JSON webhooks), delivery with retry and
+// exponential backoff, and a delivery log. Channels are stored in data/delivery-channels.json.
+
+const crypto = require('crypto');
+const { dataPath, readJSON, updateJSON } = require('../json-store');
+const { HttpError } = require('../errors');
+const { uniqueId, isFeedURL } = require('../feed-registry');
+const promptProfiles = require('../prompt-profiles');
+const summaryArchive = require('../summary-archive');
+const { buildDigest } = require('./digest');
+const { sendEmail } = require('./email');
+const { FORMATS, buildPayload, postWebhook } = require('./webhook');
+
+const CHANNELS_FILE = process.env.DELIVERY_CHANNELS_FILE || dataPath('delivery-channels.json');
+const LOG_FILE = dataPath('delivery-log.json');
+const TYPES = ['email', 'webhook'];
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 4;
+const RETRY_BASE_MS = parseInt(process.env.DELIVERY_RETRY_BASE_MS, 10) || 2000;
+const MAX_LOG_ENTRIES = 500;
+const MAX_RECIPIENTS = 50;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const ENV_NAME_PATTERN = /^[A-Z_][A-Z0-9_]*$/;
+
+// --- CHANNELS ---
+
+/**
+ * Reads the channel list from disk.
+ * @returns {Promise<object[]>}
+ */
+async function loadChannels() {
+    const store = await readJSON(CHANNELS_FILE, { channels: [] });
+    return Array.isArray(store.channels) ? store.channels : [];
+}
+
+/**
+ * Hides everything but the origin of a webhook URL (the path usually holds the secret).
+ * @param {string} url
+ * @returns {string}
+ */
+function maskUrl(url) {
+    try {
+        return `${new URL(url).origin}/…`;
+    } catch (error) {
+        return '…';
+    }
+}
+
+/**
+ * Channel as returned by the API (webhook URL masked).
+ * @param {object} channel
+ * @returns {object}
+ */
+function publicChannel(channel) {
+    return channel.url ? { ...channel, url: maskUrl(channel.url) } : { ...channel };
+}
+
+/**
+ * Validates a complete channel. Email channels need recipients; webhook channels need a format and
+ * either a url or urlEnv (the name of an environment variable holding the URL, to keep secrets out of data/).
+ * @param {object} channel
+ * @returns {object}
+ */
+function validateChannel(channel) {
+    if (typeof channel.name !== 'string' || !channel.name.trim()) {
+        throw new HttpError(400, 'Channel "name" must be a non-empty string.');
+    }
+    if (!TYPES.includes(channel.type)) {
+        throw new HttpError(400, `Channel "type" must be one of: ${TYPES.join(', ')}.`);
+    }
+    if (channel.profiles !== undefined && (!Array.isArray(channel.profiles) || channel.profiles.some(id => typeof id !== 'string'))) {
+        throw new HttpError(400, 'Channel "profiles" must be an array of prompt profile ids (empty for all profiles).');
+    }
+
+    const validated = {
+        id: channel.id,
+        name: channel.name.trim(),
+        type: channel.type,
+        enabled: channel.enabled === undefined ? true : Boolean(channel.enabled),
+        profiles: channel.profiles || []
+    };
+
+    if (channel.type === 'email') {
+        const recipients = channel.recipients;
+        if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MAX_RECIPIENTS ||
+            recipients.some(address => typeof address !== 'string' || !EMAIL_PATTERN.test(address.trim()))) {
+            throw new HttpError(400, `Email channels need "recipients": 1-${MAX_RECIPIENTS} email addresses.`);
+        }
+        validated.recipients = recipients.map(address => address.trim());
+        return validated;
+    }
+
+    if (!FORMATS.includes(channel.format)) {
+        throw new HttpError(400, `Webhook "format" must be one of: ${FORMATS.join(', ')}.`);
+    }
+    validated.format = channel.format;
+    if (channel.urlEnv) {
+        if (typeof channel.urlEnv !== 'string' || !ENV_NAME_PATTERN.test(channel.urlEnv)) {
+            throw new HttpError(400, 'Webhook "urlEnv" must be an environment variable name (e.g. SLACK_WEBHOOK_URL).');
+        }
+        validated.urlEnv = channel.urlEnv;
+    } else if (isFeedURL(channel.url)) {
+        validated.url = channel.url.trim();
+    } else {
+        throw new HttpError(400, 'Webhook channels need an http(s) "url" or a "urlEnv".');
+    }
+    return validated;
+}
+
+/**
+ * Adds a channel.
+ * @param {object} input
+ * @returns {Promise<object>} The public channel
+ */
+async function addChannel(input) {
+    let added = null;
+    await updateJSON(CHANNELS_FILE, { channels: [] }, store => {
+        const id = uniqueId(input.id || input.name || 'channel', store.channels.map(channel => channel.id));
+        added = validateChannel({ ...input, id });
+        store.channels.push(added);
+    });
+    return publicChannel(added);
+}
+
+/**
+ * Edits a channel. The merged channel is validated as a whole; omit "url" to keep the stored one.
+ * @param {string} id
+ * @param {object} changes
+ * @returns {Promise<object>} The public channel
+ */
+async function updateChannel(id, changes) {
+    let updated = null;
+    await updateJSON(CHANNELS_FILE, { channels: [] }, store => {
+        const index = store.channels.findIndex(channel => channel.id === id);
+        if (index === -1) throw new HttpError(404, `Delivery channel "${id}" not found.`);
+        const merged = { ...store.channels[index], ...changes, id };
+        // Switching between url and urlEnv replaces the other
+        if (changes.url) delete merged.urlEnv;
+        if (changes.urlEnv) delete merged.url;
+        updated = validateChannel(merged);
+        store.channels[index] = updated;
+    });
+    return publicChannel(updated);
+}
+
+/**
+ * Deletes a channel.
+ * @param {string} id
+ * @returns {Promise<object>} The removed public channel
+ */
+async function deleteChannel(id) {
+    let removed = null;
+    await updateJSON(CHANNELS_FILE, { channels: [] }, store => {
+        const index = store.channels.findIndex(channel => channel.id === id);
+        if (index === -1) throw new HttpError(404, `Delivery channel "${id}" not found.`);
+        [removed] = store.channels.splice(index, 1);
+    });
+    return publicChannel(removed);
+}
+
+// --- DELIVERY ---
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `send` until it succeeds, fails permanently (error.permanent) or runs out of attempts,
+ * waiting DELIVERY_RETRY_BASE_MS, then twice as long, and so on between attempts.
+ * @param {function(): Promise<*>} send
+ * @param {{maxAttempts?: number, baseDelayMs?: number}} [options]
+ * @returns {Promise<{attempts: number, result?: *, error?: Error}>}
+ */
+async function withRetry(send, { maxAttempts = MAX_ATTEMPTS, baseDelayMs = RETRY_BASE_MS } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { attempts: attempt, result: await send() };
+        } catch (error) {
+            if (error.permanent || attempt >= maxAttempts) {
+                return { attempts: attempt, error };
+            }
+            await sleep(baseDelayMs * 2 ** (attempt - 1));
+        }
+    }
+}
+
+/**
+ * Delivers a digest to one channel (with retries) and records the outcome in the delivery log.
+ * @param {object} channel
+ * @param {object} record Archived summary record
+ * @param {object} digest Output of buildDigest
+ * @param {{test?: boolean}} [options]
+ * @returns {Promise<object>} The log entry
+ */
+async function deliverToChannel(channel, record, digest, { test = false } = {}) {
+    const startedAt = Date.now();
+    let targets;
+    let send;
+
+    if (channel.type === 'email') {
+        targets = channel.recipients;
+        send = () => sendEmail({ to: channel.recipients, subject: digest.subject, text: digest.text, html: digest.html });
+    } else {
+        const url = channel.urlEnv ? process.env[channel.urlEnv] : channel.url;
+        targets = [url ? maskUrl(url) : `$${channel.urlEnv}`];
+        const payload = buildPayload(channel.format, digest, record);
+        send = async () => {
+            if (!url) {
+                const error = new Error(`Environment variable ${channel.urlEnv} is not set.`);
+                error.permanent = true;
+                throw error;
+            }
+            return postWebhook(url, payload);
+        };
+    }
+
+    const { attempts, error } = await withRetry(send);
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: Date.now(),
+        summaryId: record.id,
+        profile: record.profile,
+        channelId: channel.id,
+        channelName: channel.name,
+        type: channel.type,
+        format: channel.format || null,
+        targets,
+        status: error ? 'failed' : 'delivered',
+        attempts,
+        durationMs: Date.now() - startedAt,
+        error: error ? error.message : null,
+        test
+    };
+
+    if (error) {
+        console.error(`❌ Delivery to "${channel.name}" failed after ${attempts} attempt(s): ${error.message}`);
+    } else {
+        console.log(`📬 Delivered summary ${record.id} to "${channel.name}" (${channel.type}${channel.format ? `/${channel.format}` : ''})`);
+    }
+
+    await updateJSON(LOG_FILE, { entries: [] }, log => {
+        log.entries.push(entry);
+        log.entries = log.entries.slice(-MAX_LOG_ENTRIES);
+    }).catch(logError => console.error('❌ Failed to write the delivery log:', logError.message));
+    return entry;
+}
+
+/**
+ * Looks up a profile's display name (falls back to the id for deleted profiles).
+ * @param {string} profileId
+ * @returns {Promise<string>}
+ */
+async function profileName(profileId) {
+    const { profiles } = await promptProfiles.loadProfiles();
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    return profile ? profile.name : profileId;
+}
+
+/**
+ * Delivers a newly generated summary to every enabled channel subscribed to its profile. Never throws:
+ * failures are logged (console and delivery log) so they cannot break generation.
+ * @param {object} record Archived summary record (from generateSummary)
+ * @returns {Promise<object[]>} Log entries, one per channel
+ */
+async function deliverSummary(record) {
+    try {
+        const channels = (await loadChannels()).filter(channel =>
+            channel.enabled && (!channel.profiles || channel.profiles.length === 0 || channel.profiles.includes(record.profile)));
+        if (channels.length === 0) return [];
+
+        const digest = buildDigest(record, { profileName: await profileName(record.profile) });
+        return await Promise.all(channels.map(channel => deliverToChannel(channel, record, digest)));
+    } catch (error) {
+        console.error('❌ Summary delivery failed:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Sends the most recent archived summary to one channel (enabled or not), to check its configuration.
+ * @param {string} id
+ * @returns {Promise<object>} The log entry
+ */
+async function testChannel(id) {
+    const channel = (await loadChannels()).find(candidate => candidate.id === id);
+    if (!channel) throw new HttpError(404, `Delivery channel "${id}" not found.`);
+
+    const [record] = await summaryArchive.getRecentSummaries(1);
+    if (!record) throw new HttpError(409, 'There is no archived summary to send yet.');
+
+    const digest = buildDigest(record, { profileName: await profileName(record.profile) });
+    return deliverToChannel(channel, record, digest, { test: true });
+}
+
+/**
+ * Recent delivery log entries, newest first.
+ * @param {{limit?: number, channel?: string}} [options]
+ * @returns {Promise<object[]>}
+ */
+async function getDeliveryLog({ limit = 50, channel } = {}) {
+    const log = await readJSON(LOG_FILE, { entries: [] });
+    const entries = channel ? log.entries.filter(entry => entry.channelId === channel) : log.entries;
+    return entries.slice(-Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LOG_ENTRIES)).reverse();
+}
+
+module.exports = {
+    TYPES,
+    FORMATS,
+    loadChannels,
+    validateChannel,
+    publicChannel,
+    addChannel,
+    updateChannel,
+    deleteChannel,
+    deliverSummary,
+    testChannel,
+    getDeliveryLog,
+    withRetry
+};
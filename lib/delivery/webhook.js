@@ -0,0 +1,140 @@
+// lib/delivery/webhook.js
+// JSON webhook delivery, with payloads shaped for Slack incoming webhooks, Microsoft Teams (Adaptive Card)
+// or a generic JSON receiver
+
+const fetch = require('node-fetch').default || require('node-fetch');
+const { markdownToText } = require('./digest');
+
+const FORMATS = ['slack', 'teams', 'json'];
+const REQUEST_TIMEOUT_MS = 15000;
+const SLACK_SECTION_CHARS = 2900; // Slack allows 3000 characters per section block
+const SLACK_MAX_BLOCKS = 48;
+
+/**
+ * Converts Markdown to Slack mrkdwn: *bold*, <url|text> links, headings as bold lines.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function toSlackMrkdwn(markdown) {
+    return markdown
+        .replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[ch]))
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>')
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (m, a, b) => `*${a || b}*`)
+        .replace(/^#{1,6}\s+(.*)$/gm, '*$1*')
+        .replace(/^[ \t]*[-*+][ \t]+/gm, '• ');
+}
+
+/**
+ * Splits text into chunks of at most `size` characters, preferring line breaks.
+ * @param {string} text
+ * @param {number} size
+ * @returns {string[]}
+ */
+function chunk(text, size) {
+    const chunks = [];
+    let current = '';
+    text.split('\n').forEach(line => {
+        const piece = line.slice(0, size);
+        if (current && current.length + piece.length + 1 > size) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+    });
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Builds the request body for a webhook format.
+ * @param {string} format One of FORMATS
+ * @param {object} digest Output of buildDigest
+ * @param {object} record Archived summary record
+ * @returns {object}
+ */
+function buildPayload(format, digest, record) {
+    if (format === 'slack') {
+        const sections = digest.markdown.split(/\n(?=#{1,6}\s)/).flatMap(part => chunk(toSlackMrkdwn(part.trim()), SLACK_SECTION_CHARS));
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: digest.subject.slice(0, 150) } },
+            ...sections.slice(0, SLACK_MAX_BLOCKS).map(text => ({ type: 'section', text: { type: 'mrkdwn', text } })),
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Generated ${digest.generatedAt} · ${record.model || 'unknown model'}${digest.link ? ` · <${digest.link}|Open the dashboard>` : ''}` }]
+            }
+        ];
+        return { text: digest.subject, blocks };
+    }
+
+    if (format === 'teams') {
+        // Adaptive Card text supports bold, lists and links but not headings
+        const text = digest.markdown.replace(/^#{1,6}\s+(.*)$/gm, '**$1**');
+        return {
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body: [
+                        { type: 'TextBlock', text: digest.subject, weight: 'Bolder', size: 'Medium', wrap: true },
+                        { type: 'TextBlock', text, wrap: true },
+                        { type: 'TextBlock', text: `Generated ${digest.generatedAt} · ${record.model || 'unknown model'}`, isSubtle: true, size: 'Small', wrap: true }
+                    ],
+                    actions: digest.link ? [{ type: 'Action.OpenUrl', title: 'Open the dashboard', url: digest.link }] : []
+                }
+            }]
+        };
+    }
+
+    return {
+        event: 'summary.generated',
+        subject: digest.subject,
+        link: digest.link,
+        summary: {
+            id: record.id,
+            kind: record.kind || 'daily',
+            timestamp: record.timestamp,
+            profile: record.profile,
+            model: record.model,
+            articleCount: (record.articles || []).length,
+            markdown: digest.markdown,
+            text: markdownToText(digest.markdown),
+            structured: record.structured || null
+        }
+    };
+}
+
+/**
+ * POSTs a JSON payload. Network errors, timeouts, 408, 429 and 5xx responses can be retried; other 4xx are permanent.
+ * @param {string} url
+ * @param {object} payload
+ * @returns {Promise<number>} The HTTP status
+ */
+async function postWebhook(url, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'THANOS-Digest/1.0' },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            const body = (await response.text().catch(() => '')).slice(0, 200);
+            const error = new Error(`Webhook responded with HTTP ${response.status}${body ? `: ${body}` : ''}`);
+            error.permanent = response.status < 500 && ![408, 429].includes(response.status);
+            throw error;
+        }
+        return response.status;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Webhook timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { FORMATS, buildPayload, postWebhook };
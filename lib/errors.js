@@ -0,0 +1,16 @@
+// lib/errors.js
+// Error type carrying an HTTP status, so route handlers can map module errors to responses
+
+class HttpError extends Error {
+    /**
+     * @param {number} statusCode
+     * @param {string} message
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,267 @@
+// lib/feed-fetcher.js
+// Server-side RSS 2.0 / Atom / RDF fetching and normalization (replaces the rss2json proxy)
+
+const fetch = require('node-fetch').default || require('node-fetch');
+const { XMLParser } = require('fast-xml-parser');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = parseInt(process.env.FEED_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_CACHED_FEEDS = 1000; // Conditional GET entries kept; the least recently fetched are dropped first
+const USER_AGENT = 'THANOS-FeedFetcher/1.0 (+https://github.com/ikcerog/martechlander-dev)';
+
+// Elements that may legitimately repeat and must always parse as arrays
+const ARRAY_ELEMENTS = new Set(['item', 'entry', 'category', 'link', 'dc:subject', 'enclosure']);
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    textNodeName: '#text',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    processEntities: true,
+    htmlEntities: true,
+    isArray: (name) => ARRAY_ELEMENTS.has(name)
+});
+
+// Conditional GET state, keyed by feed URL (at most MAX_CACHED_FEEDS): { etag, lastModified, feed, items }
+const conditionalCache = new Map();
+
+/**
+ * Returns the text content of a parsed XML node (string, text node object, or array of either).
+ * @param {*} node
+ * @returns {string}
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) return textOf(node[0]);
+    if (typeof node === 'object') return textOf(node['#text']);
+    return String(node).trim();
+}
+
+/**
+ * Converts a feed date string to ISO 8601, or null if it cannot be parsed.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toISODate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalizes a list of category nodes (RSS <category>, Atom term attributes, dc:subject).
+ * @param {Array} nodes
+ * @returns {string[]}
+ */
+function normalizeCategories(nodes) {
+    return (nodes || [])
+        .map(node => (node && typeof node === 'object' && node['@_term']) ? node['@_term'] : textOf(node))
+        .filter(Boolean);
+}
+
+/**
+ * Normalizes an RSS 2.0 <item>.
+ * @param {object} item
+ * @returns {object}
+ */
+function normalizeRSSItem(item) {
+    const enclosure = item.enclosure?.[0];
+    return {
+        title: textOf(item.title),
+        link: textOf(item.link) || textOf(item.guid),
+        pubDate: toISODate(textOf(item.pubDate) || textOf(item['dc:date'])),
+        description: textOf(item.description),
+        content: textOf(item['content:encoded']),
+        author: textOf(item['dc:creator']) || textOf(item.author),
+        categories: normalizeCategories(item.category),
+        enclosure: enclosure ? {
+            url: enclosure['@_url'] || '',
+            type: enclosure['@_type'] || '',
+            length: parseInt(enclosure['@_length'], 10) || 0
+        } : null
+    };
+}
+
+/**
+ * Normalizes an Atom <entry>.
+ * @param {object} entry
+ * @returns {object}
+ */
+function normalizeAtomEntry(entry) {
+    const links = entry.link || [];
+    const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    const enclosure = links.find(l => l['@_rel'] === 'enclosure');
+    const authors = Array.isArray(entry.author) ? entry.author : [entry.author];
+    return {
+        title: textOf(entry.title),
+        link: alternate ? (alternate['@_href'] || '') : '',
+        pubDate: toISODate(textOf(entry.published) || textOf(entry.updated)),
+        description: textOf(entry.summary) || textOf(entry.content),
+        content: textOf(entry.content),
+        author: authors.map(a => textOf(a?.name)).filter(Boolean).join(', '),
+        categories: normalizeCategories(entry.category),
+        enclosure: enclosure ? {
+            url: enclosure['@_href'] || '',
+            type: enclosure['@_type'] || '',
+            length: parseInt(enclosure['@_length'], 10) || 0
+        } : null
+    };
+}
+
+/**
+ * Normalizes an RSS 1.0 (RDF) <item>.
+ * @param {object} item
+ * @returns {object}
+ */
+function normalizeRDFItem(item) {
+    return {
+        title: textOf(item.title),
+        link: textOf(item.link) || item['@_rdf:about'] || '',
+        pubDate: toISODate(textOf(item['dc:date'])),
+        description: textOf(item.description),
+        content: textOf(item['content:encoded']),
+        author: textOf(item['dc:creator']),
+        categories: normalizeCategories(item['dc:subject']),
+        enclosure: null
+    };
+}
+
+/**
+ * Parses an RSS 2.0, Atom or RDF document into feed metadata and normalized items.
+ * @param {string} xml
+ * @returns {{format: string, feed: {title: string, link: string, description: string}, items: object[]}}
+ */
+function parseFeed(xml) {
+    const doc = parser.parse(xml);
+
+    if (doc.rss?.channel) {
+        const channel = Array.isArray(doc.rss.channel) ? doc.rss.channel[0] : doc.rss.channel;
+        return {
+            format: 'rss',
+            feed: {
+                title: textOf(channel.title),
+                link: textOf(channel.link),
+                description: textOf(channel.description)
+            },
+            items: (channel.item || []).map(normalizeRSSItem)
+        };
+    }
+
+    if (doc.feed) {
+        const links = doc.feed.link || [];
+        const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate');
+        return {
+            format: 'atom',
+            feed: {
+                title: textOf(doc.feed.title),
+                link: alternate ? alternate['@_href'] : '',
+                description: textOf(doc.feed.subtitle)
+            },
+            items: (doc.feed.entry || []).map(normalizeAtomEntry)
+        };
+    }
+
+    if (doc['rdf:RDF']) {
+        const rdf = doc['rdf:RDF'];
+        const channel = rdf.channel || {};
+        return {
+            format: 'rdf',
+            feed: {
+                title: textOf(channel.title),
+                link: textOf(channel.link),
+                description: textOf(channel.description)
+            },
+            items: (rdf.item || []).map(normalizeRDFItem)
+        };
+    }
+
+    throw new Error('Unrecognized feed format (expected RSS 2.0, Atom or RDF).');
+}
+
+/**
+ * Fetches and parses a single feed, using conditional GET when a previous response is cached.
+ * Throws on network errors, timeouts, non-2xx/304 responses and unparseable documents; errors for HTTP
+ * responses carry the status as `httpStatus`.
+ * @param {string} url
+ * @param {{timeoutMs?: number}} [options]
+ * @returns {Promise<{url: string, status: number, notModified: boolean, format: string, feed: object, items: object[]}>}
+ */
+async function fetchFeed(url, options = {}) {
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const cached = conditionalCache.get(url);
+
+    const headers = {
+        'user-agent': USER_AGENT,
+        'accept': 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+    };
+    if (cached?.etag) headers['if-none-match'] = cached.etag;
+    if (cached?.lastModified) headers['if-modified-since'] = cached.lastModified;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, { headers, signal: controller.signal, redirect: 'follow', size: MAX_FEED_BYTES });
+
+        if (response.status === 304 && cached) {
+            return { url, status: 304, notModified: true, format: cached.format, feed: cached.feed, items: cached.items };
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.httpStatus = response.status;
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = parseFeed(await response.text());
+        } catch (error) {
+            if (error.type === 'max-size') {
+                error.message = `Feed is larger than ${MAX_FEED_BYTES} bytes`;
+            }
+            error.httpStatus = response.status;
+            throw error;
+        }
+
+        conditionalCache.delete(url);
+        if (conditionalCache.size >= MAX_CACHED_FEEDS) {
+            conditionalCache.delete(conditionalCache.keys().next().value);
+        }
+        conditionalCache.set(url, {
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            format: parsed.format,
+            feed: parsed.feed,
+            items: parsed.items
+        });
+
+        return { url, status: response.status, notModified: false, ...parsed };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * The items of a feed's last parsed response in this process, without making a request.
+ * @param {string} url
+ * @returns {object[]|null} null when the feed has not been fetched (or was evicted from the cache)
+ */
+function getCachedItems(url) {
+    const cached = conditionalCache.get(url);
+    return cached ? cached.items : null;
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT_MS,
+    USER_AGENT,
+    parseFeed,
+    fetchFeed,
+    getCachedItems
+};
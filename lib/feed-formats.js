@@ -0,0 +1,177 @@
+// lib/feed-formats.js
+// Serializes one feed model to RSS 2.0, Atom 1.0 and JSON Feed 1.1, with links resolved against a configurable base URL
+//
+// Feed model:
+//   { title, description, homePageUrl, feedUrls: { rss, atom, json }, updated (ms),
+//     items: [{ id, url, title, summary, contentHtml, contentText?, published (ms), authors?: string[], tags?: string[] }] }
+
+const { escapeHTML } = require('./markdown');
+
+// Where the GitHub Action publishes the feeds; set FEED_BASE_URL to the deployed server to link to its pages instead
+const DEFAULT_BASE_URL = 'https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main';
+
+/**
+ * Base URL for feed links (no trailing slash).
+ * @returns {string}
+ */
+function getBaseUrl() {
+    return (process.env.FEED_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Whether FEED_BASE_URL points at a running server (so its pages, not just the published files, can be linked).
+ * @returns {boolean}
+ */
+function isServerBaseUrl() {
+    return Boolean(process.env.FEED_BASE_URL && process.env.FEED_BASE_URL.trim());
+}
+
+/**
+ * Resolves a path against the base URL.
+ * @param {string} pathname Path starting with "/"
+ * @returns {string}
+ */
+function absoluteUrl(pathname) {
+    return `${getBaseUrl()}${pathname}`;
+}
+
+/**
+ * Escapes content for inclusion inside a CDATA section.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeCDATA(text) {
+    return text.replace(/]]>/g, ']]]]><![CDATA[>');
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} RFC 3339 date
+ */
+function isoDate(ms) {
+    return new Date(ms).toISOString();
+}
+
+/**
+ * Builds an RSS 2.0 document.
+ * @param {object} feed Feed model
+ * @returns {string}
+ */
+function buildRSS(feed) {
+    const items = feed.items.map(item => `
+    <item>
+      <title>${escapeHTML(item.title)}</title>
+      <link>${escapeHTML(item.url)}</link>
+      <guid isPermaLink="false">${escapeHTML(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>${(item.authors || []).length ? `
+      <dc:creator>${escapeHTML(item.authors.join(', '))}</dc:creator>` : ''}${(item.tags || []).map(tag => `
+      <category>${escapeHTML(tag)}</category>`).join('')}
+      <description><![CDATA[${escapeCDATA(item.summary || '')}]]></description>
+      <content:encoded><![CDATA[${escapeCDATA(item.contentHtml)}]]></content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0"
+     xmlns:atom="http://www.w3.org/2005/Atom"
+     xmlns:content="http://purl.org/rss/1.0/modules/content/"
+     xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHTML(feed.title)}</title>
+    <link>${escapeHTML(feed.homePageUrl)}</link>
+    <description>${escapeHTML(feed.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHTML(feed.feedUrls.rss)}" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Builds an Atom 1.0 document.
+ * @param {object} feed Feed model
+ * @returns {string}
+ */
+function buildAtom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeHTML(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHTML(item.url)}"/>
+    <id>urn:thanos:${escapeHTML(item.id)}</id>
+    <published>${isoDate(item.published)}</published>
+    <updated>${isoDate(item.published)}</updated>${(item.authors || []).map(author => `
+    <author><name>${escapeHTML(author)}</name></author>`).join('')}${(item.tags || []).map(tag => `
+    <category term="${escapeHTML(tag)}"/>`).join('')}
+    <summary type="text">${escapeHTML(item.summary || '')}</summary>
+    <content type="html">${escapeHTML(item.contentHtml)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHTML(feed.title)}</title>
+  <subtitle>${escapeHTML(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeHTML(feed.homePageUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeHTML(feed.feedUrls.atom)}"/>
+  <id>${escapeHTML(feed.feedUrls.atom)}</id>
+  <updated>${isoDate(feed.updated)}</updated>
+  <author><name>T.H.A.N.O.S.</name></author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Builds a JSON Feed 1.1 document.
+ * @param {object} feed Feed model
+ * @returns {string}
+ */
+function buildJSONFeed(feed) {
+    const document = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.feedUrls.json,
+        description: feed.description,
+        language: 'en-US',
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary || undefined,
+            content_html: item.contentHtml,
+            content_text: item.contentText || undefined,
+            date_published: isoDate(item.published),
+            authors: (item.authors || []).length ? item.authors.map(name => ({ name })) : undefined,
+            tags: (item.tags || []).length ? item.tags : undefined
+        }))
+    };
+    return JSON.stringify(document, null, 2) + '\n';
+}
+
+// Format name → serializer, file extension and Content-Type
+const FORMATS = {
+    rss: { build: buildRSS, extension: 'xml', contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { build: buildAtom, extension: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+    json: { build: buildJSONFeed, extension: 'json', contentType: 'application/feed+json; charset=utf-8' }
+};
+
+/**
+ * Finds the format for a file extension (xml, atom or json).
+ * @param {string} extension
+ * @returns {string|null} Format name
+ */
+function formatForExtension(extension) {
+    return Object.keys(FORMATS).find(name => FORMATS[name].extension === extension) || null;
+}
+
+module.exports = {
+    FORMATS,
+    getBaseUrl,
+    isServerBaseUrl,
+    absoluteUrl,
+    formatForExtension,
+    buildRSS,
+    buildAtom,
+    buildJSONFeed
+};
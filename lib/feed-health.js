@@ -0,0 +1,273 @@
+// lib/feed-health.js
+// Per-source fetch health: every fetch of a registry feed records its outcome (HTTP status, latency, item count,
+// newest item date, error), and feeds are flagged as stale (no new items in FEED_STALE_DAYS) or failing
+// (FEED_FAILURE_THRESHOLD consecutive failed fetches)
+
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+const { fetchFeed } = require('./feed-fetcher');
+const feedRegistry = require('./feed-registry');
+const { HttpError } = require('./errors');
+
+const HEALTH_FILE = process.env.FEED_HEALTH_FILE || dataPath('feed-health.json');
+const STALE_DAYS = parseInt(process.env.FEED_STALE_DAYS, 10) || 7;
+const FAILURE_THRESHOLD = parseInt(process.env.FEED_FAILURE_THRESHOLD, 10) || 3;
+const MAX_RECENT_ATTEMPTS = 20;
+const FLUSH_DELAY_MS = 5000; // Batch the writes from a burst of feed fetches into one
+
+// Worst first: a section (and the whole registry) reports the worst status among its enabled feeds
+const STATUSES = ['failing', 'stale', 'error', 'unknown', 'ok'];
+
+let records = null;   // Map of feed id → health record, loaded lazily
+let loading = null;
+let dirty = false;
+let flushTimer = null;
+let writing = Promise.resolve();
+
+/**
+ * Loads the health records from disk (once). A failed read is retried by the next call.
+ * @returns {Promise<Map<string, object>>}
+ */
+function load() {
+    if (!loading) {
+        loading = readJSON(HEALTH_FILE, { feeds: [] }).then(data => {
+            records = new Map(data.feeds.map(record => [record.feedId, record]));
+            return records;
+        }).catch(error => {
+            loading = null;
+            throw error;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Writes the health records to disk if they changed since the last write.
+ * @returns {Promise<void>}
+ */
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    writing = writing.catch(() => {}).then(async () => {
+        if (!records || !dirty) return;
+        dirty = false;
+        await writeJSON(HEALTH_FILE, { feeds: [...records.values()] });
+    });
+    return writing;
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flush().catch(error => console.error('❌ Failed to write the feed health records:', error.message));
+    }, FLUSH_DELAY_MS);
+    flushTimer.unref(); // Never keep a finished script alive; scripts call flush() themselves
+}
+
+/**
+ * Publish date of a feed's newest item, or null when no item is dated.
+ * @param {object[]} items Normalized items from lib/feed-fetcher
+ * @returns {string|null}
+ */
+function newestItemDate(items) {
+    const times = items.map(item => new Date(item.pubDate).getTime()).filter(time => !Number.isNaN(time));
+    return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Fingerprint of a feed's item set (links and titles, in any order), to tell when undated feeds publish something new.
+ * @param {object[]} items Normalized items from lib/feed-fetcher
+ * @returns {string}
+ */
+function itemsFingerprint(items) {
+    const keys = items.map(item => `${item.link || ''}\n${item.title || ''}`).sort();
+    return crypto.createHash('sha1').update(keys.join('\n')).digest('hex');
+}
+
+/**
+ * Records the outcome of one fetch of a registry feed. Never throws: problems are logged so they
+ * cannot break feed loading.
+ * @param {{id: string, url: string}} feed Registry feed
+ * @param {object} outcome
+ * @param {number} outcome.latencyMs
+ * @param {{status: number, notModified: boolean, items: object[]}} [outcome.result] The fetchFeed result, on success
+ * @param {Error} [outcome.error] The fetch error, on failure
+ * @returns {Promise<void>}
+ */
+async function recordFetch(feed, { latencyMs, result, error }) {
+    try {
+        await load();
+        const now = Date.now();
+        const record = records.get(feed.id) || {
+            feedId: feed.id,
+            lastSuccess: null,
+            lastFailure: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            itemCount: null,
+            newestItem: null,
+            itemsChangedAt: null,
+            recent: []
+        };
+
+        record.url = feed.url;
+        record.lastAttempt = now;
+        record.latencyMs = latencyMs;
+
+        if (error) {
+            record.httpStatus = error.httpStatus || null;
+            record.lastFailure = now;
+            record.lastError = { time: now, message: error.message, httpStatus: error.httpStatus || null };
+            record.consecutiveFailures++;
+        } else {
+            record.httpStatus = result.status;
+            record.lastSuccess = now;
+            record.consecutiveFailures = 0;
+            record.itemCount = result.items.length;
+            // A 304 repeats the cached items, so the newest date can only move forward
+            const newest = newestItemDate(result.items);
+            if (newest && (!record.newestItem || newest > record.newestItem)) record.newestItem = newest;
+            // Feeds without dates go stale by the time their item set last changed instead
+            const fingerprint = itemsFingerprint(result.items);
+            if (fingerprint !== record.itemsFingerprint) {
+                record.itemsFingerprint = fingerprint;
+                record.itemsChangedAt = now;
+            }
+        }
+
+        record.recent = [
+            { time: now, ok: !error, httpStatus: record.httpStatus, latencyMs, ...(error ? { error: error.message } : {}) },
+            ...record.recent
+        ].slice(0, MAX_RECENT_ATTEMPTS);
+
+        records.set(feed.id, record);
+        dirty = true;
+        scheduleFlush();
+    } catch (recordError) {
+        console.warn(`⚠️  Could not record feed health for ${feed.id}:`, recordError.message);
+    }
+}
+
+/**
+ * Fetches a registry feed (see lib/feed-fetcher.fetchFeed) and records the outcome.
+ * @param {{id: string, url: string}} feed Registry feed
+ * @param {{timeoutMs?: number}} [options]
+ * @returns {Promise<object>} The fetchFeed result
+ */
+async function fetchRegistryFeed(feed, options = {}) {
+    const started = Date.now();
+    try {
+        const result = await fetchFeed(feed.url, options);
+        await recordFetch(feed, { latencyMs: Date.now() - started, result });
+        return result;
+    } catch (error) {
+        await recordFetch(feed, { latencyMs: Date.now() - started, error });
+        throw error;
+    }
+}
+
+/**
+ * Status of a feed from its health record.
+ * @param {object|undefined} record
+ * @param {number} now
+ * @returns {string} One of STATUSES
+ */
+function feedStatus(record, now) {
+    if (!record) return 'unknown';
+    if (record.consecutiveFailures >= FAILURE_THRESHOLD) return 'failing';
+    const lastNewItems = record.newestItem ? new Date(record.newestItem).getTime() : record.itemsChangedAt;
+    if (lastNewItems && now - lastNewItems > STALE_DAYS * 24 * 60 * 60 * 1000) return 'stale';
+    if (record.consecutiveFailures > 0) return 'error';
+    return record.lastSuccess ? 'ok' : 'unknown';
+}
+
+/**
+ * The worst of several statuses ('unknown' when there are none).
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+function worstStatus(statuses) {
+    if (!statuses.length) return 'unknown';
+    return STATUSES[Math.min(...statuses.map(status => STATUSES.indexOf(status)))];
+}
+
+/**
+ * Counts feeds per status.
+ * @param {object[]} feeds
+ * @returns {object}
+ */
+function countStatuses(feeds) {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    feeds.forEach(feed => counts[feed.status]++);
+    return counts;
+}
+
+/**
+ * Health report for every registry feed, per section and overall. Disabled feeds are listed
+ * but do not count towards the section and overall status.
+ * @param {{section?: string}} [filters]
+ * @returns {Promise<object>}
+ */
+async function getHealthReport({ section } = {}) {
+    await load();
+    const registry = await feedRegistry.loadRegistry();
+    if (section && !registry.sections.some(candidate => candidate.id === section)) {
+        throw new HttpError(404, `Section "${section}" not found.`);
+    }
+    const now = Date.now();
+
+    const feeds = registry.feeds
+        .filter(feed => !section || feed.section === section)
+        .map(feed => {
+            const record = records.get(feed.id);
+            return {
+                id: feed.id,
+                name: feed.name,
+                url: feed.url,
+                section: feed.section,
+                enabled: feed.enabled,
+                status: feedStatus(record, now),
+                lastAttempt: record?.lastAttempt || null,
+                lastSuccess: record?.lastSuccess || null,
+                lastError: record?.lastError || null,
+                httpStatus: record?.httpStatus || null,
+                latencyMs: record?.latencyMs ?? null,
+                itemCount: record?.itemCount ?? null,
+                newestItem: record?.newestItem || null,
+                itemsChangedAt: record?.itemsChangedAt || null,
+                consecutiveFailures: record?.consecutiveFailures || 0,
+                recent: record?.recent || []
+            };
+        });
+    const monitored = feeds.filter(feed => feed.enabled);
+
+    return {
+        status: worstStatus(monitored.map(feed => feed.status)),
+        checkedAt: now,
+        staleDays: STALE_DAYS,
+        failureThreshold: FAILURE_THRESHOLD,
+        counts: countStatuses(monitored),
+        sections: registry.sections
+            .filter(candidate => !section || candidate.id === section)
+            .map(candidate => {
+                const sectionFeeds = monitored.filter(feed => feed.section === candidate.id);
+                return {
+                    id: candidate.id,
+                    label: candidate.label,
+                    status: worstStatus(sectionFeeds.map(feed => feed.status)),
+                    counts: countStatuses(sectionFeeds)
+                };
+            }),
+        feeds
+    };
+}
+
+module.exports = {
+    STATUSES,
+    STALE_DAYS,
+    FAILURE_THRESHOLD,
+    recordFetch,
+    fetchRegistryFeed,
+    flush,
+    getHealthReport
+};
@@ -0,0 +1,302 @@
+// lib/feed-registry.js
+// Single persisted list of feed sources and dashboard sections, shared by the server and the daily script
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { normalizeLink } = require('./story-clusters');
+
+const REGISTRY_FILE = process.env.FEED_REGISTRY_FILE || dataPath('feeds.json');
+const DEFAULT_ITEM_LIMIT = 10;
+const MAX_ITEM_LIMIT = 50;
+
+/**
+ * Turns a display name into a URL-safe identifier.
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'feed';
+}
+
+/**
+ * Returns a slug that does not collide with any of the existing ids.
+ * @param {string} base
+ * @param {string[]} existingIds
+ * @returns {string}
+ */
+function uniqueId(base, existingIds) {
+    let id = slugify(base);
+    let counter = 2;
+    while (existingIds.includes(id)) {
+        id = `${slugify(base)}-${counter++}`;
+    }
+    return id;
+}
+
+/**
+ * Checks that a value is an absolute http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isFeedURL(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates and normalizes the editable fields of a feed. Only fields present in `input` are returned.
+ * @param {object} input
+ * @param {{sections: object[]}} registry
+ * @returns {object}
+ */
+function validateFeedFields(input, registry) {
+    const fields = {};
+
+    if (input.url !== undefined) {
+        if (!isFeedURL(input.url)) throw new HttpError(400, 'Feed "url" must be an absolute http(s) URL.');
+        fields.url = input.url.trim();
+    }
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) throw new HttpError(400, 'Feed "name" must be a non-empty string.');
+        fields.name = input.name.trim();
+    }
+    if (input.section !== undefined) {
+        if (!registry.sections.some(s => s.id === input.section)) {
+            throw new HttpError(400, `Unknown section "${input.section}".`);
+        }
+        fields.section = input.section;
+    }
+    if (input.enabled !== undefined) {
+        fields.enabled = Boolean(input.enabled);
+    }
+    if (input.limit !== undefined) {
+        const limit = parseInt(input.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_ITEM_LIMIT) {
+            throw new HttpError(400, `Feed "limit" must be between 1 and ${MAX_ITEM_LIMIT}.`);
+        }
+        fields.limit = limit;
+    }
+
+    return fields;
+}
+
+/**
+ * Reads the registry from disk.
+ * @returns {Promise<{sections: object[], feeds: object[]}>}
+ */
+async function loadRegistry() {
+    const registry = await readJSON(REGISTRY_FILE, null);
+    if (!registry) {
+        console.warn(`Feed registry not found at ${REGISTRY_FILE}; starting with no feeds.`);
+        return { sections: [], feeds: [] };
+    }
+    return { sections: registry.sections || [], feeds: registry.feeds || [] };
+}
+
+/**
+ * Returns the enabled feeds, optionally restricted to a set of sections.
+ * @param {string[]} [sectionIds]
+ * @returns {Promise<object[]>}
+ */
+async function getEnabledFeeds(sectionIds) {
+    const { feeds } = await loadRegistry();
+    return feeds.filter(feed => feed.enabled && (!sectionIds || sectionIds.includes(feed.section)));
+}
+
+/**
+ * Looks up a single feed by id.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getFeed(id) {
+    const { feeds } = await loadRegistry();
+    return feeds.find(feed => feed.id === id) || null;
+}
+
+/**
+ * Whether two URLs point at the same feed, ignoring the scheme, "www.", letter case in the host, tracking
+ * parameters, parameter order and a trailing slash (see normalizeLink).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameFeedURL(a, b) {
+    return normalizeLink(a) === normalizeLink(b);
+}
+
+/**
+ * Looks up a single feed by its URL (matched as in isSameFeedURL).
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+async function findFeedByUrl(url) {
+    const { feeds } = await loadRegistry();
+    return feeds.find(feed => isSameFeedURL(feed.url, url)) || null;
+}
+
+/**
+ * Adds a feed to the registry.
+ * @param {{url: string, name: string, section: string, enabled?: boolean, limit?: number}} input
+ * @returns {Promise<object>} The stored feed
+ */
+async function addFeed(input) {
+    let added = null;
+    await updateJSON(REGISTRY_FILE, { sections: [], feeds: [] }, registry => {
+        if (input.url === undefined || input.name === undefined || input.section === undefined) {
+            throw new HttpError(400, 'Feed "url", "name" and "section" are required.');
+        }
+        const fields = validateFeedFields(input, registry);
+        const duplicate = registry.feeds.find(feed => isSameFeedURL(feed.url, fields.url));
+        if (duplicate) {
+            throw new HttpError(409, `A feed with URL ${fields.url} is already registered as "${duplicate.id}".`);
+        }
+
+        added = {
+            id: uniqueId(fields.name, registry.feeds.map(feed => feed.id)),
+            url: fields.url,
+            name: fields.name,
+            section: fields.section,
+            enabled: fields.enabled !== undefined ? fields.enabled : true,
+            limit: fields.limit || DEFAULT_ITEM_LIMIT
+        };
+        registry.feeds.push(added);
+    });
+    return added;
+}
+
+/**
+ * Updates the editable fields of an existing feed (url, name, section, enabled, limit).
+ * @param {string} id
+ * @param {object} changes
+ * @returns {Promise<object>} The updated feed
+ */
+async function updateFeed(id, changes) {
+    let updated = null;
+    await updateJSON(REGISTRY_FILE, { sections: [], feeds: [] }, registry => {
+        const feed = registry.feeds.find(f => f.id === id);
+        if (!feed) throw new HttpError(404, `Feed "${id}" not found.`);
+
+        const fields = validateFeedFields(changes, registry);
+        const duplicate = fields.url && registry.feeds.find(f => f.id !== id && isSameFeedURL(f.url, fields.url));
+        if (duplicate) {
+            throw new HttpError(409, `A feed with URL ${fields.url} is already registered as "${duplicate.id}".`);
+        }
+        Object.assign(feed, fields);
+        updated = feed;
+    });
+    return updated;
+}
+
+/**
+ * Removes a feed from the registry.
+ * @param {string} id
+ * @returns {Promise<object>} The removed feed
+ */
+async function deleteFeed(id) {
+    let removed = null;
+    await updateJSON(REGISTRY_FILE, { sections: [], feeds: [] }, registry => {
+        const index = registry.feeds.findIndex(f => f.id === id);
+        if (index === -1) throw new HttpError(404, `Feed "${id}" not found.`);
+        [removed] = registry.feeds.splice(index, 1);
+    });
+    return removed;
+}
+
+/**
+ * Adds a dashboard section. Each enabled section with at least one enabled feed is rendered by the dashboard.
+ * `community` marks practitioner communities (e.g. subreddits): they get the Community Pulse report instead of
+ * a section brief (see lib/section-reports.js).
+ * @param {{id?: string, label: string, emoji?: string, grouped?: boolean, community?: boolean}} input
+ * @returns {Promise<object>} The stored section
+ */
+async function addSection(input) {
+    let added = null;
+    await updateJSON(REGISTRY_FILE, { sections: [], feeds: [] }, registry => {
+        if (typeof input.label !== 'string' || !input.label.trim()) {
+            throw new HttpError(400, 'Section "label" must be a non-empty string.');
+        }
+        const ids = registry.sections.map(s => s.id);
+        const id = input.id ? slugify(input.id) : uniqueId(`${input.label}-feed`, ids);
+        if (ids.includes(id)) throw new HttpError(409, `Section "${id}" already exists.`);
+
+        added = { id, label: input.label.trim(), emoji: input.emoji || '📰' };
+        if (input.grouped) added.grouped = true;
+        if (input.community) added.community = true;
+        registry.sections.push(added);
+    });
+    return added;
+}
+
+/**
+ * Adds many feeds in one registry update (e.g. from an OPML import). Each entry names the section it belongs to
+ * by id or label (case-insensitive); unknown names become new sections. Entries with an invalid URL fail, and
+ * URLs already registered (or repeated in the import) are skipped; the other entries are still added.
+ * @param {Array<{url: string, name?: string, section?: string, enabled?: boolean}>} entries
+ * @param {{defaultSection?: string}} [options] Section id or label for entries without a section (default "Imported")
+ * @returns {Promise<{added: object[], skipped: object[], failed: object[], sections: object[]}>}
+ */
+async function importFeeds(entries, { defaultSection } = {}) {
+    const report = { added: [], skipped: [], failed: [], sections: [] };
+    await updateJSON(REGISTRY_FILE, { sections: [], feeds: [] }, registry => {
+        const findSection = name => {
+            const key = String(name).trim().toLowerCase();
+            return registry.sections.find(s => s.id === key || s.label.toLowerCase() === key);
+        };
+        const resolveSection = name => {
+            const existing = findSection(name);
+            if (existing) return existing;
+            const section = { id: uniqueId(`${name}-feed`, registry.sections.map(s => s.id)), label: String(name).trim(), emoji: '📰' };
+            registry.sections.push(section);
+            report.sections.push(section);
+            return section;
+        };
+
+        entries.forEach(entry => {
+            const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+            if (!isFeedURL(url)) {
+                report.failed.push({ url, name: entry.name || '', reason: 'Not an absolute http(s) URL.' });
+                return;
+            }
+            const name = (entry.name || '').trim() || new URL(url).hostname;
+            const duplicate = registry.feeds.find(feed => isSameFeedURL(feed.url, url));
+            if (duplicate) {
+                const reason = report.added.includes(duplicate) ? 'Listed more than once in the import.' : `Already registered as "${duplicate.id}".`;
+                report.skipped.push({ url, name, reason });
+                return;
+            }
+
+            const section = resolveSection(entry.section || defaultSection || 'Imported');
+            const feed = {
+                id: uniqueId(name, registry.feeds.map(f => f.id)),
+                url,
+                name,
+                section: section.id,
+                enabled: entry.enabled !== false,
+                limit: DEFAULT_ITEM_LIMIT
+            };
+            registry.feeds.push(feed);
+            report.added.push(feed);
+        });
+    });
+    return report;
+}
+
+module.exports = {
+    DEFAULT_ITEM_LIMIT,
+    slugify,
+    uniqueId,
+    isFeedURL,
+    loadRegistry,
+    getEnabledFeeds,
+    getFeed,
+    findFeedByUrl,
+    addFeed,
+    updateFeed,
+    deleteFeed,
+    addSection,
+    importFeeds
+};
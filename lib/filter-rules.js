@@ -0,0 +1,325 @@
+// lib/filter-rules.js
+// Editable filtering rules (block, highlight, boost) matched on keywords, regex, source or section.
+// Persisted in data/ and applied by the server (dashboard cards, summary input) and the daily script.
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { uniqueId } = require('./feed-registry');
+
+const RULES_FILE = process.env.FILTER_RULES_FILE || dataPath('filter-rules.json');
+const ACTIONS = ['block', 'highlight', 'boost'];
+const MATCH_LIST_FIELDS = ['keywords', 'sources', 'sections'];
+const MAX_LIST_ENTRIES = 100;
+const MAX_ENTRY_CHARS = 200;
+const MAX_REGEX_CHARS = 100;
+const MAX_REGEX_INPUT_CHARS = 2000; // Regexes only see the start of long descriptions
+const MAX_BOOST_WEIGHT = 10;
+
+/**
+ * Reads the rule list from disk.
+ * @returns {Promise<object[]>}
+ */
+async function loadRules() {
+    const store = await readJSON(RULES_FILE, { rules: [] });
+    return Array.isArray(store.rules) ? store.rules : [];
+}
+
+/**
+ * Validates a list of match strings (keywords, sources or sections).
+ * @param {*} value
+ * @param {string} field
+ * @returns {string[]}
+ */
+function validateList(value, field) {
+    if (!Array.isArray(value) || value.length > MAX_LIST_ENTRIES ||
+        value.some(entry => typeof entry !== 'string' || !entry.trim() || entry.length > MAX_ENTRY_CHARS)) {
+        throw new HttpError(400, `Rule "match.${field}" must be an array of up to ${MAX_LIST_ENTRIES} non-empty strings.`);
+    }
+    return value.map(entry => entry.trim());
+}
+
+/**
+ * Whether the pattern character at `index` starts a repetition (*, + or {n,m}).
+ * @param {string} pattern
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isRepetitionAt(pattern, index) {
+    const char = pattern[index];
+    return char === '*' || char === '+' || (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(index)));
+}
+
+/**
+ * Why a regex could backtrack catastrophically on a long title or description, or null when it is safe to run:
+ * too long, a backreference, or a repeated group that itself contains a repetition or alternatives, such as
+ * (a+)+, (\w+\s?)* or (a|a)*b.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function unsafeRegexReason(pattern) {
+    if (pattern.length > MAX_REGEX_CHARS) return `longer than ${MAX_REGEX_CHARS} characters`;
+
+    const groups = []; // Per open group: whether it contains a repetition and/or alternatives
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        const group = groups[groups.length - 1];
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[index + 1] || '')) return 'backreferences are not supported';
+            index++;
+        } else if (char === '[') {
+            for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+                if (pattern[index] === '\\') index++;
+            }
+        } else if (char === '(') {
+            groups.push({ repetition: false, alternation: false });
+        } else if (char === ')') {
+            const closed = groups.pop();
+            const repeated = isRepetitionAt(pattern, index + 1);
+            if (repeated && closed.repetition) return 'nested quantifiers such as (a+)+ are not supported';
+            if (repeated && closed.alternation) return 'repeated groups with alternatives such as (a|b)* are not supported';
+            const parent = groups[groups.length - 1];
+            if (parent) {
+                parent.repetition = parent.repetition || closed.repetition || repeated;
+                parent.alternation = parent.alternation || closed.alternation;
+            }
+        } else if (group && char === '|') {
+            group.alternation = true;
+        } else if (group && isRepetitionAt(pattern, index)) {
+            group.repetition = true;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a rule's match criteria. At least one criterion is required; all given criteria must match.
+ * @param {object} match
+ * @returns {object}
+ */
+function validateMatch(match) {
+    if (!match || typeof match !== 'object') {
+        throw new HttpError(400, 'Rule "match" must be an object with keywords, regex, sources and/or sections.');
+    }
+
+    const validated = {};
+    MATCH_LIST_FIELDS.forEach(field => {
+        if (match[field] !== undefined && match[field] !== null) {
+            const list = validateList(match[field], field);
+            if (list.length) validated[field] = list;
+        }
+    });
+
+    if (match.regex !== undefined && match.regex !== null && match.regex !== '') {
+        if (typeof match.regex !== 'string' || match.regex.length > MAX_REGEX_CHARS) {
+            throw new HttpError(400, `Rule "match.regex" must be a string of at most ${MAX_REGEX_CHARS} characters.`);
+        }
+        try {
+            new RegExp(match.regex, 'i');
+        } catch (error) {
+            throw new HttpError(400, `Rule "match.regex" is not a valid regular expression: ${error.message}`);
+        }
+        const unsafe = unsafeRegexReason(match.regex);
+        if (unsafe) throw new HttpError(400, `Rule "match.regex" is not allowed: ${unsafe}.`);
+        validated.regex = match.regex;
+    }
+
+    if (Object.keys(validated).length === 0) {
+        throw new HttpError(400, 'Rule "match" needs at least one of keywords, regex, sources or sections.');
+    }
+    return validated;
+}
+
+/**
+ * Validates the editable fields of a rule. Only fields present in `input` are returned.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateRuleFields(input) {
+    const fields = {};
+
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) throw new HttpError(400, 'Rule "name" must be a non-empty string.');
+        fields.name = input.name.trim();
+    }
+    if (input.action !== undefined) {
+        if (!ACTIONS.includes(input.action)) throw new HttpError(400, `Rule "action" must be one of: ${ACTIONS.join(', ')}.`);
+        fields.action = input.action;
+    }
+    if (input.match !== undefined) {
+        fields.match = validateMatch(input.match);
+    }
+    if (input.enabled !== undefined) {
+        fields.enabled = Boolean(input.enabled);
+    }
+    if (input.weight !== undefined) {
+        const weight = Number(input.weight);
+        if (!Number.isFinite(weight) || weight < 1 || weight > MAX_BOOST_WEIGHT) {
+            throw new HttpError(400, `Rule "weight" must be between 1 and ${MAX_BOOST_WEIGHT}.`);
+        }
+        fields.weight = weight;
+    }
+    return fields;
+}
+
+/**
+ * Builds a complete rule from input, checking required fields.
+ * @param {object} input
+ * @param {string[]} existingIds
+ * @returns {object}
+ */
+function buildRule(input, existingIds) {
+    const fields = validateRuleFields(input);
+    const missing = ['name', 'action', 'match'].filter(field => !fields[field]);
+    if (missing.length) {
+        throw new HttpError(400, `Rule fields required: ${missing.join(', ')}.`);
+    }
+    const rule = { id: uniqueId(input.id || fields.name, existingIds), enabled: true, ...fields };
+    if (rule.action === 'boost' && rule.weight === undefined) rule.weight = 1;
+    return rule;
+}
+
+/**
+ * Adds a rule.
+ * @param {{name: string, action: string, match: object, enabled?: boolean, weight?: number, id?: string}} input
+ * @returns {Promise<object>}
+ */
+async function addRule(input) {
+    let added = null;
+    await updateJSON(RULES_FILE, { rules: [] }, store => {
+        added = buildRule(input, store.rules.map(rule => rule.id));
+        store.rules.push(added);
+    });
+    return added;
+}
+
+/**
+ * Edits a rule.
+ * @param {string} id
+ * @param {object} changes
+ * @returns {Promise<object>}
+ */
+async function updateRule(id, changes) {
+    let updated = null;
+    await updateJSON(RULES_FILE, { rules: [] }, store => {
+        const rule = store.rules.find(r => r.id === id);
+        if (!rule) throw new HttpError(404, `Filter rule "${id}" not found.`);
+        Object.assign(rule, validateRuleFields(changes));
+        if (rule.action === 'boost' && rule.weight === undefined) rule.weight = 1;
+        updated = rule;
+    });
+    return updated;
+}
+
+/**
+ * Deletes a rule.
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function deleteRule(id) {
+    let removed = null;
+    await updateJSON(RULES_FILE, { rules: [] }, store => {
+        const index = store.rules.findIndex(r => r.id === id);
+        if (index === -1) throw new HttpError(404, `Filter rule "${id}" not found.`);
+        [removed] = store.rules.splice(index, 1);
+    });
+    return removed;
+}
+
+/**
+ * Replaces every rule (JSON import). The whole set is validated before anything is written.
+ * @param {{rules: object[]}} input
+ * @returns {Promise<object[]>}
+ */
+async function replaceRules(input) {
+    if (!input || !Array.isArray(input.rules)) {
+        throw new HttpError(400, 'Import must be an object with a "rules" array.');
+    }
+    const rules = [];
+    input.rules.forEach((rule, index) => {
+        try {
+            rules.push(buildRule(rule, rules.map(r => r.id)));
+        } catch (error) {
+            throw new HttpError(error.statusCode || 400, `Rule ${index + 1}: ${error.message}`);
+        }
+        if (rule.enabled === false) rules[rules.length - 1].enabled = false;
+    });
+    await updateJSON(RULES_FILE, { rules: [] }, () => ({ rules }));
+    return rules;
+}
+
+/**
+ * Compiles a rule's regex. Regexes that would not pass validation (e.g. in a hand-edited rules file) disable the
+ * rule rather than risk blocking the event loop.
+ * @param {object} rule
+ * @returns {RegExp|null|false} null without a regex, false when the rule must be skipped
+ */
+function compileRegex(rule) {
+    if (!rule.match.regex) return null;
+    const unsafe = typeof rule.match.regex === 'string' ? unsafeRegexReason(rule.match.regex) : 'not a string';
+    if (!unsafe) {
+        try {
+            return new RegExp(rule.match.regex, 'i');
+        } catch (error) {
+            console.warn(`⚠️ Skipping filter rule "${rule.id}": invalid regex (${error.message})`);
+            return false;
+        }
+    }
+    console.warn(`⚠️ Skipping filter rule "${rule.id}": regex ${unsafe}`);
+    return false;
+}
+
+/**
+ * Compiles rules into a matcher. Disabled rules and rules with an unsafe or invalid regex are skipped.
+ * @param {object[]} rules
+ * @returns {function({title: string, description: string, source: string, feedId?: string, section?: string}): {blocked: boolean, highlighted: boolean, boost: number, rules: string[]}}
+ */
+function compileRules(rules) {
+    const compiled = rules.filter(rule => rule.enabled !== false).map(rule => ({
+        rule,
+        keywords: (rule.match.keywords || []).map(keyword => keyword.toLowerCase()),
+        regex: compileRegex(rule),
+        sources: (rule.match.sources || []).map(source => source.toLowerCase()),
+        sections: rule.match.sections || []
+    })).filter(({ regex }) => regex !== false);
+
+    return article => {
+        const text = `${article.title || ''} ${article.description || ''}`;
+        const lowerText = text.toLowerCase();
+        const source = (article.source || '').toLowerCase();
+        const feedId = (article.feedId || '').toLowerCase();
+        const result = { blocked: false, highlighted: false, boost: 0, rules: [] };
+
+        compiled.forEach(({ rule, keywords, regex, sources, sections }) => {
+            if (keywords.length && !keywords.some(keyword => lowerText.includes(keyword))) return;
+            if (regex && !regex.test(text.slice(0, MAX_REGEX_INPUT_CHARS))) return;
+            if (sources.length && !sources.includes(source) && !sources.includes(feedId)) return;
+            if (sections.length && !sections.includes(article.section)) return;
+
+            result.rules.push(rule.id);
+            if (rule.action === 'block') result.blocked = true;
+            if (rule.action === 'highlight') result.highlighted = true;
+            if (rule.action === 'boost') result.boost += rule.weight || 1;
+        });
+
+        return result;
+    };
+}
+
+/**
+ * Loads and compiles the current rules.
+ * @returns {Promise<function(object): object>}
+ */
+async function loadMatcher() {
+    return compileRules(await loadRules());
+}
+
+module.exports = {
+    ACTIONS,
+    loadRules,
+    addRule,
+    updateRule,
+    deleteRule,
+    replaceRules,
+    compileRules,
+    loadMatcher
+};
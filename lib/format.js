@@ -0,0 +1,77 @@
+// lib/format.js
+// Display formatting shared by the server, the feed writer and the daily script
+
+/**
+ * Formats a timestamp into a readable date/time string, forcing EST/EDT.
+ * @param {number} msTimestamp 
+ * @returns {string}
+ */
+function formatTimestamp(msTimestamp) {
+    if (!msTimestamp) return 'N/A';
+    return new Date(msTimestamp).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        timeZone: 'America/New_York', // Force EST/EDT
+        timeZoneName: 'short'
+    });
+}
+
+/**
+ * Calendar date of a timestamp in EST/EDT, as YYYY-MM-DD (for daily quotas, budgets and reports).
+ * @param {number} [msTimestamp] Defaults to now
+ * @returns {string}
+ */
+function formatDateKey(msTimestamp = Date.now()) {
+    return new Date(msTimestamp).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * The last `count` calendar dates in EST/EDT up to the date of a timestamp, oldest first, as YYYY-MM-DD.
+ * Steps back by calendar day rather than by 24 hours, which would skip a date around the 23-hour day of a
+ * daylight saving change.
+ * @param {number} count
+ * @param {number} [msTimestamp] Defaults to now
+ * @returns {string[]}
+ */
+function recentDateKeys(count, msTimestamp = Date.now()) {
+    const [year, month, day] = formatDateKey(msTimestamp).split('-').map(Number);
+    const dates = [];
+    for (let i = count - 1; i >= 0; i--) {
+        dates.push(new Date(Date.UTC(year, month - 1, day - i)).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', mdash: '—', ndash: '–', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+/**
+ * String.fromCodePoint that yields an empty string for out-of-range code points.
+ * @param {number} code
+ * @returns {string}
+ */
+function fromCodePoint(code) {
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+}
+
+/**
+ * Converts an HTML fragment (e.g. a feed item description) to plain text with collapsed whitespace.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&#(\d+);/g, (m, code) => fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => fromCodePoint(parseInt(code, 16)))
+        .replace(/&([a-z]+);/gi, (m, name) => NAMED_ENTITIES[name.toLowerCase()] ?? m)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = { formatTimestamp, formatDateKey, recentDateKeys, htmlToText };
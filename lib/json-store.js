@@ -0,0 +1,77 @@
+// lib/json-store.js
+// Small helpers for the JSON files persisted under data/
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Root directory for persisted state (override with DATA_DIR, e.g. for offline runs)
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+// Per-file promise chains so concurrent updates to the same file never interleave
+const writeQueues = new Map();
+
+/**
+ * Resolves a file name relative to the data directory.
+ * @param {...string} segments
+ * @returns {string}
+ */
+function dataPath(...segments) {
+    return path.join(DATA_DIR, ...segments);
+}
+
+/**
+ * Reads and parses a JSON file, returning the fallback when it does not exist yet.
+ * @param {string} file
+ * @param {*} fallback
+ * @returns {Promise<*>}
+ */
+async function readJSON(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Writes a JSON file atomically (temp file + rename), creating parent directories as needed.
+ * @param {string} file
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+async function writeJSON(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    await fs.rename(tempFile, file);
+}
+
+/**
+ * Serialized read-modify-write of a JSON file. The mutator may modify the value in place
+ * or return a replacement; its result (or the mutated value) is written and returned.
+ * @param {string} file
+ * @param {*} fallback
+ * @param {function(*): (*|Promise<*>)} mutator
+ * @returns {Promise<*>}
+ */
+function updateJSON(file, fallback, mutator) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const current = await readJSON(file, fallback);
+        const result = await mutator(current);
+        const updated = result === undefined ? current : result;
+        await writeJSON(file, updated);
+        return updated;
+    });
+    writeQueues.set(file, next);
+    return next;
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJSON,
+    writeJSON,
+    updateJSON
+};
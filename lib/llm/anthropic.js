@@ -0,0 +1,129 @@
+// lib/llm/anthropic.js
+// Anthropic Messages API provider
+
+const fetch = require('node-fetch').default || require('node-fetch');
+const { readServerSentEvents } = require('./sse');
+const { httpError } = require('./retry');
+const { attachPartialUsage } = require('./usage');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929'; // Claude Sonnet 4.5 (released Sept 29, 2025)
+const API_VERSION = '2023-06-01';
+// Stream error types worth retrying (the HTTP equivalents are 529, 500 and 429)
+const RETRYABLE_STREAM_ERRORS = ['overloaded_error', 'api_error', 'rate_limit_error'];
+
+/**
+ * Creates an Anthropic provider.
+ * @param {{apiKey: string, model?: string, maxTokens: number, temperature?: number, baseUrl?: string}} config
+ * @returns {object}
+ */
+function createAnthropicProvider(config) {
+    const model = config.model || DEFAULT_MODEL;
+    const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+    return {
+        name: 'anthropic',
+        model,
+
+        /**
+         * Generates a completion. When `onText` is given the response is streamed and each text delta is passed to it.
+         * @param {{system: string, messages: Array<{role: string, content: string}>, signal?: AbortSignal, onText?: function(string): void}} request
+         * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}, stopReason: string}>}
+         */
+        async generate({ system, messages, signal, onText }) {
+            if (!config.apiKey) {
+                throw new Error('CLAUDE_API_KEY environment variable is not set.');
+            }
+
+            const body = {
+                model,
+                max_tokens: config.maxTokens,
+                system,
+                messages
+            };
+            if (config.temperature !== undefined) body.temperature = config.temperature;
+            if (onText) body.stream = true;
+
+            const response = await fetch(`${baseUrl}/v1/messages`, {
+                method: 'POST',
+                headers: {
+                    'x-api-key': config.apiKey,
+                    'anthropic-version': API_VERSION, // Required API version
+                    'content-type': 'application/json'
+                },
+                body: JSON.stringify(body),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`❌ Claude API HTTP Error ${response.status}:`, errorText);
+                throw httpError(response, `Anthropic API request failed with status ${response.status}: ${errorText}`);
+            }
+
+            if (onText) {
+                return readStream(response.body, model, onText, { system, messages });
+            }
+
+            const data = await response.json();
+
+            // Extract the text from Claude's response structure
+            return {
+                text: data.content?.[0]?.text || 'Error: Could not extract summary text from Claude response.',
+                model: data.model || model,
+                usage: {
+                    inputTokens: data.usage?.input_tokens || 0,
+                    outputTokens: data.usage?.output_tokens || 0
+                },
+                stopReason: data.stop_reason || null
+            };
+        }
+    };
+}
+
+/**
+ * Consumes a streamed Messages API response, relaying text deltas as they arrive.
+ * Throws if the stream ends without a message_stop event, so partial output is never treated as complete; the
+ * error then carries the tokens consumed so far (see ./usage.js).
+ * @param {AsyncIterable<Buffer>} body
+ * @param {string} model Requested model (used if the stream does not report one)
+ * @param {function(string): void} onText
+ * @param {{system: string, messages: Array<{role: string, content: string}>}} request For usage estimates
+ * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}, stopReason: string}>}
+ */
+async function readStream(body, model, onText, request) {
+    const result = { text: '', model, usage: { inputTokens: 0, outputTokens: 0 }, stopReason: null };
+    let completed = false;
+
+    try {
+        for await (const { event, data } of readServerSentEvents(body)) {
+            const payload = JSON.parse(data);
+
+            if (event === 'message_start') {
+                result.model = payload.message?.model || model;
+                result.usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+            } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                result.text += payload.delta.text;
+                onText(payload.delta.text);
+            } else if (event === 'message_delta') {
+                result.stopReason = payload.delta?.stop_reason || result.stopReason;
+                result.usage.outputTokens = payload.usage?.output_tokens || result.usage.outputTokens;
+            } else if (event === 'message_stop') {
+                completed = true;
+            } else if (event === 'error') {
+                const error = new Error(`Anthropic stream error: ${payload.error?.message || data}`);
+                error.retryable = RETRYABLE_STREAM_ERRORS.includes(payload.error?.type);
+                throw error;
+            }
+        }
+
+        if (!completed) {
+            throw new Error('Anthropic stream ended before the message was complete.');
+        }
+    } catch (error) {
+        throw attachPartialUsage(error, request, result);
+    }
+    return result;
+}
+
+module.exports = { createAnthropicProvider };
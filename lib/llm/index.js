@@ -0,0 +1,57 @@
+// lib/llm/index.js
+// Pluggable LLM provider layer. Select with LLM_PROVIDER (anthropic | openai-compatible | mock);
+// every provider exposes generate({ system, messages, signal?, onText? }) → { text, model, usage, stopReason }.
+// Passing onText streams the response, relaying each text delta as it arrives. Rate-limited, overloaded and
+// server-error responses are retried with exponential backoff (see ./retry.js).
+
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+const { withRetries } = require('./retry');
+
+const PROVIDERS = {
+    'anthropic': createAnthropicProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    'mock': createMockProvider
+};
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Reads the provider configuration from the environment.
+ * @param {object} [env]
+ * @returns {{provider: string, apiKey: string|null, model?: string, maxTokens: number, temperature?: number, baseUrl?: string}}
+ */
+function getLLMConfig(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+    // Ensure the API key is read and any accidental whitespace is trimmed
+    const rawKey = env.LLM_API_KEY || (provider === 'anthropic' ? env.CLAUDE_API_KEY : '');
+    const temperature = parseFloat(env.LLM_TEMPERATURE);
+
+    return {
+        provider,
+        apiKey: rawKey ? rawKey.trim() : null,
+        model: env.LLM_MODEL ? env.LLM_MODEL.trim() : undefined,
+        maxTokens: parseInt(env.LLM_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS,
+        temperature: isNaN(temperature) ? undefined : temperature,
+        baseUrl: env.LLM_BASE_URL ? env.LLM_BASE_URL.trim() : undefined
+    };
+}
+
+/**
+ * Creates the configured provider, with retries of transient failures.
+ * @param {object} [config] Defaults to getLLMConfig()
+ * @returns {{name: string, model: string, generate: Function}}
+ */
+function createProvider(config = getLLMConfig()) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return withRetries(factory(config));
+}
+
+module.exports = {
+    getLLMConfig,
+    createProvider
+};
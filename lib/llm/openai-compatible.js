@@ -0,0 +1,131 @@
+// lib/llm/openai-compatible.js
+// Provider for any OpenAI-compatible chat completions endpoint (Ollama, LM Studio, vLLM, llama.cpp server, ...)
+
+const fetch = require('node-fetch').default || require('node-fetch');
+const { readServerSentEvents } = require('./sse');
+const { httpError } = require('./retry');
+const { attachPartialUsage } = require('./usage');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Creates an OpenAI-compatible provider.
+ * @param {{apiKey?: string, model?: string, maxTokens: number, temperature?: number, baseUrl?: string}} config
+ * @returns {object}
+ */
+function createOpenAICompatibleProvider(config) {
+    const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const model = config.model;
+
+    return {
+        name: 'openai-compatible',
+        model,
+
+        /**
+         * Generates a completion. When `onText` is given the response is streamed and each text delta is passed to it.
+         * @param {{system: string, messages: Array<{role: string, content: string}>, signal?: AbortSignal, onText?: function(string): void}} request
+         * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}, stopReason: string}>}
+         */
+        async generate({ system, messages, signal, onText }) {
+            if (!model) {
+                throw new Error('LLM_MODEL must be set for the openai-compatible provider.');
+            }
+
+            const body = {
+                model,
+                max_tokens: config.maxTokens,
+                messages: [{ role: 'system', content: system }, ...messages]
+            };
+            if (config.temperature !== undefined) body.temperature = config.temperature;
+            if (onText) {
+                body.stream = true;
+                body.stream_options = { include_usage: true };
+            }
+
+            const headers = { 'content-type': 'application/json' };
+            if (config.apiKey) headers.authorization = `Bearer ${config.apiKey}`;
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`❌ LLM HTTP Error ${response.status}:`, errorText);
+                throw httpError(response, `OpenAI-compatible request failed with status ${response.status}: ${errorText}`);
+            }
+
+            if (onText) {
+                return readStream(response.body, model, onText, { system, messages });
+            }
+
+            const data = await response.json();
+            const choice = data.choices?.[0];
+
+            return {
+                text: choice?.message?.content || 'Error: Could not extract summary text from the LLM response.',
+                model: data.model || model,
+                usage: {
+                    inputTokens: data.usage?.prompt_tokens || 0,
+                    outputTokens: data.usage?.completion_tokens || 0
+                },
+                stopReason: choice?.finish_reason || null
+            };
+        }
+    };
+}
+
+/**
+ * Consumes a streamed chat completions response, relaying content deltas as they arrive.
+ * Throws if the stream ends without the [DONE] sentinel, so partial output is never treated as complete; the
+ * error then carries the tokens consumed so far (see ./usage.js).
+ * @param {AsyncIterable<Buffer>} body
+ * @param {string} model
+ * @param {function(string): void} onText
+ * @param {{system: string, messages: Array<{role: string, content: string}>}} request For usage estimates
+ * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}, stopReason: string}>}
+ */
+async function readStream(body, model, onText, request) {
+    const result = { text: '', model, usage: { inputTokens: 0, outputTokens: 0 }, stopReason: null };
+    let completed = false;
+
+    try {
+        for await (const { data } of readServerSentEvents(body)) {
+            if (data === '[DONE]') {
+                completed = true;
+                break;
+            }
+
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(`LLM stream error: ${chunk.error.message || data}`);
+            }
+            result.model = chunk.model || result.model;
+            if (chunk.usage) {
+                result.usage = {
+                    inputTokens: chunk.usage.prompt_tokens || 0,
+                    outputTokens: chunk.usage.completion_tokens || 0
+                };
+            }
+
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) {
+                result.text += choice.delta.content;
+                onText(choice.delta.content);
+            }
+            if (choice?.finish_reason) result.stopReason = choice.finish_reason;
+        }
+
+        if (!completed) {
+            throw new Error('LLM stream ended before the response was complete.');
+        }
+    } catch (error) {
+        throw attachPartialUsage(error, request, result);
+    }
+    return result;
+}
+
+module.exports = { createOpenAICompatibleProvider };
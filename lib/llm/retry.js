@@ -0,0 +1,127 @@
+// lib/llm/retry.js
+// Retries of failed LLM requests: rate limits (429), server errors (5xx, including Anthropic's 529 "overloaded")
+// and network failures are retried with exponential backoff; other errors fail at once
+
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 4;
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 2000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Builds the error for a failed HTTP response, carrying its status and any Retry-After delay.
+ * @param {{status: number, headers: {get: function(string): string|null}}} response
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    if (retryAfter >= 0) error.retryAfterMs = retryAfter * 1000;
+    return error;
+}
+
+/**
+ * Whether a failed request is worth retrying.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (error.name === 'AbortError') return false;
+    if (error.retryable !== undefined) return error.retryable;
+    if (error.status) return error.status === 429 || error.status >= 500;
+    return error.name === 'FetchError' && error.type === 'system'; // Connection refused, reset, DNS failure...
+}
+
+/**
+ * Waits `ms`, rejecting early with an AbortError when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            const error = new Error('The operation was aborted.');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+        if (signal?.aborted) return abort();
+        signal?.addEventListener('abort', abort, { once: true });
+    });
+}
+
+/**
+ * Adds the tokens a failed attempt consumed (its `error.usage`, see ./usage.js) to a running total.
+ * @param {{inputTokens: number, outputTokens: number}} total
+ * @param {{inputTokens: number, outputTokens: number}} [usage]
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+function addUsage(total, usage) {
+    return {
+        inputTokens: total.inputTokens + (usage?.inputTokens || 0),
+        outputTokens: total.outputTokens + (usage?.outputTokens || 0)
+    };
+}
+
+/**
+ * Wraps a provider so generate() retries retryable failures, waiting LLM_RETRY_BASE_MS, then twice as long, and so
+ * on (or the server's Retry-After), for up to LLM_MAX_ATTEMPTS attempts. A streamed request is not retried once
+ * text has reached the caller. The final error carries the number of `attempts`, and the reported usage (of the
+ * result or the final error) includes the tokens that failed attempts consumed.
+ * @param {{name: string, model: string, generate: Function}} provider
+ * @param {{maxAttempts?: number, baseDelayMs?: number}} [options]
+ * @returns {{name: string, model: string, generate: Function}}
+ */
+function withRetries(provider, { maxAttempts = MAX_ATTEMPTS, baseDelayMs = RETRY_BASE_MS } = {}) {
+    return {
+        ...provider,
+        async generate(request) {
+            let streamed = false;
+            const onText = request.onText && (text => {
+                streamed = true;
+                request.onText(text);
+            });
+
+            let failedUsage = { inputTokens: 0, outputTokens: 0 };
+            // The error that ends the call carries the attempts made and the tokens the failed ones consumed
+            const finalError = (error, attempts) => {
+                error.attempts = attempts;
+                if (failedUsage.inputTokens || failedUsage.outputTokens) {
+                    error.usage = failedUsage;
+                    error.model = error.model || provider.model;
+                }
+                return error;
+            };
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const result = await provider.generate({ ...request, onText });
+                    return attempt > 1 ? { ...result, usage: addUsage(failedUsage, result.usage) } : result;
+                } catch (error) {
+                    failedUsage = addUsage(failedUsage, error.usage);
+                    if (streamed || attempt >= maxAttempts || request.signal?.aborted || !isRetryable(error)) {
+                        throw finalError(error, attempt);
+                    }
+                    const delay = Math.min(error.retryAfterMs ?? baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+                    console.warn(`⚠️  ${provider.name} request failed (${error.status ? `HTTP ${error.status}` : error.message}); retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+                    try {
+                        await sleep(delay, request.signal);
+                    } catch (abortError) {
+                        throw finalError(abortError, attempt);
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    httpError,
+    isRetryable,
+    withRetries
+};
@@ -0,0 +1,42 @@
+// lib/llm/sse.js
+// Minimal Server-Sent Events parser for streamed provider responses
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Reads a Server-Sent Events stream and yields one { event, data } pair per event.
+ * Comment lines and unknown fields are ignored; multi-line data is joined with newlines.
+ * @param {AsyncIterable<Buffer|string>} body Response body (node-fetch returns a Node.js Readable)
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readServerSentEvents(body) {
+    // Network chunks can end inside a multi-byte UTF-8 character (emoji headings); the decoder holds the partial bytes
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let event = 'message';
+    let data = [];
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop(); // Keep the trailing partial line for the next chunk
+
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length) yield { event, data: data.join('\n') };
+                event = 'message';
+                data = [];
+            } else if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+    }
+
+    buffer += decoder.end();
+    if (buffer.startsWith('data:')) data.push(buffer.slice(5).replace(/^ /, ''));
+    if (data.length) yield { event, data: data.join('\n') };
+}
+
+module.exports = { readServerSentEvents };
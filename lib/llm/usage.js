@@ -0,0 +1,45 @@
+// lib/llm/usage.js
+// Token estimates for calls that end before the provider reports usage (a cancelled or broken stream), so
+// the tokens they already consumed can still be recorded in the usage ledger
+
+/**
+ * Rough token estimate (≈4 characters per token).
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * The characters sent to the model: the system prompt and every message.
+ * @param {{system: string, messages: Array<{role: string, content: string}>}} request
+ * @returns {string}
+ */
+function promptText({ system, messages }) {
+    return (system || '') + messages.map(message => message.content).join('\n');
+}
+
+/**
+ * Attaches the usage of a call that failed mid-response to its error as `error.usage` (and `error.model`).
+ * Counts the provider reported before failing are kept; missing ones are estimated from the prompt and the
+ * text received so far.
+ * @param {Error} error
+ * @param {{system: string, messages: Array<{role: string, content: string}>}} request
+ * @param {{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}} partial Result so far
+ * @returns {Error} The same error
+ */
+function attachPartialUsage(error, request, partial) {
+    error.model = partial.model;
+    error.usage = {
+        inputTokens: partial.usage.inputTokens || estimateTokens(promptText(request)),
+        outputTokens: partial.usage.outputTokens || estimateTokens(partial.text)
+    };
+    return error;
+}
+
+module.exports = {
+    estimateTokens,
+    promptText,
+    attachPartialUsage
+};
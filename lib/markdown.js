@@ -0,0 +1,169 @@
+// lib/markdown.js
+// Small, sanitizing Markdown renderer for summaries. Everything is HTML-escaped first and only the
+// supported Markdown (headings, lists, links, emphasis, code, quotes, rules) is turned back into tags,
+// so HTML produced by the model or smuggled in through a feed is displayed as text, never executed.
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * Renders inline Markdown (code, links, bold, italics) in already-escaped text.
+ * Links are only kept for http(s) and mailto URLs.
+ * @param {string} escaped
+ * @returns {string}
+ */
+function renderInline(escaped) {
+    // Code spans are swapped out first so their contents are not formatted
+    const codeSpans = [];
+    let html = escaped.replace(/`([^`]+)`/g, (m, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    // Links are swapped out next, with emphasis applied to their text only, so underscores or asterisks in a URL
+    // never become <em> tags inside the href. A URL containing a code span is not a link: it would put the <code>
+    // tag inside the href
+    const links = [];
+    html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, text, url) => {
+        if (url.includes('\u0000')) return m;
+        const label = renderEmphasis(text);
+        links.push(SAFE_URL_PATTERN.test(url) ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>` : label);
+        return `\u0001${links.length - 1}\u0001`;
+    });
+
+    return renderEmphasis(html)
+        .replace(/\u0001(\d+)\u0001/g, (m, index) => links[index])
+        .replace(/\u0000(\d+)\u0000/g, (m, index) => codeSpans[index]);
+}
+
+/**
+ * Renders bold and italics in already-escaped text.
+ * @param {string} text
+ * @returns {string}
+ */
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Converts Markdown to sanitized HTML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function renderMarkdown(markdown) {
+    const out = [];
+    const lists = []; // Open lists: { type: 'ul'|'ol', indent: number }
+    let paragraph = [];
+    let quote = [];
+    let codeBlock = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) out.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushQuote = () => {
+        if (quote.length) out.push(`<blockquote><p>${quote.map(renderInline).join('<br>')}</p></blockquote>`);
+        quote = [];
+    };
+    const closeLists = (indent = -1) => {
+        while (lists.length && lists[lists.length - 1].indent > indent) {
+            out.push(`</li></${lists.pop().type}>`);
+        }
+    };
+    const flushAll = () => {
+        flushParagraph();
+        flushQuote();
+        closeLists();
+    };
+
+    escapeHTML(markdown || '').split(/\r?\n/).forEach(line => {
+        if (codeBlock !== null) {
+            if (/^\s*```/.test(line)) {
+                out.push(`<pre><code>${codeBlock.join('\n')}</code></pre>`);
+                codeBlock = null;
+            } else {
+                codeBlock.push(line);
+            }
+            return;
+        }
+        if (/^\s*```/.test(line)) {
+            flushAll();
+            codeBlock = [];
+            return;
+        }
+
+        if (!line.trim()) {
+            flushAll();
+            return;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushAll();
+            const level = heading[1].length;
+            out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            return;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushAll();
+            out.push('<hr>');
+            return;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            flushQuote();
+            const indent = item[1].replace(/\t/g, '    ').length;
+            const type = /\d/.test(item[2]) ? 'ol' : 'ul';
+            closeLists(indent);
+
+            const top = lists[lists.length - 1];
+            if (top && top.indent === indent && top.type === type) {
+                out.push('</li><li>');
+            } else {
+                if (top && top.indent === indent) out.push(`</li></${lists.pop().type}>`);
+                out.push(`<${type}><li>`);
+                lists.push({ type, indent });
+            }
+            out.push(renderInline(item[3]));
+            return;
+        }
+
+        const quoted = line.match(/^\s*&gt;\s?(.*)$/);
+        if (quoted) {
+            flushParagraph();
+            closeLists();
+            quote.push(quoted[1]);
+            return;
+        }
+
+        // Indented text directly under a list item continues that item
+        if (lists.length && /^\s+/.test(line)) {
+            out.push(` ${renderInline(line.trim())}`);
+            return;
+        }
+
+        flushQuote();
+        closeLists();
+        paragraph.push(line.trim());
+    });
+
+    if (codeBlock !== null) out.push(`<pre><code>${codeBlock.join('\n')}</code></pre>`);
+    flushAll();
+    return out.join('\n');
+}
+
+module.exports = { escapeHTML, renderMarkdown };
@@ -0,0 +1,294 @@
+// lib/news-qa.js
+// "Ask the news": answers a question from the most relevant archived articles, ranked locally with BM25 over their
+// titles and descriptions, citing only those articles. Conversations are stored per user (data/qa-conversations.json)
+// so follow-up questions keep the earlier questions and answers as context.
+
+const crypto = require('crypto');
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const articleArchive = require('./article-archive');
+const articleText = require('./article-text');
+const { formatNewsForClaude } = require('./articles');
+const usageLedger = require('./usage-ledger');
+
+const CONVERSATIONS_FILE = dataPath('qa-conversations.json');
+const MAX_QUESTION_CHARS = 500;
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_SOURCES = 12;           // Articles sent with each question
+const HISTORY_TURNS = 4;          // Earlier turns sent along with a follow-up
+const CONTEXT_QUESTIONS = 2;      // Earlier questions whose terms also steer retrieval...
+const CONTEXT_TERM_WEIGHT = 0.5;  // ...at this weight relative to the question's own terms
+const MAX_TURNS = 20;
+const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000;
+const LOCAL_USER = 'local';
+
+// BM25 parameters (the usual defaults); title terms count TITLE_WEIGHT times
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 3;
+
+const STOPWORDS = new Set(('a about above after again all also am an and any anyone anything are as at be been before ' +
+    'being between both but by can could did do does doing during each few for from further had has have having he her ' +
+    'here him his how i if in into is it its itself just me more most my no nor not now of off on once only or other ' +
+    'our out over own said same say says she should so some such than that the their them then there these they this ' +
+    'those through to too under until up very was we week were what when where which while who whom why will with ' +
+    'would you your today yesterday recent recently latest news tell anybody saying').split(' '));
+
+// --- RETRIEVAL ---
+
+/**
+ * Splits text into lowercase word terms without stopwords, folding simple plurals ("brands" → "brand").
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const words = (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [];
+    return words
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Query term weights: the question's own terms count fully, terms of the conversation's latest earlier questions
+ * count CONTEXT_TERM_WEIGHT, so "what about Netflix?" after a CTV question still finds CTV coverage.
+ * @param {string} question
+ * @param {string[]} previousQuestions Oldest first
+ * @returns {Map<string, number>}
+ */
+function queryWeights(question, previousQuestions) {
+    const weights = new Map();
+    previousQuestions.slice(-CONTEXT_QUESTIONS).forEach(previous => {
+        tokenize(previous).forEach(term => weights.set(term, CONTEXT_TERM_WEIGHT));
+    });
+    tokenize(question).forEach(term => weights.set(term, 1));
+    return weights;
+}
+
+/**
+ * Ranks archived articles against the query with BM25 and returns the best matches.
+ * @param {Map<string, number>} weights From queryWeights()
+ * @param {object} options
+ * @param {number} options.windowDays Only articles filed in the last this many days
+ * @param {string} [options.section] Only articles of this section
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>} Archived articles, most relevant first, each with its `score`
+ */
+async function retrieveArticles(weights, { windowDays, section, limit = MAX_SOURCES }) {
+    if (weights.size === 0) return [];
+    const articles = (await articleArchive.listArticles({ from: Date.now() - windowDays * 24 * 60 * 60 * 1000 }))
+        .filter(article => !section || article.section === section);
+
+    const documents = articles.map(article => {
+        const frequencies = new Map();
+        const count = (terms, weight) => terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + weight));
+        const titleTerms = tokenize(article.title);
+        const descriptionTerms = tokenize(article.description);
+        count(titleTerms, TITLE_WEIGHT);
+        count(descriptionTerms, 1);
+        return { article, frequencies, length: titleTerms.length * TITLE_WEIGHT + descriptionTerms.length };
+    });
+    if (documents.length === 0) return [];
+
+    const averageLength = documents.reduce((total, document) => total + document.length, 0) / documents.length || 1;
+    const idf = new Map();
+    weights.forEach((weight, term) => {
+        const containing = documents.filter(document => document.frequencies.has(term)).length;
+        idf.set(term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5)));
+    });
+
+    return documents
+        .map(document => {
+            let score = 0;
+            weights.forEach((weight, term) => {
+                const frequency = document.frequencies.get(term);
+                if (!frequency) return;
+                score += weight * idf.get(term) * (frequency * (K1 + 1)) /
+                    (frequency + K1 * (1 - B + B * document.length / averageLength));
+            });
+            return { ...document.article, score };
+        })
+        .filter(article => article.score > 0)
+        .sort((a, b) => b.score - a.score || b.time - a.time)
+        .slice(0, limit);
+}
+
+// --- CONVERSATIONS ---
+
+/**
+ * Key the user's conversations are stored under.
+ * @param {object|null} user Signed-in user (null when authentication is disabled)
+ * @returns {string}
+ */
+function userKey(user) {
+    return user ? user.id : LOCAL_USER;
+}
+
+/**
+ * Drops conversations idle for longer than CONVERSATION_TTL_MS.
+ * @param {object} store
+ */
+function prune(store) {
+    const cutoff = Date.now() - CONVERSATION_TTL_MS;
+    Object.entries(store.conversations).forEach(([id, conversation]) => {
+        if (conversation.updatedAt < cutoff) delete store.conversations[id];
+    });
+}
+
+/**
+ * Loads one of the user's conversations.
+ * @param {object|null} user
+ * @param {string} conversationId
+ * @returns {Promise<object>}
+ */
+async function getConversation(user, conversationId) {
+    const store = await readJSON(CONVERSATIONS_FILE, { conversations: {} });
+    const conversation = store.conversations[conversationId];
+    if (!conversation || conversation.user !== userKey(user) || conversation.updatedAt < Date.now() - CONVERSATION_TTL_MS) {
+        throw new HttpError(404, 'Conversation not found (conversations expire after a day without questions); start a new one.');
+    }
+    return conversation;
+}
+
+/**
+ * Appends a turn to a conversation, creating it when `conversationId` is null.
+ * @param {object|null} user
+ * @param {string|null} conversationId
+ * @param {string} profileId
+ * @param {object} turn
+ * @returns {Promise<object>} The conversation
+ */
+async function saveTurn(user, conversationId, profileId, turn) {
+    let saved = null;
+    await updateJSON(CONVERSATIONS_FILE, { conversations: {} }, store => {
+        prune(store);
+        const id = conversationId || crypto.randomBytes(8).toString('hex');
+        const conversation = store.conversations[id] || { id, user: userKey(user), profile: profileId, createdAt: turn.timestamp, turns: [] };
+        conversation.turns.push(turn);
+        conversation.updatedAt = turn.timestamp;
+        store.conversations[id] = conversation;
+        saved = conversation;
+    });
+    return saved;
+}
+
+// --- ANSWERING ---
+
+/**
+ * Validates an ask request ({ question, conversationId?, windowDays?, section? }).
+ * @param {object} body
+ * @returns {{question: string, conversationId: string|null, windowDays: number, section: string|null}}
+ */
+function parseAskRequest(body) {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    if (!question || question.length > MAX_QUESTION_CHARS) {
+        throw new HttpError(400, `"question" must be a non-empty string of at most ${MAX_QUESTION_CHARS} characters.`);
+    }
+    if (body.conversationId !== undefined && body.conversationId !== null && typeof body.conversationId !== 'string') {
+        throw new HttpError(400, '"conversationId" must be a string.');
+    }
+
+    const windowDays = body.windowDays === undefined ? DEFAULT_WINDOW_DAYS : Number(body.windowDays);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > articleArchive.RETENTION_DAYS) {
+        throw new HttpError(400, `"windowDays" must be a whole number from 1 to ${articleArchive.RETENTION_DAYS}.`);
+    }
+    if (body.section !== undefined && body.section !== null && typeof body.section !== 'string') {
+        throw new HttpError(400, '"section" must be a section id.');
+    }
+    return { question, conversationId: body.conversationId || null, windowDays, section: body.section || null };
+}
+
+/**
+ * System prompt for answering questions from the retrieved articles.
+ * @param {object} profile Prompt profile
+ * @returns {string}
+ */
+function buildAskPrompt(profile) {
+    return `
+For consideration by ${profile.audience}.
+You answer questions about recent industry news through the lens of ${profile.lens}.
+
+Answer ONLY from the news articles supplied with the question. Do not use outside knowledge. If the articles do not
+answer the question, or only partly, say so plainly rather than guessing.
+
+Answer in Markdown, in at most 250 words, without preamble. Use short paragraphs or bullet points.
+Every sentence or bullet point that draws on an article MUST end with the numbers of the supporting articles in square
+brackets, using the article numbers given with the question (for example "[3]" or "[2, 7]"). Only cite articles that
+actually support the statement.
+
+Earlier questions and answers in this conversation are context for follow-up questions. Their sources are not repeated;
+cite only the articles supplied with the current question.
+`;
+}
+
+/**
+ * Removes citation markers from an earlier answer, whose article numbers do not apply to the current question.
+ * @param {string} answer
+ * @returns {string}
+ */
+function stripCitations(answer) {
+    return answer.replace(/\s*\[\d+(?:\s*[,;]\s*\d+)*\]/g, '');
+}
+
+/**
+ * Answers a question from the archive and records the turn in the conversation.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {object} options.profile Prompt profile
+ * @param {string} options.question
+ * @param {string|null} [options.conversationId] Continue this conversation (a new one is started when null)
+ * @param {number} [options.windowDays] Search articles from the last this many days
+ * @param {string|null} [options.section] Search one section only
+ * @param {object|null} [options.user] Signed-in user (null when authentication is disabled)
+ * @returns {Promise<{conversationId: string, turn: object}>} The turn: question, answer, sources, model, timestamp
+ */
+async function askQuestion({ provider, profile, question, conversationId = null, windowDays = DEFAULT_WINDOW_DAYS, section = null, user = null }) {
+    const conversation = conversationId ? await getConversation(user, conversationId) : null;
+    if (conversation && conversation.turns.length >= MAX_TURNS) {
+        throw new HttpError(409, `This conversation has reached ${MAX_TURNS} questions; start a new one.`);
+    }
+    const previous = conversation ? conversation.turns : [];
+
+    const sources = await retrieveArticles(queryWeights(question, previous.map(turn => turn.question)), { windowDays, section });
+    if (sources.length === 0) {
+        throw new HttpError(422, `No archived articles from the last ${windowDays} day(s) match the question. Try other keywords or a longer window.`);
+    }
+    if (articleText.FULL_TEXT_ENABLED) {
+        await articleText.enrichArticles(sources);
+    }
+
+    const history = previous.slice(-HISTORY_TURNS).flatMap(turn => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: stripCitations(turn.answer) }
+    ]);
+    console.log(`🤖 Calling ${provider.name} (model: ${provider.model}, profile: ${profile.id}) to answer a question from ${sources.length} articles...`);
+    const result = await usageLedger.generateAndRecord(provider, {
+        system: buildAskPrompt(profile),
+        messages: [
+            ...history,
+            { role: 'user', content: `${formatNewsForClaude(sources)}# Question\n\n${question}` }
+        ]
+    }, { profile: profile.id, trigger: 'ask', user: user ? user.username : undefined });
+
+    const turn = {
+        question,
+        answer: result.text,
+        model: result.model,
+        timestamp: Date.now(),
+        sources: sources.map(article => ({
+            id: article.id,
+            title: article.title,
+            link: article.link,
+            source: article.source,
+            section: article.section,
+            pubDate: article.pubDate
+        }))
+    };
+    const saved = await saveTurn(user, conversation ? conversation.id : null, profile.id, turn);
+    return { conversationId: saved.id, turn };
+}
+
+module.exports = {
+    parseAskRequest,
+    getConversation,
+    askQuestion
+};
@@ -0,0 +1,120 @@
+// lib/opml.js
+// OPML import and export of the feed registry, so sources can move between feed readers and the dashboard.
+// Folders (outlines without an xmlUrl) map to dashboard sections by label or id.
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { escapeHTML } = require('./markdown');
+const { HttpError } = require('./errors');
+const feedRegistry = require('./feed-registry');
+
+const MAX_OPML_FEEDS = 500;
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    processEntities: true,
+    htmlEntities: true,
+    isArray: name => name === 'outline'
+});
+
+/**
+ * Collects the feed outlines (those with an xmlUrl), each with the name of its nearest enclosing folder.
+ * @param {object[]} outlines
+ * @param {string|null} folder
+ * @param {object[]} entries Accumulator
+ * @returns {object[]}
+ */
+function collectOutlines(outlines, folder, entries) {
+    (outlines || []).forEach(outline => {
+        const label = (outline['@_text'] || outline['@_title'] || '').trim();
+        if (outline['@_xmlUrl'] !== undefined) {
+            entries.push({
+                url: outline['@_xmlUrl'].trim(),
+                name: label,
+                section: folder || undefined,
+                enabled: outline['@_enabled'] !== 'false'
+            });
+        }
+        if (outline.outline) {
+            collectOutlines(outline.outline, label || folder, entries);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Parses an OPML document into feed entries for feedRegistry.importFeeds.
+ * @param {string} xml
+ * @returns {Array<{url: string, name: string, section?: string, enabled: boolean}>}
+ */
+function parseOPML(xml) {
+    if (typeof xml !== 'string' || !xml.trim()) {
+        throw new HttpError(400, 'Send the OPML document as the request body (Content-Type: text/x-opml or application/xml).');
+    }
+
+    const validation = XMLValidator.validate(xml);
+    if (validation !== true) {
+        throw new HttpError(400, `Invalid OPML: ${validation.err.msg.replace(/\.$/, '')} (line ${validation.err.line}).`);
+    }
+    const doc = parser.parse(xml);
+    if (!doc.opml || doc.opml.body === undefined) {
+        throw new HttpError(400, 'Invalid OPML: expected an <opml> document with a <body>.');
+    }
+
+    const entries = collectOutlines(doc.opml.body?.outline, null, []);
+    if (entries.length === 0) {
+        throw new HttpError(400, 'The OPML document contains no feeds (outlines with an xmlUrl).');
+    }
+    if (entries.length > MAX_OPML_FEEDS) {
+        throw new HttpError(400, `The OPML document lists ${entries.length} feeds; at most ${MAX_OPML_FEEDS} can be imported at once.`);
+    }
+    return entries;
+}
+
+/**
+ * Imports the feeds of an OPML document into the registry (see feedRegistry.importFeeds).
+ * @param {string} xml
+ * @param {{defaultSection?: string}} [options] Section for feeds outside any folder
+ * @returns {Promise<{added: object[], skipped: object[], failed: object[], sections: object[]}>}
+ */
+async function importOPML(xml, options = {}) {
+    const report = await feedRegistry.importFeeds(parseOPML(xml), options);
+    console.log(`📥 OPML import: ${report.added.length} added, ${report.skipped.length} skipped, ${report.failed.length} failed`);
+    return report;
+}
+
+/**
+ * Exports the registry as OPML 2.0, one folder per section. Disabled feeds are included with
+ * an `enabled="false"` attribute, which feed readers ignore and importOPML honours.
+ * @returns {Promise<string>}
+ */
+async function exportOPML() {
+    const { sections, feeds } = await feedRegistry.loadRegistry();
+
+    const folders = sections
+        .map(section => ({ section, feeds: feeds.filter(feed => feed.section === section.id) }))
+        .filter(folder => folder.feeds.length)
+        .map(({ section, feeds: sectionFeeds }) => `    <outline text="${escapeHTML(section.label)}" title="${escapeHTML(section.label)}">
+${sectionFeeds.map(feed => `      <outline type="rss" text="${escapeHTML(feed.name)}" title="${escapeHTML(feed.name)}" xmlUrl="${escapeHTML(feed.url)}"${feed.enabled ? '' : ' enabled="false"'} />`).join('\n')}
+    </outline>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>T.H.A.N.O.S. - Feed Sources</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${folders.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+module.exports = {
+    parseOPML,
+    importOPML,
+    exportOPML
+};
@@ -0,0 +1,144 @@
+// lib/prompt-profiles.js
+// Named analyst personas: editable prompt templates (audience, lens, output structure) stored in data/
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { slugify } = require('./feed-registry');
+const { CITATION_INSTRUCTION } = require('./structured-summary');
+
+const PROFILES_FILE = process.env.PROMPT_PROFILES_FILE || dataPath('prompt-profiles.json');
+const EDITABLE_FIELDS = ['name', 'audience', 'lens', 'outputStructure'];
+
+/**
+ * Reads the profile store from disk.
+ * @returns {Promise<{defaultProfile: string, profiles: object[]}>}
+ */
+async function loadProfiles() {
+    const store = await readJSON(PROFILES_FILE, null);
+    if (!store || !Array.isArray(store.profiles) || store.profiles.length === 0) {
+        throw new HttpError(500, `No prompt profiles found at ${PROFILES_FILE}.`);
+    }
+    return { defaultProfile: store.defaultProfile || store.profiles[0].id, profiles: store.profiles };
+}
+
+/**
+ * Resolves a profile id (or the default profile when omitted).
+ * @param {string} [id]
+ * @returns {Promise<object>}
+ */
+async function resolveProfile(id) {
+    const { defaultProfile, profiles } = await loadProfiles();
+    const wanted = id || defaultProfile;
+    const profile = profiles.find(p => p.id === wanted);
+    if (!profile) {
+        throw new HttpError(400, `Unknown prompt profile "${wanted}". Available: ${profiles.map(p => p.id).join(', ')}.`);
+    }
+    return profile;
+}
+
+/**
+ * Validates the editable text fields of a profile. Only fields present in `input` are returned.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateProfileFields(input) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (input[field] === undefined) return;
+        if (typeof input[field] !== 'string' || !input[field].trim()) {
+            throw new HttpError(400, `Profile "${field}" must be a non-empty string.`);
+        }
+        fields[field] = input[field].trim();
+    });
+    return fields;
+}
+
+/**
+ * Adds a prompt profile.
+ * @param {{id?: string, name: string, audience: string, lens: string, outputStructure: string}} input
+ * @returns {Promise<object>}
+ */
+async function addProfile(input) {
+    let added = null;
+    await updateJSON(PROFILES_FILE, { profiles: [] }, store => {
+        const fields = validateProfileFields(input);
+        const missing = EDITABLE_FIELDS.filter(field => !fields[field]);
+        if (missing.length) {
+            throw new HttpError(400, `Profile fields required: ${missing.join(', ')}.`);
+        }
+        const id = slugify(input.id || fields.name);
+        if (store.profiles.some(p => p.id === id)) {
+            throw new HttpError(409, `Prompt profile "${id}" already exists.`);
+        }
+        added = { id, ...fields };
+        store.profiles.push(added);
+    });
+    return added;
+}
+
+/**
+ * Edits a prompt profile's name, audience, lens or output structure.
+ * @param {string} id
+ * @param {object} changes
+ * @returns {Promise<object>}
+ */
+async function updateProfile(id, changes) {
+    let updated = null;
+    await updateJSON(PROFILES_FILE, { profiles: [] }, store => {
+        const profile = store.profiles.find(p => p.id === id);
+        if (!profile) throw new HttpError(404, `Prompt profile "${id}" not found.`);
+        Object.assign(profile, validateProfileFields(changes));
+        updated = profile;
+    });
+    return updated;
+}
+
+/**
+ * Deletes a prompt profile. The default profile cannot be deleted.
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function deleteProfile(id) {
+    let removed = null;
+    await updateJSON(PROFILES_FILE, { profiles: [] }, store => {
+        if (store.defaultProfile === id) {
+            throw new HttpError(409, `"${id}" is the default prompt profile and cannot be deleted.`);
+        }
+        const index = store.profiles.findIndex(p => p.id === id);
+        if (index === -1) throw new HttpError(404, `Prompt profile "${id}" not found.`);
+        [removed] = store.profiles.splice(index, 1);
+    });
+    return removed;
+}
+
+/**
+ * Renders a profile's template into the system prompt for summary generation.
+ * @param {object} profile
+ * @returns {string}
+ */
+function buildSystemPrompt(profile) {
+    return `
+For consideration by ${profile.audience}.
+Analyze the following news articles from various industry feeds through the lens of ${profile.lens}.
+
+Your task is to:
+1. **SCAN** all the provided news articles, extracting key themes and patterns
+2. **SYNTHESIZE** the information into strategic insights
+3. **GENERATE** a strategic summary in Markdown format that is ready to be directly displayed in a dashboard panel.
+
+Your output MUST be structured using Markdown headings and lists, focusing on actionable insights, without preamble. Go directly into the following structure:
+
+${profile.outputStructure}
+
+${CITATION_INSTRUCTION}
+`;
+}
+
+module.exports = {
+    loadProfiles,
+    resolveProfile,
+    addProfile,
+    updateProfile,
+    deleteProfile,
+    buildSystemPrompt
+};
@@ -0,0 +1,245 @@
+// lib/reading-state.js
+// Per-user article state stored on the server: read/unread, saved (bookmarked), hidden and a free-text note.
+// Articles are keyed by their article-archive id (normalized link). Without authentication everything
+// belongs to a single "local" user.
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { articleId } = require('./article-archive');
+const { formatTimestamp } = require('./format');
+
+const STATE_FILE = process.env.READING_STATE_FILE || dataPath('reading-state.json');
+const LOCAL_USER = 'local';
+const MAX_NOTE_CHARS = 5000;
+const MAX_FIELD_CHARS = 500;
+const MAX_MIGRATED_LINKS = 5000;
+const FLAGS = ['read', 'saved', 'hidden'];
+const EXPORT_FORMATS = ['csv', 'md'];
+// Entries that are only marked read are forgotten after this long; saved, hidden and annotated ones are kept
+const READ_RETENTION_DAYS = parseInt(process.env.READ_STATE_RETENTION_DAYS, 10) || 90;
+
+/**
+ * Key the user's state is stored under.
+ * @param {object|null} user Signed-in user (null when authentication is disabled)
+ * @returns {string}
+ */
+function userKey(user) {
+    return user ? user.id : LOCAL_USER;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isArticleLink(value) {
+    return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+}
+
+/**
+ * Whether an entry still carries any state worth storing.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function hasState(entry) {
+    return FLAGS.some(flag => entry[flag]) || Boolean(entry.note);
+}
+
+/**
+ * Drops entries with no state left, and read-only entries older than READ_RETENTION_DAYS.
+ * @param {object} state A user's state
+ */
+function prune(state) {
+    const cutoff = Date.now() - READ_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    Object.entries(state.articles).forEach(([id, entry]) => {
+        const readOnly = !entry.saved && !entry.hidden && !entry.note;
+        if (!hasState(entry) || (readOnly && entry.updatedAt < cutoff)) delete state.articles[id];
+    });
+}
+
+/**
+ * Reads a user's state.
+ * @param {object|null} user
+ * @returns {Promise<{migrated: boolean, articles: object[]}>} Articles with any state, most recently updated first
+ */
+async function getState(user) {
+    const store = await readJSON(STATE_FILE, { users: {} });
+    const state = store.users[userKey(user)] || { migrated: false, articles: {} };
+    return {
+        migrated: Boolean(state.migrated),
+        articles: Object.values(state.articles).sort((a, b) => b.updatedAt - a.updatedAt)
+    };
+}
+
+/**
+ * Validates an article state update. Only fields present in `input` are returned.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateStateFields(input) {
+    const fields = {};
+    FLAGS.forEach(flag => {
+        if (input[flag] !== undefined) fields[flag] = Boolean(input[flag]);
+    });
+    if (input.note !== undefined) {
+        if (input.note !== null && (typeof input.note !== 'string' || input.note.length > MAX_NOTE_CHARS)) {
+            throw new HttpError(400, `"note" must be a string of at most ${MAX_NOTE_CHARS} characters.`);
+        }
+        fields.note = input.note ? input.note.trim() : '';
+    }
+    ['title', 'source', 'section', 'pubDate'].forEach(field => {
+        if (input[field] === undefined || input[field] === null) return;
+        if (typeof input[field] !== 'string' || input[field].length > MAX_FIELD_CHARS) {
+            throw new HttpError(400, `"${field}" must be a string of at most ${MAX_FIELD_CHARS} characters.`);
+        }
+        fields[field] = input[field].trim();
+    });
+    return fields;
+}
+
+/**
+ * Sets the state of one article for a user ({ link, read?, saved?, hidden?, note? }, plus title, source, section
+ * and pubDate so saved articles can be listed after they leave the feeds).
+ * @param {object|null} user
+ * @param {object} input
+ * @returns {Promise<object>} The article's state (with all flags false once cleared)
+ */
+async function updateArticle(user, input) {
+    if (!isArticleLink(input.link)) {
+        throw new HttpError(400, '"link" must be the article\'s http(s) URL.');
+    }
+    const fields = validateStateFields(input);
+    const link = input.link.trim();
+    const id = articleId(link);
+    let updated = null;
+
+    await updateJSON(STATE_FILE, { users: {} }, store => {
+        const key = userKey(user);
+        const state = store.users[key] || { migrated: false, articles: {} };
+        const now = Date.now();
+        const entry = state.articles[id] || { id, link, read: false, saved: false, hidden: false, note: '' };
+
+        if (fields.saved && !entry.saved) entry.savedAt = now;
+        if (fields.saved === false) delete entry.savedAt;
+        Object.assign(entry, fields, { updatedAt: now });
+
+        state.articles[id] = entry;
+        prune(state);
+        store.users[key] = state;
+        updated = entry;
+    });
+    return updated;
+}
+
+/**
+ * One-time import of the links a browser hid with "Hide Forever" before article state moved to the server.
+ * Later calls import nothing.
+ * @param {object|null} user
+ * @param {string[]} links
+ * @returns {Promise<{imported: number, alreadyMigrated: boolean}>}
+ */
+async function migrateHiddenLinks(user, links) {
+    if (!Array.isArray(links) || links.length > MAX_MIGRATED_LINKS) {
+        throw new HttpError(400, `"hiddenLinks" must be an array of at most ${MAX_MIGRATED_LINKS} links.`);
+    }
+
+    const result = { imported: 0, alreadyMigrated: false };
+    await updateJSON(STATE_FILE, { users: {} }, store => {
+        const key = userKey(user);
+        const state = store.users[key] || { migrated: false, articles: {} };
+        if (state.migrated) {
+            result.alreadyMigrated = true;
+            return;
+        }
+
+        const now = Date.now();
+        links.filter(isArticleLink).forEach(link => {
+            const id = articleId(link.trim());
+            const entry = state.articles[id] || { id, link: link.trim(), read: false, saved: false, hidden: false, note: '' };
+            if (!entry.hidden) result.imported++;
+            state.articles[id] = { ...entry, hidden: true, updatedAt: now };
+        });
+        state.migrated = true;
+        store.users[key] = state;
+    });
+    return result;
+}
+
+/**
+ * Unhides every article the user has hidden ("Reset Hidden Tiles").
+ * @param {object|null} user
+ * @returns {Promise<number>} Number of articles unhidden
+ */
+async function clearHidden(user) {
+    let cleared = 0;
+    await updateJSON(STATE_FILE, { users: {} }, store => {
+        const state = store.users[userKey(user)];
+        if (!state) return;
+        Object.values(state.articles).filter(entry => entry.hidden).forEach(entry => {
+            entry.hidden = false;
+            entry.updatedAt = Date.now();
+            cleared++;
+        });
+        prune(state);
+    });
+    return cleared;
+}
+
+/**
+ * The user's saved articles, most recently saved first.
+ * @param {object|null} user
+ * @returns {Promise<object[]>}
+ */
+async function listSaved(user) {
+    const { articles } = await getState(user);
+    return articles.filter(entry => entry.saved).sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+}
+
+/**
+ * Cells that start with =, +, -, @, a tab or a carriage return are prefixed with an apostrophe, so a spreadsheet
+ * shows them as text instead of evaluating a formula taken from a feed or a note.
+ * @param {*} value
+ * @returns {string} The value as a CSV field
+ */
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the user's saved articles with their notes.
+ * @param {object|null} user
+ * @param {string} format "csv" or "md"
+ * @returns {Promise<{contentType: string, filename: string, body: string}>}
+ */
+async function exportSaved(user, format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new HttpError(400, `"format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    const saved = await listSaved(user);
+
+    if (format === 'csv') {
+        const columns = ['title', 'link', 'source', 'section', 'pubDate', 'savedAt', 'read', 'note'];
+        const rows = saved.map(entry => columns.map(column =>
+            csvField(column === 'savedAt' && entry.savedAt ? new Date(entry.savedAt).toISOString() : entry[column])).join(','));
+        return { contentType: 'text/csv', filename: 'saved-articles.csv', body: [columns.join(','), ...rows].join('\r\n') + '\r\n' };
+    }
+
+    const items = saved.map(entry => {
+        const details = [entry.source, entry.pubDate ? entry.pubDate.slice(0, 10) : null].filter(Boolean).join(' · ');
+        const note = entry.note ? `\n\n  > ${entry.note.replace(/\n/g, '\n  > ')}` : '';
+        return `- [${(entry.title || entry.link).replace(/[[\]]/g, '\\$&')}](${entry.link})${details ? ` (${details})` : ''}${note}`;
+    });
+    const body = `# Saved Articles\n\n_Exported ${formatTimestamp(Date.now())}_\n\n${items.length ? items.join('\n') : 'No saved articles.'}\n`;
+    return { contentType: 'text/markdown', filename: 'saved-articles.md', body };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    getState,
+    updateArticle,
+    migrateHiddenLinks,
+    clearHidden,
+    listSaved,
+    exportSaved
+};
@@ -0,0 +1,441 @@
+// lib/scheduler.js
+// In-server job scheduler: fetch, summarize and weekly-rollup jobs run on cron expressions in a configured time zone
+// (data/schedule.json), so scheduled generation keeps its local time across daylight-saving changes. Jobs can also
+// be run manually; every run is recorded with its duration and error in data/job-runs.json.
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const cron = require('./cron');
+const { collectArticles } = require('./articles');
+const promptProfiles = require('./prompt-profiles');
+const { generateSummary } = require('./summary-generator');
+const { parseComparisonMode } = require('./summary-comparison');
+const { generateWeeklyRollup } = require('./weekly-rollup');
+const sectionReports = require('./section-reports');
+const feedRegistry = require('./feed-registry');
+const articleArchive = require('./article-archive');
+const articleText = require('./article-text');
+const feedHealth = require('./feed-health');
+const usageLedger = require('./usage-ledger');
+const delivery = require('./delivery');
+
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || dataPath('schedule.json');
+const RUNS_FILE = dataPath('job-runs.json');
+// Off by default: the GitHub Actions workflows run the same jobs through automation/daily-update.js
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED === 'true';
+const DEFAULT_TIMEZONE = 'America/New_York';
+const JOB_TYPES = ['fetch', 'summarize', 'weekly-rollup'];
+const LLM_JOB_TYPES = ['summarize', 'weekly-rollup'];
+const MAX_RUNS = 200;
+
+const running = new Map(); // Job id → id of its run in progress
+const lastDue = new Map(); // Job id → minute (epoch ms) it last started on schedule
+const reportedErrors = new Set(); // Configuration errors already logged
+let context = null; // { provider, throttleMinutes, timeoutMs } from start()
+let timer = null;
+
+// --- SCHEDULE ---
+
+/**
+ * Validates one job of the schedule. An invalid job is kept with its `error` and never runs.
+ * @param {object} job
+ * @param {string} timezone The schedule's time zone
+ * @returns {object}
+ */
+function validateJob(job, timezone) {
+    const validated = {
+        id: typeof job.id === 'string' ? job.id.trim() : '',
+        type: job.type,
+        cron: job.cron,
+        timezone: job.timezone || timezone,
+        enabled: job.enabled === undefined ? true : Boolean(job.enabled),
+        profile: job.profile || null
+    };
+    try {
+        if (!validated.id) {
+            throw new Error('Job "id" must be a non-empty string.');
+        }
+        if (!JOB_TYPES.includes(job.type)) {
+            throw new Error(`Job "type" must be one of: ${JOB_TYPES.join(', ')}.`);
+        }
+        if (!cron.isValidTimeZone(validated.timezone)) {
+            throw new Error(`Unknown time zone "${validated.timezone}" (expected an IANA name such as America/New_York).`);
+        }
+        validated.schedule = cron.parseCron(job.cron);
+        if (job.type === 'summarize') {
+            validated.compare = parseComparisonMode(job.compare);
+            validated.sectionBriefs = job.sectionBriefs === true;
+            validated.communityPulse = job.communityPulse === true;
+        }
+    } catch (error) {
+        validated.enabled = false;
+        validated.error = error.message;
+    }
+    return validated;
+}
+
+/**
+ * Reads and validates the schedule. It is re-read on every tick, so edits apply from the next minute.
+ * @returns {Promise<{timezone: string, jobs: object[]}>}
+ */
+async function loadSchedule() {
+    const config = await readJSON(SCHEDULE_FILE, { timezone: DEFAULT_TIMEZONE, jobs: [] });
+    const timezone = config.timezone || DEFAULT_TIMEZONE;
+    const jobs = (Array.isArray(config.jobs) ? config.jobs : []).map(job => validateJob(job || {}, timezone));
+
+    const seen = new Set();
+    jobs.forEach(job => {
+        if (job.id && seen.has(job.id) && !job.error) {
+            job.enabled = false;
+            job.error = `Duplicate job id "${job.id}".`;
+        }
+        seen.add(job.id);
+    });
+    return { timezone, jobs };
+}
+
+// --- RUN HISTORY ---
+
+/**
+ * Recorded runs, newest first.
+ * @param {{job?: string, limit?: number}} [options]
+ * @returns {Promise<object[]>}
+ */
+async function listRuns({ job, limit = 50 } = {}) {
+    const store = await readJSON(RUNS_FILE, { runs: [] });
+    const runs = Array.isArray(store.runs) ? store.runs : [];
+    return runs.filter(run => !job || run.jobId === job).slice(0, limit);
+}
+
+/**
+ * Records the start of a run.
+ * @param {object} run
+ * @returns {Promise<void>}
+ */
+async function recordStart(run) {
+    await updateJSON(RUNS_FILE, { runs: [] }, store => {
+        store.runs = [run, ...(store.runs || [])].slice(0, MAX_RUNS);
+    });
+}
+
+/**
+ * Records the outcome of a run.
+ * @param {string} runId
+ * @param {object} fields
+ * @returns {Promise<void>}
+ */
+async function recordFinish(runId, fields) {
+    await updateJSON(RUNS_FILE, { runs: [] }, store => {
+        const run = (store.runs || []).find(candidate => candidate.id === runId);
+        if (run) Object.assign(run, fields);
+    });
+}
+
+/**
+ * Marks runs left "running" by a previous server process as failed.
+ * @returns {Promise<void>}
+ */
+async function recoverInterruptedRuns() {
+    await updateJSON(RUNS_FILE, { runs: [] }, store => {
+        (store.runs || []).filter(run => run.status === 'running').forEach(run => {
+            Object.assign(run, { status: 'failed', finishedAt: run.startedAt, durationMs: null, error: 'Interrupted by a server restart.' });
+        });
+    });
+}
+
+// --- JOBS ---
+
+/**
+ * Fetches every enabled feed, refreshing the article archive and feed health.
+ * @returns {Promise<object>} Run result
+ */
+async function runFetch() {
+    const { articles, feedCount } = await collectArticles({ timeoutMs: context.timeoutMs });
+    await Promise.all([articleArchive.flush(), feedHealth.flush()]);
+    return { articles: articles.length, feeds: feedCount };
+}
+
+/**
+ * Summarizes the feeds (as automation/daily-update.js does), delivers the summary and optionally writes the section
+ * briefs and the Community Pulse report. Failures of those reports are listed in `warnings`.
+ * @param {object} job
+ * @returns {Promise<object>} Run result
+ */
+async function runSummarize(job) {
+    const profile = await promptProfiles.resolveProfile(job.profile || undefined);
+    await usageLedger.assertWithinBudget();
+
+    const { articles } = await collectArticles({ timeoutMs: context.timeoutMs, fullText: articleText.FULL_TEXT_ENABLED });
+    await Promise.all([articleArchive.flush(), feedHealth.flush()]);
+    if (articles.length === 0) {
+        throw new Error('No news items fetched.');
+    }
+
+    // With the Community Pulse on, the community posts are left out of the summary so it stays editorial
+    const { sections } = await feedRegistry.loadRegistry();
+    const communityIds = new Set(sections.filter(sectionReports.isCommunitySection).map(section => section.id));
+    const editorial = job.communityPulse ? articles.filter(article => !communityIds.has(article.section)) : articles;
+
+    const { record } = await generateSummary({
+        provider: context.provider,
+        profile,
+        articles: editorial.length ? editorial : articles,
+        throttleMinutes: context.throttleMinutes,
+        trigger: 'scheduler',
+        compare: job.compare
+    });
+    const deliveries = await delivery.deliverSummary(record);
+    const result = {
+        profile: profile.id,
+        summary: record.id,
+        articles: record.articles.length,
+        delivered: deliveries.filter(entry => entry.status !== 'failed').length,
+        deliveryFailures: deliveries.filter(entry => entry.status === 'failed').length,
+        warnings: []
+    };
+
+    if (job.sectionBriefs) {
+        try {
+            const { briefs } = await sectionReports.generateSectionBriefs({ provider: context.provider, profile, articles, sections });
+            result.sectionBriefs = briefs.length;
+        } catch (error) {
+            result.warnings.push(`Section briefs: ${error.message}`);
+        }
+    }
+    if (job.communityPulse) {
+        try {
+            await usageLedger.assertWithinBudget();
+            result.communityPulse = (await sectionReports.generateCommunityPulse({ provider: context.provider, profile, articles, sections })).id;
+        } catch (error) {
+            result.warnings.push(`Community Pulse: ${error.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Generates and delivers the weekly rollup.
+ * @param {object} job
+ * @returns {Promise<object>} Run result
+ */
+async function runWeeklyRollup(job) {
+    const profile = await promptProfiles.resolveProfile(job.profile || undefined);
+    await usageLedger.assertWithinBudget();
+    const { record } = await generateWeeklyRollup({
+        provider: context.provider,
+        profile,
+        throttleMinutes: context.throttleMinutes
+    });
+    await delivery.deliverSummary(record);
+    return { profile: profile.id, summary: record.id, summaries: record.rollup.summaries.length };
+}
+
+const RUNNERS = {
+    fetch: runFetch,
+    summarize: runSummarize,
+    'weekly-rollup': runWeeklyRollup
+};
+
+/**
+ * Runs a job and records the outcome. Refusals that are not failures (a budget reached, a rollup already made,
+ * nothing to roll up) are recorded as "skipped".
+ * @param {object} job Validated job
+ * @param {object} run Run record, already stored as running
+ * @returns {Promise<object>} The finished run
+ */
+async function execute(job, run) {
+    let fields;
+    try {
+        const result = await RUNNERS[job.type](job);
+        fields = { status: 'succeeded', result };
+    } catch (error) {
+        const skipped = error.statusCode === 409 || error.statusCode === 429;
+        fields = {
+            status: skipped ? 'skipped' : 'failed',
+            error: error.message,
+            ...(error.attempts > 1 ? { attempts: error.attempts } : {})
+        };
+    } finally {
+        running.delete(job.id);
+    }
+
+    const finishedAt = Date.now();
+    Object.assign(fields, { finishedAt, durationMs: finishedAt - run.startedAt });
+    try {
+        await recordFinish(run.id, fields);
+    } catch (error) {
+        console.error('❌ Failed to record the job run:', error.message);
+    }
+
+    const seconds = (fields.durationMs / 1000).toFixed(1);
+    if (fields.status === 'failed') {
+        console.error(`❌ Job ${job.id} failed after ${seconds}s: ${fields.error}`);
+    } else if (fields.status === 'skipped') {
+        console.log(`ℹ️  Job ${job.id} skipped: ${fields.error}`);
+    } else {
+        console.log(`✅ Job ${job.id} finished in ${seconds}s`);
+    }
+    return { ...run, ...fields };
+}
+
+/**
+ * Starts a job and resolves once its run is recorded as running; the job continues in the background.
+ * @param {object} job Validated job
+ * @param {{trigger: string, user?: string}} options
+ * @returns {Promise<{run: object, finished: Promise<object>}>}
+ */
+async function launch(job, { trigger, user }) {
+    if (!context) {
+        throw new HttpError(503, 'The scheduler has not started yet.');
+    }
+    if (running.has(job.id)) {
+        throw new HttpError(409, `Job "${job.id}" is already running.`);
+    }
+
+    const startedAt = Date.now();
+    const run = {
+        id: `${startedAt.toString(36)}-${job.id}`,
+        jobId: job.id,
+        type: job.type,
+        trigger,
+        ...(user ? { user } : {}),
+        status: 'running',
+        startedAt
+    };
+    running.set(job.id, run.id);
+    try {
+        await recordStart(run);
+    } catch (error) {
+        running.delete(job.id);
+        throw error;
+    }
+
+    console.log(`⏰ Job ${job.id} (${job.type}) started (${trigger})`);
+    return { run, finished: execute(job, run) };
+}
+
+/**
+ * Runs a job now, outside its schedule. Disabled jobs can be run; invalid ones cannot.
+ * @param {string} jobId
+ * @param {{user?: string}} [options] Username behind the run (when authentication is enabled)
+ * @returns {Promise<{run: object, finished: Promise<object>}>}
+ */
+async function runJob(jobId, { user } = {}) {
+    const { jobs } = await loadSchedule();
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+        throw new HttpError(404, `Job "${jobId}" not found.`);
+    }
+    if (job.error) {
+        throw new HttpError(400, `Job "${jobId}" is misconfigured: ${job.error}`);
+    }
+    return launch(job, { trigger: 'manual', user });
+}
+
+/**
+ * Whether a job type calls the LLM (and so counts against regeneration quotas when run manually).
+ * @param {string} jobId
+ * @returns {Promise<boolean>}
+ */
+async function usesLLM(jobId) {
+    const { jobs } = await loadSchedule();
+    const job = jobs.find(candidate => candidate.id === jobId);
+    return Boolean(job && LLM_JOB_TYPES.includes(job.type));
+}
+
+/**
+ * The jobs with their next scheduled run, whether they are running and their latest run.
+ * @returns {Promise<{enabled: boolean, timezone: string, jobs: object[]}>}
+ */
+async function getStatus() {
+    const [{ timezone, jobs }, runs] = await Promise.all([loadSchedule(), listRuns({ limit: MAX_RUNS })]);
+    return {
+        enabled: SCHEDULER_ENABLED,
+        timezone,
+        jobs: jobs.map(({ schedule, ...job }) => ({
+            ...job,
+            nextRunAt: SCHEDULER_ENABLED && job.enabled ? cron.nextRun(schedule, job.timezone) : null,
+            running: running.has(job.id),
+            lastRun: runs.find(run => run.jobId === job.id) || null
+        }))
+    };
+}
+
+// --- TICKING ---
+
+/**
+ * Starts every enabled job due in the current minute. A job still running from its previous run is skipped.
+ * @returns {Promise<void>}
+ */
+async function tick() {
+    const minute = Math.floor(Date.now() / 60000) * 60000;
+    const { jobs } = await loadSchedule();
+
+    jobs.forEach(job => {
+        if (job.error && !reportedErrors.has(`${job.id}: ${job.error}`)) {
+            reportedErrors.add(`${job.id}: ${job.error}`);
+            console.error(`❌ Scheduled job ${job.id || '(no id)'} is disabled: ${job.error}`);
+        }
+    });
+
+    for (const job of jobs.filter(candidate => candidate.enabled && !candidate.error)) {
+        if (lastDue.get(job.id) === minute || !cron.isDue(job.schedule, job.timezone, minute)) continue;
+        lastDue.set(job.id, minute);
+        if (running.has(job.id)) {
+            console.warn(`⚠️  Job ${job.id} is still running; skipping this scheduled run`);
+            continue;
+        }
+        try {
+            await launch(job, { trigger: 'schedule' });
+        } catch (error) {
+            console.error(`❌ Failed to start job ${job.id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Waits for the start of the next minute, ticks, and repeats.
+ */
+function scheduleTick() {
+    timer = setTimeout(() => {
+        tick()
+            .catch(error => console.error('❌ Scheduler tick failed:', error.message))
+            .finally(scheduleTick);
+    }, 60000 - (Date.now() % 60000) + 50);
+    timer.unref();
+}
+
+/**
+ * Prepares manual runs and, when SCHEDULER_ENABLED=true, starts running jobs on schedule. Missed runs (while the
+ * server was down) are not caught up.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {number} options.throttleMinutes Throttle window, quoted in the feed
+ * @param {number} options.timeoutMs Per-feed timeout
+ * @returns {Promise<void>}
+ */
+async function start({ provider, throttleMinutes, timeoutMs }) {
+    context = { provider, throttleMinutes, timeoutMs };
+    try {
+        await recoverInterruptedRuns();
+    } catch (error) {
+        console.error('❌ Failed to read the job run history:', error.message);
+    }
+    if (!SCHEDULER_ENABLED || timer) return;
+
+    const { timezone, jobs } = await loadSchedule();
+    const active = jobs.filter(job => job.enabled && !job.error).length;
+    console.log(`⏰ Scheduler started: ${active} of ${jobs.length} job(s) active (time zone ${timezone})`);
+    scheduleTick();
+}
+
+module.exports = {
+    SCHEDULER_ENABLED,
+    JOB_TYPES,
+    loadSchedule,
+    listRuns,
+    getStatus,
+    runJob,
+    usesLLM,
+    start
+};
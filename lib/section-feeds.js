@@ -0,0 +1,98 @@
+// lib/section-feeds.js
+// Aggregated article feeds per dashboard section (e.g. /feeds/ad-tech.xml): every enabled feed in the section,
+// with filtering rules and story clustering applied, newest first
+
+const feedRegistry = require('./feed-registry');
+const { collectArticles } = require('./articles');
+const { escapeHTML } = require('./markdown');
+const { FORMATS, absoluteUrl } = require('./feed-formats');
+const { HttpError } = require('./errors');
+
+const SECTION_FEED_ITEMS = 50;
+const CACHE_TTL_MS = (parseInt(process.env.SECTION_FEED_CACHE_MINUTES, 10) || 15) * 60 * 1000;
+
+const cache = new Map(); // section id → { builtAt, feed }
+
+/**
+ * Publish time of an article (fetch time when the feed gives none).
+ * @param {object} article
+ * @param {number} fallback
+ * @returns {number}
+ */
+function publishedAt(article, fallback) {
+    const time = article.pubDate ? new Date(article.pubDate).getTime() : NaN;
+    return Number.isNaN(time) ? fallback : time;
+}
+
+/**
+ * Builds the feed model for a section's articles.
+ * @param {{id: string, label: string}} section
+ * @param {object[]} articles Articles from collectArticles
+ * @returns {object} Feed model (see lib/feed-formats.js)
+ */
+function buildSectionFeed(section, articles) {
+    const builtAt = Date.now();
+    const feedUrls = {};
+    Object.keys(FORMATS).forEach(format => {
+        feedUrls[format] = absoluteUrl(`/feeds/${section.id}.${FORMATS[format].extension}`);
+    });
+
+    const items = articles
+        .filter(article => /^https?:\/\//i.test(article.link))
+        .map(article => ({ article, published: publishedAt(article, builtAt) }))
+        .sort((a, b) => b.published - a.published)
+        .slice(0, SECTION_FEED_ITEMS)
+        .map(({ article, published }) => {
+            const related = (article.related || [])
+                .filter(other => /^https?:\/\//i.test(other.link))
+                .map(other => `<li><a href="${escapeHTML(other.link)}">${escapeHTML(other.title)}</a> (${escapeHTML(other.source)})</li>`)
+                .join('');
+            return {
+                id: article.link,
+                url: article.link,
+                title: article.title,
+                summary: article.description.slice(0, 500),
+                contentHtml: `<p>${escapeHTML(article.description)}</p><p><em>${escapeHTML(article.source)}</em></p>` +
+                    (related ? `<p>Also covered by:</p><ul>${related}</ul>` : ''),
+                contentText: article.description,
+                published,
+                authors: [article.author ? `${article.author} (${article.source})` : article.source],
+                tags: article.categories || []
+            };
+        });
+
+    return {
+        title: `T.H.A.N.O.S. - ${section.label}`,
+        description: `Aggregated ${section.label} news from ${new Set(articles.map(article => article.source)).size} sources`,
+        homePageUrl: absoluteUrl('/'),
+        feedUrls,
+        updated: items.length ? Math.max(...items.map(item => item.published)) : builtAt,
+        items
+    };
+}
+
+/**
+ * Renders a section feed, rebuilding it at most every SECTION_FEED_CACHE_MINUTES.
+ * @param {string} sectionId
+ * @param {string} format rss, atom or json
+ * @param {{timeoutMs: number}} options
+ * @returns {Promise<{body: string, contentType: string}>}
+ */
+async function renderSectionFeed(sectionId, format, { timeoutMs }) {
+    const { sections } = await feedRegistry.loadRegistry();
+    const section = sections.find(candidate => candidate.id === sectionId);
+    if (!section) throw new HttpError(404, `Section "${sectionId}" not found.`);
+
+    let cached = cache.get(section.id);
+    if (!cached || Date.now() - cached.builtAt > CACHE_TTL_MS) {
+        const { articles } = await collectArticles({ sections: [section.id], timeoutMs });
+        cached = { builtAt: Date.now(), feed: buildSectionFeed(section, articles) };
+        cache.set(section.id, cached);
+    }
+    return { body: FORMATS[format].build(cached.feed), contentType: FORMATS[format].contentType };
+}
+
+module.exports = {
+    buildSectionFeed,
+    renderSectionFeed
+};
@@ -0,0 +1,231 @@
+// lib/section-reports.js
+// Reports scoped to dashboard sections: a short brief per editorial section, shown at the top of that section, and
+// the Community Pulse report on practitioner sentiment in the community sections (the subreddits, marked `community`
+// in the feed registry), kept apart from the editorial analysis. Both are archived (kinds "section-brief" and
+// "community-pulse") but not published in the summary feeds or delivered.
+
+const { formatNewsForClaude } = require('./articles');
+const { CITATION_INSTRUCTION } = require('./structured-summary');
+const summaryArchive = require('./summary-archive');
+const usageLedger = require('./usage-ledger');
+const { HttpError } = require('./errors');
+
+const MAX_REPORT_ARTICLES = 40; // Per report; articles arrive most important first
+
+/**
+ * Whether a registry section holds community posts rather than editorial news.
+ * @param {{community?: boolean}} section
+ * @returns {boolean}
+ */
+function isCommunitySection(section) {
+    return section.community === true;
+}
+
+/**
+ * System prompt for the brief of one editorial section.
+ * @param {object} profile Prompt profile
+ * @param {{label: string, emoji?: string}} section
+ * @returns {string}
+ */
+function buildBriefPrompt(profile, section) {
+    return `
+For consideration by ${profile.audience}.
+Analyze the following news articles from the "${section.label}" section of an industry news dashboard through the lens of ${profile.lens}.
+
+Write a short brief in Markdown that is displayed at the top of that section: at most 150 words, without preamble,
+in exactly this structure:
+
+## ${section.emoji || '📰'} ${section.label}: Brief
+* 3-5 bullet points on the section's most important developments and why they matter
+
+**Watch:** One sentence on what to follow next.
+
+${CITATION_INSTRUCTION}
+`;
+}
+
+/**
+ * System prompt for the Community Pulse report.
+ * @param {object} profile Prompt profile
+ * @returns {string}
+ */
+function buildPulsePrompt(profile) {
+    return `
+For consideration by ${profile.audience}.
+The following posts come from practitioner communities (subreddits), not from editorial news sources. Treat them as
+opinions and experiences rather than verified facts: characterize what practitioners are saying and how they feel,
+through the lens of ${profile.lens}.
+
+Write the Community Pulse report in Markdown that is ready to be directly displayed in a dashboard panel.
+Go directly into the following structure, without preamble:
+
+## 🗣️ Community Pulse
+**Overall sentiment:** Positive, Mixed or Negative, and one sentence on why.
+
+## 😤 Recurring Complaints & Pain Points
+* Problems raised in several posts, and the communities raising them
+
+## 🔥 What Practitioners Are Discussing
+* The most active topics and the prevailing opinion on each
+
+## ❓ Open Questions
+* What practitioners are asking each other for help with
+
+## 💡 Signals for Leadership
+* What the community mood means for leadership, and where it differs from the industry news
+
+${CITATION_INSTRUCTION}
+`;
+}
+
+/**
+ * Generates one report, records its token usage and archives it.
+ * @param {object} options
+ * @returns {Promise<object>} The archived record
+ */
+async function generateReport({ provider, profile, articles, system, kind, section = null, trigger, user }) {
+    const result = await usageLedger.generateAndRecord(provider, {
+        system,
+        messages: [
+            { role: 'user', content: formatNewsForClaude(articles) }
+        ]
+    }, { profile: profile.id, trigger, user });
+
+    // Citations are kept as [n] markers and linked to the archived articles when displayed (see lib/summary-export.js)
+    return summaryArchive.archiveSummary({
+        timestamp: Date.now(),
+        summary: result.text,
+        model: result.model,
+        profile: profile.id,
+        articles,
+        kind,
+        section
+    });
+}
+
+/**
+ * Generates a brief for each editorial section that has articles, one LLM call per section. A section that fails
+ * is reported in `skipped` and the others are still generated; only when none succeeds is the error thrown.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {object} options.profile Prompt profile
+ * @param {object[]} options.articles Articles from collectArticles()
+ * @param {object[]} options.sections Registry sections to brief (community sections are left out)
+ * @param {string} [options.trigger] Usage-ledger trigger (defaults to section-brief)
+ * @param {string} [options.user] Username behind the call (when authentication is enabled)
+ * @returns {Promise<{briefs: object[], skipped: Array<{section: string, reason: string}>}>}
+ */
+async function generateSectionBriefs({ provider, profile, articles, sections, trigger = 'section-brief', user }) {
+    const editorial = sections.filter(section => !isCommunitySection(section));
+    if (editorial.length === 0) {
+        throw new HttpError(400, 'Select at least one editorial section; community sections get the Community Pulse report.');
+    }
+
+    const briefs = [];
+    const skipped = [];
+    const errors = [];
+    for (const section of editorial) {
+        const sectionArticles = articles.filter(article => article.section === section.id).slice(0, MAX_REPORT_ARTICLES);
+        if (sectionArticles.length === 0) {
+            skipped.push({ section: section.id, reason: 'No articles in this section (for the selected date window).' });
+            continue;
+        }
+
+        try {
+            await usageLedger.assertWithinBudget();
+            console.log(`🤖 Calling ${provider.name} (model: ${provider.model}, profile: ${profile.id}) for the ${section.label} brief (${sectionArticles.length} articles)...`);
+            briefs.push(await generateReport({
+                provider,
+                profile,
+                articles: sectionArticles,
+                system: buildBriefPrompt(profile, section),
+                kind: 'section-brief',
+                section: section.id,
+                trigger,
+                user
+            }));
+        } catch (error) {
+            console.error(`❌ Section brief for ${section.label} failed:`, error.message);
+            skipped.push({ section: section.id, reason: error.message });
+            errors.push(error);
+        }
+    }
+
+    if (briefs.length === 0) {
+        throw errors[0] || new HttpError(422, 'No articles matched the selected sections and date window.');
+    }
+    console.log(`✅ Generated ${briefs.length} of ${editorial.length} section briefs`);
+    return { briefs, skipped };
+}
+
+/**
+ * Generates the Community Pulse report from the posts of the community sections.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {object} options.profile Prompt profile
+ * @param {object[]} options.articles Articles from collectArticles() (only community posts are used)
+ * @param {object[]} options.sections Registry sections
+ * @param {string} [options.trigger] Usage-ledger trigger (defaults to community-pulse)
+ * @param {string} [options.user] Username behind the call (when authentication is enabled)
+ * @returns {Promise<object>} The archived record
+ */
+async function generateCommunityPulse({ provider, profile, articles, sections, trigger = 'community-pulse', user }) {
+    const communityIds = sections.filter(isCommunitySection).map(section => section.id);
+    if (communityIds.length === 0) {
+        throw new HttpError(409, 'No community sections are configured (mark a feed registry section with "community": true).');
+    }
+    const posts = articles.filter(article => communityIds.includes(article.section)).slice(0, MAX_REPORT_ARTICLES);
+    if (posts.length === 0) {
+        throw new HttpError(422, 'No community posts matched the selected date window.');
+    }
+
+    console.log(`🤖 Calling ${provider.name} (model: ${provider.model}, profile: ${profile.id}) for the Community Pulse (${posts.length} posts)...`);
+    const record = await generateReport({
+        provider,
+        profile,
+        articles: posts,
+        system: buildPulsePrompt(profile),
+        kind: 'community-pulse',
+        trigger,
+        user
+    });
+    console.log('✅ Community Pulse generated successfully');
+    return record;
+}
+
+/**
+ * The latest brief of each editorial section for a profile, in section order.
+ * @param {string} profileId
+ * @param {object[]} sections Registry sections
+ * @returns {Promise<object[]>} Archived records
+ */
+async function getLatestBriefs(profileId, sections) {
+    const { summaries } = await summaryArchive.listSummaries({ profile: profileId, kind: 'section-brief', limit: Infinity });
+    const latest = new Map();
+    summaries.forEach(entry => {
+        if (!latest.has(entry.section)) latest.set(entry.section, entry);
+    });
+
+    const records = await Promise.all(sections
+        .filter(section => !isCommunitySection(section) && latest.has(section.id))
+        .map(section => summaryArchive.getSummary(latest.get(section.id).id)));
+    return records.filter(Boolean);
+}
+
+/**
+ * The latest Community Pulse report for a profile.
+ * @param {string} profileId
+ * @returns {Promise<object|null>} Archived record
+ */
+async function getLatestPulse(profileId) {
+    const { summaries } = await summaryArchive.listSummaries({ profile: profileId, kind: 'community-pulse', limit: 1 });
+    return summaries.length ? summaryArchive.getSummary(summaries[0].id) : null;
+}
+
+module.exports = {
+    isCommunitySection,
+    generateSectionBriefs,
+    generateCommunityPulse,
+    getLatestBriefs,
+    getLatestPulse
+};
@@ -0,0 +1,132 @@
+// lib/story-clusters.js
+// Groups the same story reported by several feeds into one cluster, by normalized link and by
+// title/description similarity. Coverage (the number of distinct sources) signals importance.
+
+const TITLE_SIMILARITY = 0.6; // Jaccard similarity of title tokens that alone marks a duplicate
+const TITLE_FLOOR = 0.3;      // Weaker title overlap that counts when the descriptions agree too
+const TEXT_SIMILARITY = 0.4;  // Jaccard similarity of title + description-lead tokens
+const DESCRIPTION_LEAD_CHARS = 300;
+
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|cmpid|ncid|sr_share|mkt_tok)$/i;
+
+const STOPWORDS = new Set(('a an and are as at be been but by for from has have how in into is it its new of on or ' +
+    'says than that the their this to was were what when where which who why will with you your after over about ' +
+    'more most just now out up via').split(' '));
+
+/**
+ * Normalizes an article link for comparison: lowercased host (and any non-default port) without "www.", no scheme,
+ * no fragment, no tracking parameters and no trailing slash.
+ * @param {string} link
+ * @returns {string}
+ */
+function normalizeLink(link) {
+    if (!link) return '';
+    try {
+        const url = new URL(link);
+        const params = new URLSearchParams();
+        [...url.searchParams.keys()].sort().forEach(key => {
+            if (!TRACKING_PARAM_PATTERN.test(key)) params.append(key, url.searchParams.get(key));
+        });
+        const query = params.toString();
+        const pathname = url.pathname.replace(/\/+$/, '');
+        return `${url.host.replace(/^www\./i, '').toLowerCase()}${pathname}${query ? `?${query}` : ''}`;
+    } catch (error) {
+        return link.trim().toLowerCase();
+    }
+}
+
+/**
+ * Splits text into a set of significant lowercase word tokens.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+    const words = (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9$%]+/g) || [];
+    return new Set(words.filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+/**
+ * Jaccard similarity of two token sets.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Decides whether two prepared articles report the same story.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function isSameStory(a, b) {
+    if (a.normalizedLink && a.normalizedLink === b.normalizedLink) return true;
+    const titleSimilarity = jaccard(a.titleTokens, b.titleTokens);
+    if (titleSimilarity >= TITLE_SIMILARITY) return true;
+    return titleSimilarity >= TITLE_FLOOR && jaccard(a.textTokens, b.textTokens) >= TEXT_SIMILARITY;
+}
+
+/**
+ * Clusters articles that cover the same story. Each cluster is represented by its earliest-published
+ * article (the original report) and carries:
+ *   - coverage: number of distinct sources that reported it
+ *   - related: the other articles in the cluster ({ title, link, source, pubDate })
+ * Clusters keep the input order of their representative, then are sorted by coverage (stable).
+ * @param {object[]} articles Articles from collectArticles (title, description, link, source, pubDate, ...)
+ * @returns {object[]}
+ */
+function clusterArticles(articles) {
+    const prepared = articles.map(article => {
+        const titleTokens = tokenize(article.title);
+        const textTokens = tokenize(`${article.title} ${(article.description || '').slice(0, DESCRIPTION_LEAD_CHARS)}`);
+        return { article, normalizedLink: normalizeLink(article.link), titleTokens, textTokens };
+    });
+
+    // Union-find over all pairs; feed sets are small (a few hundred items), so O(n²) is fine
+    const parent = prepared.map((item, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    for (let i = 0; i < prepared.length; i++) {
+        for (let j = i + 1; j < prepared.length; j++) {
+            if (find(i) !== find(j) && isSameStory(prepared[i], prepared[j])) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    prepared.forEach((item, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item.article);
+    });
+
+    const publishedAt = article => {
+        const time = article.pubDate ? new Date(article.pubDate).getTime() : NaN;
+        return Number.isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+    };
+    const clusters = [...groups.values()].map(members => {
+        const [primary, ...related] = [...members].sort((a, b) => publishedAt(a) - publishedAt(b));
+        return {
+            ...primary,
+            coverage: new Set(members.map(member => member.source)).size,
+            related: related.map(article => ({
+                title: article.title,
+                link: article.link,
+                source: article.source,
+                pubDate: article.pubDate || null
+            }))
+        };
+    });
+
+    return clusters.sort((a, b) => b.coverage - a.coverage);
+}
+
+module.exports = {
+    normalizeLink,
+    clusterArticles
+};
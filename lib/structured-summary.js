@@ -0,0 +1,296 @@
+// lib/structured-summary.js
+// Turns a cited Markdown summary into a structured result (trends, takeaways, risks and, for comparison
+// summaries, what changed) whose points reference the source articles, and validates it against the summary schema
+
+const SCHEMA_VERSION = 1;
+const SECTION_KEYS = ['trends', 'takeaways', 'risks'];
+
+// Headings are matched to sections by keyword (most specific first); unmatched headings fall back to their position
+const SECTION_PATTERNS = {
+    risks: /risk|blind ?spot|threat|watch/i,
+    trends: /trend|theme|signal/i,
+    takeaways: /takeaway|recommend|action|implication|opportunit|strateg/i
+};
+
+// The optional "what changed" section of comparison summaries (see lib/summary-comparison.js) and its groups
+const CHANGES_PATTERN = /what changed|changes since/i;
+const CHANGE_KEYS = ['new', 'developing', 'faded'];
+const CHANGE_GROUP_PATTERNS = {
+    developing: /still|developing|continu|ongoing/i,
+    faded: /fad|quiet|dropped|no longer/i,
+    new: /new|emerging/i
+};
+
+// Citation markers such as [3], [2, 7] or [Article 4]
+const CITATION_PATTERN = /\s*\[(?:articles?\s*)?(\d+(?:\s*[,;]\s*(?:articles?\s*)?\d+)*)\]/gi;
+const BULLET_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Instruction appended to the system prompt so every point cites its articles by number.
+ */
+const CITATION_INSTRUCTION = `Every bullet point MUST end with the numbers of the articles that support it in square brackets, using the article numbers given below (for example "[3]" or "[2, 7]"). Only cite articles that actually support the point.`;
+
+/**
+ * Picks the section a heading belongs to.
+ * @param {string} heading
+ * @param {number} position Zero-based heading position
+ * @param {Set<string>} taken Sections already assigned
+ * @returns {string|null}
+ */
+function classifyHeading(heading, position, taken) {
+    const byKeyword = Object.keys(SECTION_PATTERNS).find(key => !taken.has(key) && SECTION_PATTERNS[key].test(heading));
+    if (byKeyword) return byKeyword;
+    const byPosition = SECTION_KEYS[position];
+    return byPosition && !taken.has(byPosition) ? byPosition : null;
+}
+
+/**
+ * Picks the "what changed" group a heading belongs to.
+ * @param {string} heading
+ * @returns {string|null}
+ */
+function classifyChangeGroup(heading) {
+    return Object.keys(CHANGE_GROUP_PATTERNS).find(key => CHANGE_GROUP_PATTERNS[key].test(heading)) || null;
+}
+
+/**
+ * Extracts the cited article numbers from a line and returns the line without its markers.
+ * @param {string} line
+ * @returns {{text: string, refs: number[]}}
+ */
+function extractCitations(line) {
+    const refs = [];
+    const text = line.replace(CITATION_PATTERN, (marker, list) => {
+        list.split(/[,;]/).forEach(part => refs.push(parseInt(part.replace(/\D/g, ''), 10)));
+        return '';
+    }).trim();
+    return { text, refs };
+}
+
+/**
+ * Parses a Markdown summary whose bullets carry [n] citation markers into the structured schema.
+ * Article numbers are 1-based positions in `articles`, as numbered by formatNewsForClaude.
+ * A "what changed" section becomes `changes` ({ heading, new, developing, faded }, each { heading, points }).
+ * @param {string} markdown
+ * @param {Array<{title: string, link: string, source: string}>} articles
+ * @returns {{version: number, trends: object, takeaways: object, risks: object, changes?: object}}
+ */
+function parseStructuredSummary(markdown, articles) {
+    const structured = { version: SCHEMA_VERSION };
+    SECTION_KEYS.forEach(key => { structured[key] = { heading: '', points: [] }; });
+
+    const taken = new Set();
+    let current = null;
+    let headingCount = 0;
+    let inChanges = false;
+
+    markdown.split('\n').forEach(line => {
+        const heading = line.match(/^#{1,4}\s+(.*)$/);
+        if (heading) {
+            if (CHANGES_PATTERN.test(heading[1]) && !structured.changes) {
+                structured.changes = { heading: heading[1].trim() };
+                CHANGE_KEYS.forEach(key => { structured.changes[key] = { heading: '', points: [] }; });
+                inChanges = true;
+                current = null;
+                return;
+            }
+            const group = inChanges ? classifyChangeGroup(heading[1]) : null;
+            if (group) {
+                current = structured.changes[group];
+                current.heading = heading[1].trim();
+                return;
+            }
+            inChanges = false;
+
+            const key = classifyHeading(heading[1], headingCount++, taken);
+            current = key ? structured[key] : null;
+            if (key) {
+                taken.add(key);
+                current.heading = heading[1].trim();
+            }
+            return;
+        }
+
+        const bullet = line.match(BULLET_PATTERN);
+        if (!current || !bullet) return;
+
+        const { text, refs } = extractCitations(bullet[1]);
+        if (!text) return;
+
+        const seen = new Set();
+        const citations = refs
+            .filter(ref => articles[ref - 1] && !seen.has(ref) && seen.add(ref))
+            .map(ref => ({
+                link: articles[ref - 1].link,
+                source: articles[ref - 1].source,
+                title: articles[ref - 1].title
+            }));
+        current.points.push({ text, citations });
+    });
+
+    if (structured.changes && CHANGE_KEYS.every(key => structured.changes[key].points.length === 0)) {
+        delete structured.changes;
+    }
+    return structured;
+}
+
+/**
+ * Validates the points of one section or group.
+ * @param {*} points
+ * @param {string} where Path of the section in error messages
+ * @param {string[]} errors Collects the validation errors
+ */
+function validatePoints(points, where, errors) {
+    points.forEach((point, index) => {
+        const pointPath = `${where}.points[${index}]`;
+        if (!point || typeof point.text !== 'string' || !point.text.trim()) {
+            errors.push(`${pointPath}.text must be a non-empty string.`);
+        }
+        if (!Array.isArray(point?.citations)) {
+            errors.push(`${pointPath}.citations must be an array.`);
+            return;
+        }
+        point.citations.forEach((citation, citationIndex) => {
+            if (!citation || !/^https?:\/\//i.test(citation.link) ||
+                typeof citation.source !== 'string' || typeof citation.title !== 'string') {
+                errors.push(`${pointPath}.citations[${citationIndex}] must have an http(s) "link", a "source" and a "title".`);
+            }
+        });
+    });
+}
+
+/**
+ * Validates a structured summary against the schema.
+ * @param {*} structured
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateStructuredSummary(structured) {
+    const errors = [];
+    if (!structured || typeof structured !== 'object') {
+        return ['Structured summary must be an object.'];
+    }
+    if (structured.version !== SCHEMA_VERSION) {
+        errors.push(`"version" must be ${SCHEMA_VERSION}.`);
+    }
+
+    SECTION_KEYS.forEach(key => {
+        const section = structured[key];
+        if (!section || typeof section.heading !== 'string' || !Array.isArray(section.points)) {
+            errors.push(`"${key}" must be an object with a "heading" string and a "points" array.`);
+            return;
+        }
+        validatePoints(section.points, key, errors);
+    });
+
+    if (structured.changes !== undefined) {
+        if (!structured.changes || typeof structured.changes.heading !== 'string') {
+            errors.push('"changes" must be an object with a "heading" string.');
+        } else {
+            CHANGE_KEYS.forEach(key => {
+                const group = structured.changes[key];
+                if (!group || typeof group.heading !== 'string' || !Array.isArray(group.points)) {
+                    errors.push(`"changes.${key}" must be an object with a "heading" string and a "points" array.`);
+                    return;
+                }
+                validatePoints(group.points, `changes.${key}`, errors);
+            });
+        }
+    }
+
+    if (!errors.length && SECTION_KEYS.every(key => structured[key].points.length === 0)) {
+        errors.push('Structured summary has no points.');
+    }
+    return errors;
+}
+
+/**
+ * Builds and validates the structured form of a summary. Returns null (and logs why) if it does not match the schema,
+ * in which case only the Markdown is kept.
+ * @param {string} markdown
+ * @param {object[]} articles
+ * @returns {object|null}
+ */
+function buildStructuredSummary(markdown, articles) {
+    const structured = parseStructuredSummary(markdown, articles);
+    const errors = validateStructuredSummary(structured);
+    if (errors.length) {
+        console.warn(`⚠️  Structured summary failed validation: ${errors.slice(0, 3).join(' ')}`);
+        return null;
+    }
+
+    const points = SECTION_KEYS.flatMap(key => structured[key].points);
+    const uncited = points.filter(point => point.citations.length === 0).length;
+    if (uncited) {
+        console.warn(`⚠️  ${uncited} of ${points.length} summary points have no article citations`);
+    }
+    return structured;
+}
+
+/**
+ * Removes citation markers, for outputs that show the plain Markdown (e.g. feed.xml).
+ * @param {string} markdown
+ * @returns {string}
+ */
+function stripCitations(markdown) {
+    return markdown.replace(CITATION_PATTERN, '');
+}
+
+/**
+ * Replaces citation markers with links to the cited articles, for summaries without a structured form
+ * (e.g. section briefs). Numbers that match no article are dropped.
+ * @param {string} markdown
+ * @param {Array<{link: string, source: string}>} articles Articles in the order they were numbered
+ * @returns {string}
+ */
+function linkCitations(markdown, articles) {
+    return markdown.replace(CITATION_PATTERN, (marker, list) => {
+        const links = [...new Set(list.split(/[,;]/).map(part => parseInt(part.replace(/\D/g, ''), 10)))]
+            .map(number => articles[number - 1])
+            .filter(article => article && /^https?:\/\//i.test(article.link))
+            .map(article => `[${article.source.replace(/[[\]]/g, '')}](${article.link})`);
+        return links.length ? ` (${links.join(', ')})` : '';
+    });
+}
+
+/**
+ * Renders points as a Markdown list, with each point's citations as source links.
+ * @param {object[]} points
+ * @returns {string}
+ */
+function pointsToMarkdown(points) {
+    return points.map(point => {
+        const sources = point.citations.map(citation => `[${citation.source}](${citation.link})`).join(', ');
+        return sources ? `* ${point.text} (${sources})` : `* ${point.text}`;
+    }).join('\n');
+}
+
+/**
+ * Renders a structured summary back to Markdown, with each point's citations as source links.
+ * @param {object} structured
+ * @returns {string}
+ */
+function structuredToMarkdown(structured) {
+    const sections = SECTION_KEYS
+        .filter(key => structured[key].points.length > 0)
+        .map(key => `## ${structured[key].heading}\n${pointsToMarkdown(structured[key].points)}`);
+
+    if (structured.changes) {
+        const groups = CHANGE_KEYS
+            .filter(key => structured.changes[key].points.length > 0)
+            .map(key => `### ${structured.changes[key].heading}\n${pointsToMarkdown(structured.changes[key].points)}`);
+        sections.push(`## ${structured.changes.heading}\n\n${groups.join('\n\n')}`);
+    }
+    return sections.join('\n\n');
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    CHANGE_KEYS,
+    CITATION_INSTRUCTION,
+    parseStructuredSummary,
+    validateStructuredSummary,
+    buildStructuredSummary,
+    stripCitations,
+    linkCitations,
+    structuredToMarkdown
+};
@@ -0,0 +1,138 @@
+// lib/summary-archive.js
+// Append-only archive of every generated summary (one JSON file per summary plus a metadata index).
+// Records are daily summaries (kind "daily"), weekly rollups of them (kind "weekly-rollup"), per-section briefs
+// (kind "section-brief") or Community Pulse reports (kind "community-pulse"); see lib/section-reports.js.
+
+const path = require('path');
+const { dataPath, readJSON, writeJSON, updateJSON } = require('./json-store');
+
+const ARCHIVE_DIR = dataPath('summaries');
+const INDEX_FILE = path.join(ARCHIVE_DIR, 'index.json');
+const SUMMARY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const KINDS = ['daily', 'weekly-rollup', 'section-brief', 'community-pulse'];
+// Kinds published in the summary feeds and sent to the delivery channels; briefs and pulses are shown on the dashboard
+const PUBLISHED_KINDS = ['daily', 'weekly-rollup'];
+
+/**
+ * Reduces an article to the fields kept in the archive.
+ * @param {object} article
+ * @returns {{title: string, link: string, source: string, pubDate: string|null}}
+ */
+function toArchivedArticle(article) {
+    return {
+        title: article.title || '',
+        link: article.link || '',
+        source: article.source || '',
+        pubDate: article.pubDate || null
+    };
+}
+
+/**
+ * Builds the archive id of the summary generated for a profile (and, for section briefs, a section) at a given time.
+ * The section is joined with "_", which slugs never contain, so profile "a-b" with section "c" and profile "a" with
+ * section "b-c" get different ids.
+ * @param {number} timestamp
+ * @param {string} profile
+ * @param {string} [section]
+ * @returns {string}
+ */
+function summaryId(timestamp, profile, section) {
+    const slug = value => String(value).replace(/[^A-Za-z0-9-]+/g, '-');
+    return `${timestamp}-${slug(profile)}${section ? `_${slug(section)}` : ''}`;
+}
+
+/**
+ * Kind of an archived record or index entry (records from before rollups existed are daily summaries).
+ * @param {{kind?: string}} entry
+ * @returns {string}
+ */
+function summaryKind(entry) {
+    return entry.kind || 'daily';
+}
+
+/**
+ * Stores a generated summary (Markdown plus its structured, cited form when available) and adds it to the index.
+ * `comparison` records the earlier summaries a "what changed" summary was compared with; `rollup` the period and
+ * daily summaries a weekly rollup covers; `section` the dashboard section a section brief covers.
+ * @param {{timestamp: number, summary: string, structured?: object|null, model: string, profile: string, articles?: object[],
+ *          kind?: string, section?: string|null, comparison?: {mode: string, summaries: string[]}|null,
+ *          rollup?: {from: number, to: number, summaries: string[]}|null}} entry
+ * @returns {Promise<object>} The archived record
+ */
+async function archiveSummary({ timestamp, summary, structured = null, model, profile, articles = [], kind = 'daily', section = null, comparison = null, rollup = null }) {
+    const id = summaryId(timestamp, profile, section);
+    const record = {
+        id,
+        kind,
+        timestamp,
+        model,
+        profile,
+        ...(section ? { section } : {}),
+        summary,
+        structured,
+        articles: articles.map(toArchivedArticle),
+        ...(comparison ? { comparison } : {}),
+        ...(rollup ? { rollup } : {})
+    };
+
+    await writeJSON(path.join(ARCHIVE_DIR, `${id}.json`), record);
+    await updateJSON(INDEX_FILE, [], index => {
+        index.push({ id, kind, timestamp, model, profile, ...(section ? { section } : {}), articleCount: record.articles.length });
+        index.sort((a, b) => b.timestamp - a.timestamp);
+    });
+
+    console.log(`🗄️  Summary archived as ${id}`);
+    return record;
+}
+
+/**
+ * Lists archived summary metadata, newest first.
+ * @param {{limit?: number, offset?: number, profile?: string, kind?: string|string[], since?: number}} [options]
+ *        `kind` may list several kinds
+ * @returns {Promise<{total: number, summaries: object[]}>}
+ */
+async function listSummaries({ limit = 20, offset = 0, profile, kind, since } = {}) {
+    const index = await readJSON(INDEX_FILE, []);
+    const kinds = kind ? [].concat(kind) : null;
+    const matching = index.filter(entry =>
+        (!profile || entry.profile === profile) &&
+        (!kinds || kinds.includes(summaryKind(entry))) &&
+        (!since || entry.timestamp >= since));
+    return {
+        total: matching.length,
+        summaries: matching.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Loads a single archived summary.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getSummary(id) {
+    if (!SUMMARY_ID_PATTERN.test(id)) return null;
+    return readJSON(path.join(ARCHIVE_DIR, `${id}.json`), null);
+}
+
+/**
+ * Loads the most recent archived summaries in full, newest first.
+ * @param {number} count
+ * @param {{kind?: string|string[]}} [options] Only records of these kinds (default: PUBLISHED_KINDS)
+ * @returns {Promise<object[]>}
+ */
+async function getRecentSummaries(count, { kind = PUBLISHED_KINDS } = {}) {
+    const { summaries } = await listSummaries({ limit: count, kind });
+    const records = await Promise.all(summaries.map(entry => getSummary(entry.id)));
+    return records.filter(Boolean);
+}
+
+module.exports = {
+    KINDS,
+    PUBLISHED_KINDS,
+    summaryId,
+    summaryKind,
+    archiveSummary,
+    listSummaries,
+    getSummary,
+    getRecentSummaries
+};
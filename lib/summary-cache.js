@@ -0,0 +1,73 @@
+// lib/summary-cache.js
+// Latest summary per prompt profile, used for throttling (one "timestamp\nsummary" file per profile)
+
+const fs = require('fs/promises');
+const path = require('path');
+const { dataPath } = require('./json-store');
+
+const CACHE_DIR = dataPath('cache');
+
+/**
+ * Returns the cache file path for a profile.
+ * @param {string} profile
+ * @returns {string}
+ */
+function cacheFile(profile) {
+    return path.join(CACHE_DIR, `${profile.replace(/[^A-Za-z0-9_-]+/g, '-')}.txt`);
+}
+
+/**
+ * Reads a profile's cache file and returns the timestamp and summary.
+ * @param {string} profile
+ * @returns {Promise<{timestamp: number, summary: string}|null>}
+ */
+async function readCache(profile) {
+    try {
+        const content = await fs.readFile(cacheFile(profile), 'utf8');
+        const lines = content.trim().split('\n');
+        
+        if (lines.length < 2) {
+            console.warn(`⚠️  Cache file for profile "${profile}" is corrupted or incomplete.`);
+            return null;
+        }
+
+        const timestamp = parseInt(lines[0], 10);
+        const summary = lines.slice(1).join('\n');
+
+        if (isNaN(timestamp)) {
+            console.error(`❌ Cache file for profile "${profile}" contains an invalid timestamp.`);
+            return null;
+        }
+
+        return { timestamp, summary };
+    } catch (error) {
+        // File not found is expected on a profile's first run
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Error reading cache file:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Writes the new timestamp and summary to a profile's cache file.
+ * @param {string} profile
+ * @param {number} timestamp 
+ * @param {string} summary 
+ * @returns {Promise<void>}
+ */
+async function writeCache(profile, timestamp, summary) {
+    const content = `${timestamp}\n${summary}`;
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(cacheFile(profile), content, 'utf8');
+        console.log(`✅ Cache updated (profile: ${profile})`);
+    } catch (error) {
+        console.error('❌ Error writing cache file:', error);
+    }
+}
+
+module.exports = {
+    readCache,
+    writeCache
+};
@@ -0,0 +1,114 @@
+// lib/summary-comparison.js
+// "What changed" mode: earlier summaries of the same profile are sent along with the articles, and the model
+// closes the summary with what is new since the last report, what is still developing and what has faded
+
+const summaryArchive = require('./summary-archive');
+const { stripCitations } = require('./structured-summary');
+const { formatTimestamp, formatDateKey } = require('./format');
+const { HttpError } = require('./errors');
+
+const COMPARISON_MODES = ['previous', 'week'];
+const WEEK_DAYS = 7;
+const WEEK_MS = WEEK_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a requested comparison mode; empty values and "none" turn comparison off.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function parseComparisonMode(value) {
+    if (value === undefined || value === null || value === '' || value === 'none') return null;
+    if (!COMPARISON_MODES.includes(value)) {
+        throw new HttpError(400, `"compare" must be one of: none, ${COMPARISON_MODES.join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Loads the latest daily summary of each of a profile's most recent days (Eastern Time) since a point in time,
+ * newest first. A profile generated several times a day thus still contributes one report per day, which also
+ * bounds the prompt.
+ * @param {string} profileId
+ * @param {number} since Epoch ms
+ * @param {number} [days] How many days to keep
+ * @returns {Promise<object[]>}
+ */
+async function loadDailySummaries(profileId, since, days = WEEK_DAYS) {
+    const { summaries } = await summaryArchive.listSummaries({ profile: profileId, kind: 'daily', since, limit: Infinity });
+    const latestPerDay = new Map(); // Date key → newest entry (the list is newest first)
+    summaries.forEach(entry => {
+        const day = formatDateKey(entry.timestamp);
+        if (!latestPerDay.has(day)) latestPerDay.set(day, entry);
+    });
+    const records = await Promise.all([...latestPerDay.values()].slice(0, days).map(entry => summaryArchive.getSummary(entry.id)));
+    return records.filter(Boolean);
+}
+
+/**
+ * Loads the summaries a new summary is compared with: the latest one ("previous") or those of the past 7 days ("week").
+ * @param {string} profileId
+ * @param {string} mode One of COMPARISON_MODES
+ * @param {number} [now]
+ * @returns {Promise<object[]>} Newest first; empty when the profile has no earlier summaries
+ */
+async function loadBaseline(profileId, mode, now = Date.now()) {
+    return mode === 'week'
+        ? loadDailySummaries(profileId, now - WEEK_MS)
+        : loadDailySummaries(profileId, 0, 1);
+}
+
+/**
+ * Formats archived summaries as prompt context, oldest first so the model reads them in order.
+ * @param {object[]} records
+ * @param {string} title Top-level heading
+ * @returns {string}
+ */
+function formatSummariesForPrompt(records, title) {
+    const reports = [...records]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(record => `## Report of ${formatTimestamp(record.timestamp)}\n\n${stripCitations(record.summary).trim()}`);
+    return `# ${title}\n\n${reports.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * Instruction appended to the system prompt in comparison mode. The headings are what
+ * parseStructuredSummary recognizes as the "what changed" section and its groups.
+ * @param {string} mode
+ * @returns {string}
+ */
+function buildComparisonInstruction(mode) {
+    const baseline = mode === 'week' ? 'the reports from the past 7 days' : 'the previous report';
+    return `After the sections above, compare this analysis with ${baseline} (given after the articles) and end with this section, using exactly these headings:
+
+## 🔄 What Changed Since the Last Report
+### 🆕 New Since Last Report
+* Themes in these articles that ${baseline} did not cover
+### 📈 Still Developing
+* Themes from ${baseline} that these articles continue or advance
+### 📉 Faded
+* Themes from ${baseline} with little or no coverage in these articles (these need no article citation)`;
+}
+
+/**
+ * Builds the extra system-prompt instruction and user-message context for a comparison summary.
+ * @param {object[]} baseline Records from loadBaseline
+ * @param {string} mode
+ * @returns {{instruction: string, context: string, comparison: {mode: string, summaries: string[]}}}
+ */
+function buildComparison(baseline, mode) {
+    return {
+        instruction: buildComparisonInstruction(mode),
+        context: formatSummariesForPrompt(baseline, baseline.length === 1 ? 'Previous Report for Comparison' : 'Previous Reports for Comparison'),
+        comparison: { mode, summaries: baseline.map(record => record.id) }
+    };
+}
+
+module.exports = {
+    COMPARISON_MODES,
+    WEEK_MS,
+    parseComparisonMode,
+    loadDailySummaries,
+    loadBaseline,
+    formatSummariesForPrompt,
+    buildComparison
+};
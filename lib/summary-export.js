@@ -0,0 +1,131 @@
+// lib/summary-export.js
+// Downloadable versions of an archived summary: Markdown and a standalone HTML page (no external assets)
+
+const { formatTimestamp } = require('./format');
+const { renderMarkdown, escapeHTML } = require('./markdown');
+const { stripCitations, linkCitations, structuredToMarkdown } = require('./structured-summary');
+
+// Title per record kind (see lib/summary-archive.js)
+const KIND_TITLES = {
+    'daily': 'AI Strategy Summary',
+    'weekly-rollup': 'Weekly Rollup',
+    'section-brief': 'Section Brief',
+    'community-pulse': 'Community Pulse'
+};
+
+/**
+ * The summary as presentable Markdown: citations become source links, through the structured form when it exists
+ * or else the archived article list; without either the markers are removed.
+ * @param {{summary: string, structured?: object|null, articles?: object[]}} record
+ * @returns {string}
+ */
+function summaryMarkdown(record) {
+    if (record.structured) return structuredToMarkdown(record.structured);
+    return record.articles && record.articles.length ? linkCitations(record.summary, record.articles) : stripCitations(record.summary);
+}
+
+/**
+ * Whether a record is a weekly rollup rather than a daily summary.
+ * @param {{kind?: string}} record
+ * @returns {boolean}
+ */
+function isRollup(record) {
+    return record.kind === 'weekly-rollup';
+}
+
+/**
+ * Title of a summary or rollup.
+ * @param {object} record
+ * @returns {string}
+ */
+function summaryTitle(record) {
+    return `${KIND_TITLES[record.kind] || KIND_TITLES.daily} (${formatTimestamp(record.timestamp)})`;
+}
+
+/**
+ * What the summary was built from: its articles, or for a rollup its daily summaries.
+ * @param {object} record
+ * @returns {{label: string, count: number}}
+ */
+function summarySources(record) {
+    return isRollup(record)
+        ? { label: 'Daily summaries rolled up', count: record.rollup ? record.rollup.summaries.length : 0 }
+        : { label: 'Articles analyzed', count: (record.articles || []).length };
+}
+
+/**
+ * File name (without extension) for an exported summary.
+ * @param {object} record
+ * @returns {string}
+ */
+function exportFileName(record) {
+    const date = new Date(record.timestamp).toISOString().slice(0, 10);
+    const kind = record.kind && record.kind !== 'daily' ? record.kind : 'summary';
+    return `thanos-${kind}-${record.profile || 'default'}${record.section ? `-${record.section}` : ''}-${date}`;
+}
+
+/**
+ * Markdown export: title, provenance, the summary and its source articles.
+ * @param {object} record Archived summary record
+ * @returns {string}
+ */
+function exportMarkdown(record) {
+    const sources = (record.articles || [])
+        .map((article, index) => `${index + 1}. [${article.title.replace(/[[\]]/g, '')}](${article.link}) (${article.source})`)
+        .join('\n');
+
+    const { label, count } = summarySources(record);
+
+    return `# ${summaryTitle(record)}
+
+**Profile**: ${record.profile || 'default'} · **Model**: ${record.model || 'unknown'} · **${label}**: ${count}
+
+${summaryMarkdown(record)}
+${sources ? `\n## Source Articles\n\n${sources}\n` : ''}`;
+}
+
+/**
+ * Standalone HTML export with inline styles.
+ * @param {object} record Archived summary record
+ * @returns {string}
+ */
+function exportHTML(record) {
+    const title = summaryTitle(record);
+    const { label, count } = summarySources(record);
+    const sources = (record.articles || [])
+        .filter(article => /^https?:\/\//i.test(article.link))
+        .map(article => `<li><a href="${escapeHTML(article.link)}">${escapeHTML(article.title)}</a> <span class="source">${escapeHTML(article.source)}</span></li>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 760px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+    h1 { font-size: 1.5em; }
+    .meta, .source { color: #666; font-size: 0.9em; }
+    a { color: #0b5cad; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Profile: ${escapeHTML(record.profile || 'default')} · Model: ${escapeHTML(record.model || 'unknown')} · ${label}: ${count}</p>
+${renderMarkdown(summaryMarkdown(record))}
+${sources ? `<h2>Source Articles</h2>\n<ol>\n${sources}\n</ol>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    summaryMarkdown,
+    isRollup,
+    summaryTitle,
+    summarySources,
+    exportFileName,
+    exportMarkdown,
+    exportHTML
+};
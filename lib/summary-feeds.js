@@ -0,0 +1,113 @@
+// lib/summary-feeds.js
+// Builds the summary feeds (feed.xml, feed.atom, feed.json) from the most recent archived summaries
+// (one item per summary), in every format of lib/feed-formats.js
+
+const fs = require('fs/promises');
+const { getRecentSummaries } = require('./summary-archive');
+const { formatTimestamp } = require('./format');
+const { renderMarkdown } = require('./markdown');
+const { summaryMarkdown, isRollup, summarySources } = require('./summary-export');
+const { FORMATS, absoluteUrl, isServerBaseUrl } = require('./feed-formats');
+
+const FEED_FILE_BASENAME = 'feed';
+const FEED_HISTORY_ITEMS = parseInt(process.env.FEED_HISTORY_ITEMS, 10) || 10;
+
+/**
+ * Footer appended to every summary item.
+ * @param {object} record
+ * @param {{throttleMinutes: number}} options
+ * @returns {string} Markdown
+ */
+function buildItemFooter(record, { throttleMinutes }) {
+    const { label, count } = summarySources(record);
+    return `---
+
+**Generated**: ${formatTimestamp(record.timestamp)}
+**Model**: ${record.model || 'unknown'} · **Profile**: ${record.profile || 'default'} · **${label}**: ${count}
+
+**About This Feed**:
+This feed contains AI-generated strategic analysis powered by Claude (Anthropic).
+The summary is updated periodically based on aggregated news from Marketing Dive, Adweek, AdExchanger,
+VideoWeek, CIO Dive, Banking Dive, Wired, and other industry sources.
+
+**How it works**:
+1. The system aggregates news from 15+ industry RSS feeds
+2. Claude AI analyzes the content for strategic patterns and insights
+3. A structured summary is generated highlighting trends, takeaways, and risks
+4. Each new analysis is added to this feed; the last ${FEED_HISTORY_ITEMS} are kept
+5. Once a week, the daily analyses are rolled up into a weekly report, published as its own item
+
+**Throttling**: To conserve API resources, summaries are generated no more frequently than every ${throttleMinutes} minutes.`;
+}
+
+/**
+ * Builds the feed model for a list of archived summaries (newest first); weekly rollups are items of their own.
+ * Items link to the server's standalone summary page when FEED_BASE_URL is set, otherwise to the feed itself.
+ * @param {object[]} records
+ * @param {{throttleMinutes: number}} options
+ * @returns {object} Feed model (see lib/feed-formats.js)
+ */
+function buildSummaryFeed(records, options) {
+    const feedUrls = {};
+    Object.keys(FORMATS).forEach(format => {
+        feedUrls[format] = absoluteUrl(`/${FEED_FILE_BASENAME}.${FORMATS[format].extension}`);
+    });
+    const serverPages = isServerBaseUrl();
+
+    return {
+        title: 'AdTech News - AI Strategy Summary',
+        description: 'Claude AI-generated strategic analysis of AdTech, Marketing, and Enterprise Technology news',
+        homePageUrl: serverPages ? absoluteUrl('/') : feedUrls.rss,
+        feedUrls,
+        updated: records.length ? records[0].timestamp : Date.now(),
+        items: records.map(record => {
+            const dateLabel = new Date(record.timestamp).toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric', year: 'numeric', timeZone: 'America/New_York'
+            });
+            const markdown = `${summaryMarkdown(record)}\n\n${buildItemFooter(record, options)}`;
+            const rollup = isRollup(record);
+            return {
+                id: `adtech-${rollup ? 'weekly-rollup' : 'summary'}-${record.id}`,
+                url: serverPages ? absoluteUrl(`/summaries/${record.id}.html`) : feedUrls.rss,
+                title: rollup
+                    ? `Weekly Rollup - AdTech & Marketing News (week ending ${dateLabel})`
+                    : `AI Strategy Summary - AdTech & Marketing News (${dateLabel})`,
+                summary: rollup
+                    ? `The week's AI strategy summaries rolled up into one report - Generated ${formatTimestamp(record.timestamp)}`
+                    : `Strategic AI analysis of AdTech, Marketing, and Enterprise Technology news - Generated ${formatTimestamp(record.timestamp)}`,
+                contentHtml: renderMarkdown(markdown),
+                contentText: markdown,
+                published: record.timestamp,
+                tags: [record.profile, rollup && 'weekly-rollup'].filter(Boolean)
+            };
+        })
+    };
+}
+
+/**
+ * Rebuilds feed.xml (RSS 2.0), feed.atom (Atom 1.0) and feed.json (JSON Feed 1.1) from the last
+ * FEED_HISTORY_ITEMS archived summaries. Leaves the existing files untouched when the archive is empty.
+ * @param {{throttleMinutes: number}} options
+ * @returns {Promise<void>}
+ */
+async function rebuildSummaryFeeds(options) {
+    try {
+        const records = await getRecentSummaries(FEED_HISTORY_ITEMS);
+        if (records.length === 0) {
+            console.warn('⚠️  Summary archive is empty; summary feeds not rebuilt.');
+            return;
+        }
+        const feed = buildSummaryFeed(records, options);
+        await Promise.all(Object.values(FORMATS).map(({ build, extension }) =>
+            fs.writeFile(`${FEED_FILE_BASENAME}.${extension}`, build(feed), 'utf8')));
+        console.log(`✅ feed.xml, feed.atom and feed.json updated successfully (${records.length} items)`);
+    } catch (error) {
+        console.error('❌ Error writing the summary feeds:', error);
+    }
+}
+
+module.exports = {
+    FEED_HISTORY_ITEMS,
+    buildSummaryFeed,
+    rebuildSummaryFeeds
+};
@@ -0,0 +1,76 @@
+// lib/summary-generator.js
+// The summary pipeline shared by the server and the daily script:
+// prompt → LLM provider → usage ledger → per-profile cache → archive → summary feeds (RSS, Atom, JSON Feed)
+
+const { formatNewsForClaude } = require('./articles');
+const { buildSystemPrompt } = require('./prompt-profiles');
+const { writeCache } = require('./summary-cache');
+const summaryArchive = require('./summary-archive');
+const { rebuildSummaryFeeds } = require('./summary-feeds');
+const { buildStructuredSummary } = require('./structured-summary');
+const usageLedger = require('./usage-ledger');
+const summaryComparison = require('./summary-comparison');
+
+/**
+ * Generates a summary of the given articles for a prompt profile, then caches, archives and publishes it.
+ * With `onText` the provider response is streamed; nothing is cached or published unless the stream completes.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {object} options.profile Prompt profile
+ * @param {object[]} options.articles Articles from collectArticles()
+ * @param {number} options.throttleMinutes Throttle window, quoted in the feed
+ * @param {AbortSignal} [options.signal] Aborts the upstream provider request
+ * @param {function(string): void} [options.onText] Receives text deltas as they stream in
+ * @param {string} [options.trigger] What started the call, for the usage ledger: dashboard, force, daily-script or scheduler
+ * @param {string} [options.user] Username behind the call (when authentication is enabled)
+ * @param {string|null} [options.compare] Comparison mode ("previous" or "week"): earlier summaries of the profile are
+ *        sent along and the summary ends with a "what changed" section (see lib/summary-comparison.js)
+ * @returns {Promise<{timestamp: number, summary: string, structured: object|null, model: string, usage: {inputTokens: number, outputTokens: number}, record: object}>}
+ */
+async function generateSummary({ provider, profile, articles, throttleMinutes, signal, onText, trigger = 'dashboard', user, compare = null }) {
+    let comparison = null;
+    if (compare) {
+        const baseline = await summaryComparison.loadBaseline(profile.id, compare);
+        if (baseline.length) {
+            comparison = summaryComparison.buildComparison(baseline, compare);
+            console.log(`🔄 Comparing with ${baseline.length} earlier summar${baseline.length === 1 ? 'y' : 'ies'} (${compare})`);
+        } else {
+            console.log(`ℹ️  No earlier summaries for profile "${profile.id}"; generating without comparison`);
+        }
+    }
+
+    console.log(`🤖 Calling ${provider.name} (model: ${provider.model}, profile: ${profile.id}) for summary generation...`);
+
+    // The tokens spent are recorded, including those of a cancelled or broken stream
+    const result = await usageLedger.generateAndRecord(provider, {
+        system: comparison ? `${buildSystemPrompt(profile)}\n${comparison.instruction}\n` : buildSystemPrompt(profile),
+        messages: [
+            { role: 'user', content: comparison ? `${formatNewsForClaude(articles)}\n${comparison.context}` : formatNewsForClaude(articles) }
+        ],
+        signal,
+        onText
+    }, { profile: profile.id, trigger, user });
+    console.log('✅ Summary generated successfully');
+
+    const timestamp = Date.now();
+    const structured = buildStructuredSummary(result.text, articles);
+
+    // Save the new summary and timestamp to the profile's cache
+    await writeCache(profile.id, timestamp, result.text);
+
+    // Archive the summary (Markdown and its cited structure) with its provenance and rebuild the multi-item feeds
+    const record = await summaryArchive.archiveSummary({
+        timestamp,
+        summary: result.text,
+        structured,
+        model: result.model,
+        profile: profile.id,
+        articles,
+        comparison: comparison ? comparison.comparison : null
+    });
+    await rebuildSummaryFeeds({ throttleMinutes });
+
+    return { timestamp, summary: result.text, structured, model: result.model, usage: result.usage, record };
+}
+
+module.exports = { generateSummary };
@@ -0,0 +1,308 @@
+// lib/trends.js
+// Topic and entity trend analytics over the article archive. An editable entity dictionary (companies, platforms,
+// topics and regulations with their aliases) is matched deterministically against archived titles and descriptions,
+// and mentions are counted per day, source and section, with sudden spikes flagged. No LLM is involved.
+
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { HttpError } = require('./errors');
+const { uniqueId } = require('./feed-registry');
+const { formatDateKey, recentDateKeys } = require('./format');
+const articleArchive = require('./article-archive');
+
+const ENTITIES_FILE = process.env.ENTITIES_FILE || dataPath('entities.json');
+const TYPES = ['company', 'platform', 'topic', 'regulation'];
+const MAX_ALIASES = 50;
+const MAX_ALIAS_CHARS = 100;
+const MAX_REPORT_DAYS = 90;
+const MAX_ENTITIES_PER_REPORT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A day is a spike when its mentions reach TREND_SPIKE_MIN_MENTIONS, at least double the average of the
+// previous SPIKE_BASELINE_DAYS days and exceed that average by SPIKE_SIGMA standard deviations
+const SPIKE_BASELINE_DAYS = 7;
+const SPIKE_SIGMA = 2;
+const SPIKE_MIN_MENTIONS = parseInt(process.env.TREND_SPIKE_MIN_MENTIONS, 10) || 3;
+
+// Entity ids mentioned by each archived article, for the current dictionary
+let mentionCache = { signature: null, match: null, byArticle: new Map() };
+
+/**
+ * Reads the entity dictionary from disk.
+ * @returns {Promise<object[]>}
+ */
+async function loadEntities() {
+    const store = await readJSON(ENTITIES_FILE, { entities: [] });
+    return Array.isArray(store.entities) ? store.entities : [];
+}
+
+/**
+ * Validates an entity's aliases (alternative spellings matched like the label).
+ * @param {*} value
+ * @returns {string[]}
+ */
+function validateAliases(value) {
+    if (!Array.isArray(value) || value.length > MAX_ALIASES ||
+        value.some(alias => typeof alias !== 'string' || !alias.trim() || alias.length > MAX_ALIAS_CHARS)) {
+        throw new HttpError(400, `Entity "aliases" must be an array of up to ${MAX_ALIASES} non-empty strings.`);
+    }
+    return [...new Set(value.map(alias => alias.trim()))];
+}
+
+/**
+ * Validates the editable fields of an entity. Only fields present in `input` are returned.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateEntityFields(input) {
+    const fields = {};
+
+    if (input.label !== undefined) {
+        if (typeof input.label !== 'string' || !input.label.trim() || input.label.length > MAX_ALIAS_CHARS) {
+            throw new HttpError(400, 'Entity "label" must be a non-empty string.');
+        }
+        fields.label = input.label.trim();
+    }
+    if (input.type !== undefined) {
+        if (!TYPES.includes(input.type)) throw new HttpError(400, `Entity "type" must be one of: ${TYPES.join(', ')}.`);
+        fields.type = input.type;
+    }
+    if (input.aliases !== undefined) {
+        fields.aliases = validateAliases(input.aliases);
+    }
+    if (input.caseSensitive !== undefined) {
+        fields.caseSensitive = Boolean(input.caseSensitive);
+    }
+    if (input.enabled !== undefined) {
+        fields.enabled = Boolean(input.enabled);
+    }
+    return fields;
+}
+
+/**
+ * Adds an entity to the dictionary.
+ * @param {{label: string, type: string, aliases?: string[], caseSensitive?: boolean, enabled?: boolean, id?: string}} input
+ * @returns {Promise<object>}
+ */
+async function addEntity(input) {
+    let added = null;
+    await updateJSON(ENTITIES_FILE, { entities: [] }, store => {
+        const fields = validateEntityFields(input);
+        const missing = ['label', 'type'].filter(field => !fields[field]);
+        if (missing.length) {
+            throw new HttpError(400, `Entity fields required: ${missing.join(', ')}.`);
+        }
+        added = { id: uniqueId(input.id || fields.label, store.entities.map(entity => entity.id)), aliases: [], enabled: true, ...fields };
+        store.entities.push(added);
+    });
+    return added;
+}
+
+/**
+ * Edits an entity.
+ * @param {string} id
+ * @param {object} changes
+ * @returns {Promise<object>}
+ */
+async function updateEntity(id, changes) {
+    let updated = null;
+    await updateJSON(ENTITIES_FILE, { entities: [] }, store => {
+        const entity = store.entities.find(candidate => candidate.id === id);
+        if (!entity) throw new HttpError(404, `Entity "${id}" not found.`);
+        Object.assign(entity, validateEntityFields(changes));
+        updated = entity;
+    });
+    return updated;
+}
+
+/**
+ * Deletes an entity.
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function deleteEntity(id) {
+    let removed = null;
+    await updateJSON(ENTITIES_FILE, { entities: [] }, store => {
+        const index = store.entities.findIndex(candidate => candidate.id === id);
+        if (index === -1) throw new HttpError(404, `Entity "${id}" not found.`);
+        [removed] = store.entities.splice(index, 1);
+    });
+    return removed;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles the dictionary into a matcher. The label and every alias match as whole words
+ * (case-insensitively unless the entity is caseSensitive); disabled entities are skipped.
+ * @param {object[]} entities
+ * @returns {function({title: string, description: string}): string[]} Ids of the entities an article mentions
+ */
+function compileEntities(entities) {
+    const compiled = entities.filter(entity => entity.enabled !== false).map(entity => {
+        const terms = [entity.label, ...(entity.aliases || [])]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp);
+        return {
+            id: entity.id,
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, entity.caseSensitive ? 'u' : 'iu')
+        };
+    });
+
+    return article => {
+        const text = `${article.title || ''}\n${article.description || ''}`;
+        return compiled.filter(({ pattern }) => pattern.test(text)).map(({ id }) => id);
+    };
+}
+
+/**
+ * Entities mentioned by an archived article, cached per article until the dictionary changes.
+ * @param {object[]} entities Enabled entities
+ * @param {object} article
+ * @returns {string[]}
+ */
+function mentionsOf(entities, article) {
+    const signature = JSON.stringify(entities);
+    if (mentionCache.signature !== signature) {
+        mentionCache = { signature, match: compileEntities(entities), byArticle: new Map() };
+    }
+    if (!mentionCache.byArticle.has(article.id)) {
+        mentionCache.byArticle.set(article.id, mentionCache.match(article));
+    }
+    return mentionCache.byArticle.get(article.id);
+}
+
+/**
+ * Validates trend query parameters.
+ * @param {object} query Request query string
+ * @returns {{days: number, type?: string, entity?: string, section?: string, source?: string, limit: number}}
+ */
+function parseTrendQuery(query) {
+    if (query.type && !TYPES.includes(query.type)) {
+        throw new HttpError(400, `"type" must be one of: ${TYPES.join(', ')}.`);
+    }
+    return {
+        days: Math.min(Math.max(parseInt(query.days, 10) || 30, 1), MAX_REPORT_DAYS),
+        type: query.type || undefined,
+        entity: query.entity ? String(query.entity) : undefined,
+        section: query.section ? String(query.section) : undefined,
+        source: query.source ? String(query.source) : undefined,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_ENTITIES_PER_REPORT)
+    };
+}
+
+/**
+ * Finds the spike days in a daily mention series.
+ * @param {number[]} counts Mentions per day, oldest first, including SPIKE_BASELINE_DAYS of history before `start`
+ * @param {number} start Index of the first day to check
+ * @returns {Array<{index: number, count: number, baseline: number}>}
+ */
+function detectSpikes(counts, start) {
+    const spikes = [];
+    for (let i = Math.max(start, SPIKE_BASELINE_DAYS); i < counts.length; i++) {
+        const previous = counts.slice(i - SPIKE_BASELINE_DAYS, i);
+        const mean = previous.reduce((sum, count) => sum + count, 0) / previous.length;
+        const deviation = Math.sqrt(previous.reduce((sum, count) => sum + (count - mean) ** 2, 0) / previous.length);
+        const count = counts[i];
+        if (count >= SPIKE_MIN_MENTIONS && count >= 2 * mean && count > mean + SPIKE_SIGMA * deviation) {
+            spikes.push({ index: i, count, baseline: Math.round(mean * 10) / 10 });
+        }
+    }
+    return spikes;
+}
+
+/**
+ * Trend report over the last `days` days (Eastern Time): for each entity, the number of archived articles
+ * mentioning it per day, source and section, and its spike days. Entities without mentions are left out
+ * unless asked for by id.
+ * @param {object} query Output of parseTrendQuery
+ * @returns {Promise<object>}
+ */
+async function getTrendReport({ days = 30, type, entity, section, source, limit = 20 } = {}) {
+    const entities = (await loadEntities()).filter(candidate => candidate.enabled !== false);
+    if (entity && !entities.some(candidate => candidate.id === entity)) {
+        throw new HttpError(404, `Entity "${entity}" not found.`);
+    }
+
+    // Count SPIKE_BASELINE_DAYS extra days so spikes can be detected from the first day shown
+    const now = Date.now();
+    const allDates = recentDateKeys(days + SPIKE_BASELINE_DAYS, now);
+    const dayIndex = new Map(allDates.map((date, index) => [date, index]));
+    const start = SPIKE_BASELINE_DAYS;
+    const dates = allDates.slice(start);
+
+    const sourceFilter = source ? source.toLowerCase() : null;
+    const articles = (await articleArchive.listArticles({ from: now - (days + SPIKE_BASELINE_DAYS + 1) * DAY_MS }))
+        .filter(article => (!section || article.section === section) &&
+            (!sourceFilter || article.feedId === source || article.source.toLowerCase() === sourceFilter));
+
+    const stats = new Map(entities.map(candidate => [candidate.id, {
+        counts: new Array(allDates.length).fill(0), bySource: {}, bySection: {}
+    }]));
+    let articleCount = 0;
+
+    articles.forEach(article => {
+        const index = dayIndex.get(formatDateKey(article.time));
+        if (index === undefined) return;
+        if (index >= start) articleCount++;
+
+        mentionsOf(entities, article).forEach(id => {
+            const stat = stats.get(id);
+            stat.counts[index]++;
+            if (index < start) return;
+            stat.bySource[article.source] = (stat.bySource[article.source] || 0) + 1;
+            const sectionId = article.section || 'none';
+            stat.bySection[sectionId] = (stat.bySection[sectionId] || 0) + 1;
+        });
+    });
+
+    const report = entities
+        .filter(candidate => (!type || candidate.type === type) && (!entity || candidate.id === entity))
+        .map(candidate => {
+            const stat = stats.get(candidate.id);
+            const daily = stat.counts.slice(start);
+            return {
+                id: candidate.id,
+                label: candidate.label,
+                type: candidate.type,
+                total: daily.reduce((sum, count) => sum + count, 0),
+                daily,
+                bySource: stat.bySource,
+                bySection: stat.bySection,
+                spikes: detectSpikes(stat.counts, start).map(spike => ({ date: allDates[spike.index], count: spike.count, baseline: spike.baseline }))
+            };
+        })
+        .filter(item => item.total > 0 || entity)
+        .sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+
+    const spikes = report
+        .flatMap(item => item.spikes.map(spike => ({ entity: item.id, label: item.label, type: item.type, ...spike })))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.count - a.count);
+
+    return {
+        days,
+        from: dates[0],
+        to: dates[dates.length - 1],
+        dates,
+        articleCount,
+        types: TYPES,
+        spikes,
+        entities: report.slice(0, limit)
+    };
+}
+
+module.exports = {
+    TYPES,
+    loadEntities,
+    addEntity,
+    updateEntity,
+    deleteEntity,
+    compileEntities,
+    parseTrendQuery,
+    getTrendReport
+};
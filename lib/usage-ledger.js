@@ -0,0 +1,289 @@
+// lib/usage-ledger.js
+// Ledger of every LLM call (tokens, model, trigger, estimated cost) with daily and monthly budgets
+// that block generation once spent
+
+const crypto = require('crypto');
+const { dataPath, readJSON, updateJSON } = require('./json-store');
+const { formatDateKey, recentDateKeys } = require('./format');
+const { HttpError } = require('./errors');
+
+const LEDGER_FILE = process.env.USAGE_LEDGER_FILE || dataPath('usage-ledger.json');
+const RETENTION_DAYS = 400; // Enough for month-over-month comparisons over a year
+const TRIGGERS = ['dashboard', 'force', 'daily-script', 'weekly-rollup', 'section-brief', 'community-pulse', 'scheduler', 'ask'];
+const MAX_REPORT_DAYS = 366;
+
+// USD per million tokens, matched by model-id prefix (longest first). Local and mock models cost nothing.
+const MODEL_PRICING = {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'mock-': { input: 0, output: 0 }
+};
+
+/**
+ * Parses an optional USD amount from the environment.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseBudget(value) {
+    const amount = parseFloat(value);
+    return isNaN(amount) || amount < 0 ? null : amount;
+}
+
+const DAILY_BUDGET_USD = parseBudget(process.env.LLM_DAILY_BUDGET_USD);
+const MONTHLY_BUDGET_USD = parseBudget(process.env.LLM_MONTHLY_BUDGET_USD);
+
+/**
+ * Looks up the per-million-token prices for a model. LLM_INPUT_COST_PER_MTOK / LLM_OUTPUT_COST_PER_MTOK
+ * override the table (e.g. for an OpenAI-compatible endpoint).
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{input: number, output: number}|null} null when the price is unknown
+ */
+function getPricing(provider, model) {
+    const inputOverride = parseBudget(process.env.LLM_INPUT_COST_PER_MTOK);
+    const outputOverride = parseBudget(process.env.LLM_OUTPUT_COST_PER_MTOK);
+    if (inputOverride !== null || outputOverride !== null) {
+        return { input: inputOverride || 0, output: outputOverride || 0 };
+    }
+    if (provider === 'mock') return { input: 0, output: 0 };
+
+    const prefix = Object.keys(MODEL_PRICING)
+        .sort((a, b) => b.length - a.length)
+        .find(key => String(model || '').startsWith(key));
+    return prefix ? MODEL_PRICING[prefix] : null;
+}
+
+/**
+ * Estimates the cost of a call in USD.
+ * @param {{input: number, output: number}|null} pricing
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number}
+ */
+function estimateCost(pricing, usage) {
+    if (!pricing) return 0;
+    const cost = (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Appends an LLM call to the ledger.
+ * @param {object} entry
+ * @param {string} entry.provider Provider name (anthropic, openai-compatible, mock)
+ * @param {string} entry.model Model reported by the provider
+ * @param {string} entry.profile Prompt profile id
+ * @param {string} entry.trigger One of TRIGGERS
+ * @param {{inputTokens: number, outputTokens: number}} entry.usage
+ * @param {string} [entry.user] Username, when authentication is enabled
+ * @param {boolean} [entry.partial] The call was cancelled or failed after consuming tokens
+ * @returns {Promise<object>} The ledger entry
+ */
+async function recordUsage({ provider, model, profile, trigger, usage, user, partial = false }) {
+    const pricing = getPricing(provider, model);
+    if (!pricing) {
+        console.warn(`⚠️  No pricing known for model "${model}"; its calls are recorded at $0. Set LLM_INPUT_COST_PER_MTOK / LLM_OUTPUT_COST_PER_MTOK.`);
+    }
+
+    const timestamp = Date.now();
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp,
+        date: formatDateKey(timestamp),
+        provider,
+        model,
+        profile,
+        trigger: TRIGGERS.includes(trigger) ? trigger : 'dashboard',
+        user: user || null,
+        inputTokens: usage?.inputTokens || 0,
+        outputTokens: usage?.outputTokens || 0,
+        costUsd: estimateCost(pricing, usage || { inputTokens: 0, outputTokens: 0 }),
+        priced: Boolean(pricing),
+        ...(partial ? { partial: true } : {})
+    };
+
+    const cutoff = formatDateKey(timestamp - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await updateJSON(LEDGER_FILE, { entries: [] }, ledger => {
+        ledger.entries = ledger.entries.filter(existing => existing.date >= cutoff);
+        ledger.entries.push(entry);
+    });
+    console.log(`🧾 Recorded ${entry.inputTokens} input / ${entry.outputTokens} output tokens (${formatUsd(entry.costUsd)}, ${entry.trigger}${partial ? ', partial' : ''})`);
+    return entry;
+}
+
+/**
+ * Throws when a budget is set but the provider's model has no known price: its calls would be recorded at $0
+ * and the budget could never be reached.
+ * @param {{name: string, model: string}} provider
+ * @returns {void}
+ */
+function assertPricingKnown(provider) {
+    if (DAILY_BUDGET_USD === null && MONTHLY_BUDGET_USD === null) return;
+    if (!getPricing(provider.name, provider.model)) {
+        throw new HttpError(500, `No pricing is known for model "${provider.model}", so the LLM budget cannot be enforced. Set LLM_INPUT_COST_PER_MTOK and LLM_OUTPUT_COST_PER_MTOK.`);
+    }
+}
+
+/**
+ * Calls the provider and records the tokens spent. With a budget set, a model without a known price is refused. A call that is cancelled or fails after consuming tokens (the
+ * provider attaches them to the error, see lib/llm/usage.js) is recorded as partial before the error is rethrown.
+ * A ledger failure is logged but never discards a response that was already paid for.
+ * @param {{name: string, model: string, generate: Function}} provider
+ * @param {object} request Passed to provider.generate()
+ * @param {{profile: string, trigger: string, user?: string}} context Prompt profile id, trigger and username
+ * @returns {Promise<object>} The provider result
+ */
+async function generateAndRecord(provider, request, { profile, trigger, user }) {
+    const record = async entry => {
+        try {
+            await recordUsage({ provider: provider.name, profile, trigger, user, ...entry });
+        } catch (error) {
+            console.error('❌ Failed to record LLM usage:', error.message);
+        }
+    };
+
+    assertPricingKnown(provider);
+
+    let result;
+    try {
+        result = await provider.generate(request);
+    } catch (error) {
+        if (error.usage) await record({ model: error.model || provider.model, usage: error.usage, partial: true });
+        throw error;
+    }
+    await record({ model: result.model, usage: result.usage });
+    return result;
+}
+
+/**
+ * Reads all ledger entries (oldest first).
+ * @returns {Promise<object[]>}
+ */
+async function loadEntries() {
+    const ledger = await readJSON(LEDGER_FILE, { entries: [] });
+    return ledger.entries || [];
+}
+
+/**
+ * Rounds a USD amount for display.
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundUsd(amount) {
+    return Math.round(amount * 10000) / 10000;
+}
+
+/**
+ * Formats a USD amount for messages (sub-dollar amounts keep four decimals).
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatUsd(amount) {
+    return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Spend so far today and this month (Eastern Time) against the configured budgets.
+ * @param {object[]} [entries] Defaults to the stored ledger
+ * @returns {Promise<{day: object, month: object, exceeded: string|null}>}
+ */
+async function getBudgetStatus(entries) {
+    const all = entries || await loadEntries();
+    const today = formatDateKey();
+    const month = today.slice(0, 7);
+    const spent = predicate => roundUsd(all.filter(predicate).reduce((sum, entry) => sum + entry.costUsd, 0));
+
+    const status = (period, amount, budget) => ({
+        period,
+        spentUsd: amount,
+        budgetUsd: budget,
+        remainingUsd: budget === null ? null : roundUsd(Math.max(budget - amount, 0))
+    });
+    const day = status(today, spent(entry => entry.date === today), DAILY_BUDGET_USD);
+    const monthStatus = status(month, spent(entry => entry.date.startsWith(month)), MONTHLY_BUDGET_USD);
+
+    let exceeded = null;
+    if (day.budgetUsd !== null && day.spentUsd >= day.budgetUsd) exceeded = 'daily';
+    else if (monthStatus.budgetUsd !== null && monthStatus.spentUsd >= monthStatus.budgetUsd) exceeded = 'monthly';
+
+    return { day, month: monthStatus, exceeded };
+}
+
+/**
+ * Throws 429 when the daily or monthly budget is spent.
+ * @returns {Promise<void>}
+ */
+async function assertWithinBudget() {
+    const budget = await getBudgetStatus();
+    if (budget.exceeded === 'daily') {
+        throw new HttpError(429, `Daily LLM budget reached (${formatUsd(budget.day.spentUsd)} of ${formatUsd(budget.day.budgetUsd)}). Generation resumes tomorrow (Eastern Time).`);
+    }
+    if (budget.exceeded === 'monthly') {
+        throw new HttpError(429, `Monthly LLM budget reached (${formatUsd(budget.month.spentUsd)} of ${formatUsd(budget.month.budgetUsd)}). Generation resumes next month.`);
+    }
+}
+
+/**
+ * Adds an entry's tokens and cost to a running total.
+ * @param {object} total
+ * @param {object} entry
+ * @returns {object}
+ */
+function accumulate(total, entry) {
+    total.calls++;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.costUsd = roundUsd(total.costUsd + entry.costUsd);
+    return total;
+}
+
+const emptyTotal = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+/**
+ * Usage report over the last `days` days: totals, a per-day series (including empty days), breakdowns by model,
+ * trigger and profile, the most recent calls and the budget status.
+ * @param {{days?: number}} [options]
+ * @returns {Promise<object>}
+ */
+async function getUsageReport({ days = 30 } = {}) {
+    const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_REPORT_DAYS);
+    const entries = await loadEntries();
+    const dates = recentDateKeys(span);
+    const inRange = entries.filter(entry => entry.date >= dates[0]);
+
+    const series = new Map(dates.map(date => [date, { date, ...emptyTotal() }]));
+    const group = key => inRange.reduce((groups, entry) => {
+        const name = entry[key] || 'unknown';
+        groups[name] = accumulate(groups[name] || emptyTotal(), entry);
+        return groups;
+    }, {});
+    inRange.forEach(entry => {
+        if (series.has(entry.date)) accumulate(series.get(entry.date), entry);
+    });
+
+    return {
+        days: span,
+        from: dates[0],
+        to: dates[dates.length - 1],
+        totals: inRange.reduce(accumulate, emptyTotal()),
+        daily: [...series.values()],
+        byModel: group('model'),
+        byTrigger: group('trigger'),
+        byProfile: group('profile'),
+        recent: inRange.slice(-20).reverse(),
+        budget: await getBudgetStatus(entries)
+    };
+}
+
+module.exports = {
+    TRIGGERS,
+    getPricing,
+    recordUsage,
+    generateAndRecord,
+    getBudgetStatus,
+    assertWithinBudget,
+    getUsageReport
+};
@@ -0,0 +1,111 @@
+// lib/weekly-rollup.js
+// Weekly rollup: one report built from a profile's daily summaries of the past 7 days, archived as its own
+// record (kind "weekly-rollup") and published as its own item in the summary feeds
+
+const summaryArchive = require('./summary-archive');
+const { loadDailySummaries, formatSummariesForPrompt, WEEK_MS } = require('./summary-comparison');
+const { rebuildSummaryFeeds } = require('./summary-feeds');
+const usageLedger = require('./usage-ledger');
+const { HttpError } = require('./errors');
+
+// A new rollup is skipped when the profile already has one this recent (unless forced)
+const ROLLUP_MIN_INTERVAL_MS = 6 * 24 * 60 * 60 * 1000;
+
+/**
+ * System prompt for the weekly rollup of a profile.
+ * @param {object} profile Prompt profile
+ * @returns {string}
+ */
+function buildRollupPrompt(profile) {
+    return `
+For consideration by ${profile.audience}.
+You will receive the daily strategic reports of the past week, written through the lens of ${profile.lens}.
+
+Your task is to write a weekly rollup in Markdown that is ready to be directly displayed in a dashboard panel.
+Do not repeat the daily reports one by one: identify what defined the week and how it evolved from day to day.
+Go directly into the following structure, without preamble:
+
+## 📅 The Week in Review
+* The 3-5 themes that defined the week, and how each one evolved
+
+## 🔄 What Changed This Week
+### 🆕 New This Week
+* Themes that first appeared during the week
+### 📈 Still Developing
+* Themes that ran through the whole week and are still building
+### 📉 Faded
+* Themes that were prominent early in the week but lost coverage
+
+## 💡 Strategic Takeaways for the Week Ahead
+* What leadership should act on or prepare for next week
+
+## 📉 Risks to Watch
+* Risks that grew over the week
+`;
+}
+
+/**
+ * The profile's most recent weekly rollup entry from the archive index.
+ * @param {string} profileId
+ * @returns {Promise<object|null>}
+ */
+async function getLatestRollup(profileId) {
+    const { summaries } = await summaryArchive.listSummaries({ profile: profileId, kind: 'weekly-rollup', limit: 1 });
+    return summaries[0] || null;
+}
+
+/**
+ * Generates, archives and publishes the weekly rollup for a profile.
+ * @param {object} options
+ * @param {{name: string, model: string, generate: Function}} options.provider LLM provider (see lib/llm)
+ * @param {object} options.profile Prompt profile
+ * @param {number} options.throttleMinutes Throttle window, quoted in the feed
+ * @param {boolean} [options.force] Generate even if a rollup was made less than 6 days ago
+ * @param {string} [options.trigger] Usage-ledger trigger (defaults to weekly-rollup)
+ * @param {string} [options.user] Username behind the call (when authentication is enabled)
+ * @returns {Promise<{timestamp: number, summary: string, model: string, usage: object, record: object}>}
+ */
+async function generateWeeklyRollup({ provider, profile, throttleMinutes, force = false, trigger = 'weekly-rollup', user }) {
+    const now = Date.now();
+    const latest = await getLatestRollup(profile.id);
+    if (latest && !force && now - latest.timestamp < ROLLUP_MIN_INTERVAL_MS) {
+        throw new HttpError(409, `A weekly rollup for profile "${profile.id}" was already generated on ${new Date(latest.timestamp).toISOString().slice(0, 10)}.`);
+    }
+
+    const dailies = await loadDailySummaries(profile.id, now - WEEK_MS);
+    if (dailies.length === 0) {
+        throw new HttpError(409, `Profile "${profile.id}" has no daily summaries from the past 7 days to roll up.`);
+    }
+
+    console.log(`🤖 Calling ${provider.name} (model: ${provider.model}, profile: ${profile.id}) for the weekly rollup of ${dailies.length} daily summaries...`);
+    const result = await usageLedger.generateAndRecord(provider, {
+        system: buildRollupPrompt(profile),
+        messages: [
+            { role: 'user', content: formatSummariesForPrompt(dailies, 'Daily Reports of the Past Week') }
+        ]
+    }, { profile: profile.id, trigger, user });
+    console.log('✅ Weekly rollup generated successfully');
+
+    // Rollups are archived and published, but never replace the profile's cached daily summary
+    const timestamp = Date.now();
+    const record = await summaryArchive.archiveSummary({
+        timestamp,
+        summary: result.text,
+        model: result.model,
+        profile: profile.id,
+        kind: 'weekly-rollup',
+        rollup: {
+            from: Math.min(...dailies.map(daily => daily.timestamp)),
+            to: Math.max(...dailies.map(daily => daily.timestamp)),
+            summaries: dailies.map(daily => daily.id)
+        }
+    });
+    await rebuildSummaryFeeds({ throttleMinutes });
+
+    return { timestamp, summary: result.text, model: result.model, usage: result.usage, record };
+}
+
+module.exports = {
+    getLatestRollup,
+    generateWeeklyRollup
+};
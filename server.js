@@ -1,190 +1,424 @@
 // server.js
 
+// Load environment variables locally (Render ignores this but it's good for local testing). This must come before
+// the lib/ requires: several modules read their settings from process.env when they load.
+require('dotenv').config();
+
 const express = require('express');
 const bodyParser = require('body-parser');
 const path = require('path');
-const fs = require('fs/promises'); 
-// For making the HTTPS request to Anthropic. Handles potential Node module exports.
-const fetch = require('node-fetch').default || require('node-fetch'); 
-
-// Load environment variables locally (Render ignores this but it's good for local testing)
-require('dotenv').config(); 
+const { DEFAULT_TIMEOUT_MS } = require('./lib/feed-fetcher');
+const feedRegistry = require('./lib/feed-registry');
+const feedHealth = require('./lib/feed-health');
+const opml = require('./lib/opml');
+const summaryArchive = require('./lib/summary-archive');
+const { createProvider, getLLMConfig } = require('./lib/llm');
+const { generateSummary } = require('./lib/summary-generator');
+const { parseComparisonMode } = require('./lib/summary-comparison');
+const { generateWeeklyRollup } = require('./lib/weekly-rollup');
+const sectionReports = require('./lib/section-reports');
+const { rebuildSummaryFeeds } = require('./lib/summary-feeds');
+const { FORMATS: FEED_FORMATS, formatForExtension } = require('./lib/feed-formats');
+const { renderSectionFeed } = require('./lib/section-feeds');
+const summaryExport = require('./lib/summary-export');
+const { formatTimestamp } = require('./lib/format');
+const { parseSelection, collectArticles, loadCachedFeedItems } = require('./lib/articles');
+const promptProfiles = require('./lib/prompt-profiles');
+const { readCache } = require('./lib/summary-cache');
+const articleArchive = require('./lib/article-archive');
+const articleText = require('./lib/article-text');
+const filterRules = require('./lib/filter-rules');
+const { htmlToText } = require('./lib/format');
+const { renderMarkdown } = require('./lib/markdown');
+const auth = require('./lib/auth');
+const usageLedger = require('./lib/usage-ledger');
+const trends = require('./lib/trends');
+const readingState = require('./lib/reading-state');
+const delivery = require('./lib/delivery');
+const scheduler = require('./lib/scheduler');
+const newsQA = require('./lib/news-qa');
+const { linkCitations } = require('./lib/structured-summary');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Caching and Throttling Configuration
-const CACHE_FILE = 'summary_cache.txt';
+// Caching and Throttling Configuration (summaries are cached per prompt profile)
 const THROTTLE_MINUTES = 91;
 const THROTTLE_MILLISECONDS = THROTTLE_MINUTES * 60 * 1000; 
 
-// --- ANTHROPIC CONFIGURATION ---
-// Ensure the API key is read and any accidental whitespace is trimmed
-const apiKey = process.env.CLAUDE_API_KEY ? process.env.CLAUDE_API_KEY.trim() : null; 
+// Feed Fetching Configuration
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+const FEED_ITEM_LIMIT = feedRegistry.DEFAULT_ITEM_LIMIT;
 
-// Using Claude Sonnet 4.5 (released Sept 29, 2025)
-const CLAUDE_MODEL = "claude-sonnet-4-5-20250929"; 
-const API_URL = "https://api.anthropic.com/v1/messages";
+// --- LLM PROVIDER CONFIGURATION ---
+// LLM_PROVIDER selects anthropic (default), openai-compatible or mock; see lib/llm/index.js
+const llmConfig = getLLMConfig();
+const llm = createProvider(llmConfig);
 
-if (!apiKey) {
+if (llm.name === 'anthropic' && !llmConfig.apiKey) {
     console.error("FATAL: CLAUDE_API_KEY environment variable is missing.");
 }
 // -------------------------------
 
-// Middleware setup
-app.use(bodyParser.json({ limit: '50mb' })); 
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Middleware setup (requests carry selection parameters only, never page markup)
+app.use(bodyParser.json({ limit: '1mb' })); 
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
+// OPML imports are the one XML request body (see 2.345)
+const OPML_CONTENT_TYPES = ['text/x-opml', 'application/xml', 'text/xml', 'text/plain'];
 app.use(express.static(path.join(__dirname, 'public'))); 
 
+// Authentication (only when AUTH_ENABLED=true): every API route needs a signed-in viewer, except signing in and out
+const PUBLIC_API_PATHS = ['/auth/login', '/auth/logout', '/auth/me'];
+app.use(auth.authenticate);
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.includes(req.path)) return next();
+    return auth.requireRole('viewer')(req, res, next);
+});
+const requireEditor = auth.requireRole('editor');
+const requireAdmin = auth.requireRole('admin');
 
 /**
- * Reads the cache file and returns the timestamp and summary.
- * @returns {Promise<{timestamp: number, summary: string}|null>}
+ * Refuses generation requests whose body is not a JSON object: 415 for other content types (e.g. an HTML or form
+ * post, which would otherwise reach the route with an empty body and generate over every section), 400 for arrays.
  */
-async function readCache() {
-    try {
-        const content = await fs.readFile(CACHE_FILE, 'utf8');
-        const lines = content.trim().split('\n');
-        
-        if (lines.length < 2) {
-            console.warn('Cache file is corrupted or incomplete.');
-            return null;
-        }
+function requireJSONBody(req, res, next) {
+    if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Send the request body as JSON (Content-Type: application/json).' });
+    }
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'The request body must be a JSON object.' });
+    }
+    next();
+}
+
+
+/**
+ * Sends an error as JSON, using the HTTP status carried by HttpError (500 otherwise).
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @returns {import('express').Response}
+ */
+function sendError(res, error) {
+    const status = error.statusCode || 500;
+    if (status >= 500) {
+        console.error('Request failed:', error);
+    }
+    return res.status(status).json({ error: error.message });
+}
+
 
-        const timestamp = parseInt(lines[0], 10);
-        const summary = lines.slice(1).join('\n');
+// 1. Serve the main HTML file
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// 2. Serve the summary feeds: feed.xml (RSS 2.0), feed.atom (Atom 1.0) and feed.json (JSON Feed 1.1)
+app.get(['/feed.xml', '/feed.atom', '/feed.json'], (req, res) => {
+    const format = formatForExtension(path.extname(req.path).slice(1));
+    res.set('Content-Type', FEED_FORMATS[format].contentType);
+    res.sendFile(path.join(__dirname, req.path));
+});
+
+// 2.1. Per-section article feeds: /feeds/<section>.xml, .atom or .json
+app.get('/feeds/:file', async (req, res) => {
+    const match = req.params.file.match(/^([a-z0-9-]+)\.(xml|atom|json)$/);
+    if (!match) {
+        return res.status(404).json({ error: 'Section feeds are /feeds/<section>.xml, .atom or .json.' });
+    }
+    try {
+        const { body, contentType } = await renderSectionFeed(match[1], formatForExtension(match[2]), { timeoutMs: FEED_TIMEOUT_MS });
+        res.set('Content-Type', contentType).send(body);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        if (isNaN(timestamp)) {
-            console.error('Cache file contains an invalid timestamp.');
-            return null;
+// 2.2. Archived summary as Markdown or a standalone HTML page: /summaries/<id>.md or .html (?download=1 for an attachment)
+// Public like the feeds, which carry the same content.
+app.get('/summaries/:file', async (req, res) => {
+    const match = req.params.file.match(/^(.+)\.(md|html)$/);
+    try {
+        const record = match ? await summaryArchive.getSummary(match[1]) : null;
+        if (!record) {
+            return res.status(404).json({ error: `Summary "${req.params.file}" not found.` });
+        }
+        const isMarkdown = match[2] === 'md';
+        if (req.query.download) {
+            res.attachment(`${summaryExport.exportFileName(record)}.${match[2]}`);
         }
+        res.set('Content-Type', isMarkdown ? 'text/markdown; charset=utf-8' : 'text/html; charset=utf-8');
+        res.send(isMarkdown ? summaryExport.exportMarkdown(record) : summaryExport.exportHTML(record));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        return { timestamp, summary };
+// 2.25. Fetch and parse a single registry feed server-side (replaces the rss2json proxy)
+// Accepts ?id=<registry feed id> or ?url=<the URL of a registry feed>; the item limit defaults to the feed's.
+// Only registry feeds are fetched, so the endpoint cannot be used to reach arbitrary (e.g. internal) URLs.
+// Each item carries `filter` ({ blocked, highlighted, boost, rules }) from the filtering rules
+app.get('/api/feeds', async (req, res) => {
+    let feed = null;
+    try {
+        if (req.query.id) {
+            feed = await feedRegistry.getFeed(String(req.query.id));
+        } else if (req.query.url) {
+            feed = await feedRegistry.findFeedByUrl(String(req.query.url));
+        } else {
+            return res.status(400).json({ status: 'error', error: 'Query parameter "id" (a registry feed id) is required.' });
+        }
     } catch (error) {
-        // File not found is expected on first run
-        if (error.code !== 'ENOENT') {
-            console.error('Error reading cache file:', error);
+        return sendError(res, error);
+    }
+    if (!feed) {
+        return res.status(404).json({ status: 'error', error: `Feed "${req.query.id || req.query.url}" is not in the feed registry.` });
+    }
+    const feedUrl = feed.url;
+    const limit = parseInt(req.query.limit, 10) || feed.limit || FEED_ITEM_LIMIT;
+
+    try {
+        // Fetches are recorded in the feed health records (see /api/health)
+        const result = await feedHealth.fetchRegistryFeed(feed, { timeoutMs: FEED_TIMEOUT_MS });
+
+        // Archive every fetched item (not just the page's slice) for historical search
+        if (!result.notModified) {
+            await articleArchive.recordItems(feed, result.items);
         }
-        return null;
+
+        const matchRules = await filterRules.loadMatcher();
+        return res.json({
+            status: 'ok',
+            format: result.format,
+            notModified: result.notModified,
+            feed: result.feed,
+            items: result.items.slice(0, limit).map(item => ({
+                ...item,
+                filter: matchRules({
+                    title: htmlToText(item.title),
+                    description: htmlToText(item.description || item.content),
+                    source: feed.name,
+                    feedId: feed.id,
+                    section: feed.section
+                })
+            }))
+        });
+    } catch (error) {
+        console.warn(`Feed fetch failed for ${feedUrl}:`, error.message);
+        return res.status(502).json({ status: 'error', error: `Failed to fetch feed: ${error.message}` });
     }
-}
+});
 
-/**
- * Writes the new timestamp and summary to the cache file.
- * @param {number} timestamp 
- * @param {string} summary 
- * @returns {Promise<void>}
- */
-async function writeCache(timestamp, summary) {
-    const content = `${timestamp}\n${summary}`;
+// 2.26. Story clusters across the registry's feeds: ?sections=a,b (all sections when omitted)
+// Returns only stories covered by more than one item, so the dashboard can fold duplicate cards into one.
+// Built from the items the server already fetched (the dashboard loads every feed through /api/feeds first);
+// nothing is re-fetched, and feeds not fetched yet are left out.
+app.get('/api/story-clusters', async (req, res) => {
     try {
-        await fs.writeFile(CACHE_FILE, content, 'utf8');
+        const { sections } = await feedRegistry.loadRegistry();
+        const requested = req.query.sections ? String(req.query.sections).split(',').filter(Boolean) : undefined;
+        const selection = parseSelection({ sections: requested }, sections.map(section => section.id));
+        const { articles } = await collectArticles({ ...selection, loadItems: loadCachedFeedItems, archive: false });
+
+        res.json({
+            clusters: articles
+                .filter(article => article.related.length > 0)
+                .map(article => ({
+                    title: article.title,
+                    link: article.link,
+                    source: article.source,
+                    coverage: article.coverage,
+                    related: article.related
+                }))
+        });
     } catch (error) {
-        console.error('Error writing cache file:', error);
+        sendError(res, error);
     }
-}
+});
 
-/**
- * Formats a timestamp into a readable date/time string, forcing EST/EDT.
- * @param {number} msTimestamp 
- * @returns {string}
- */
-function formatTimestamp(msTimestamp) {
-    if (!msTimestamp) return 'N/A';
-    return new Date(msTimestamp).toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        timeZone: 'America/New_York', // Force EST/EDT
-        timeZoneName: 'short'
-    });
-}
+// 2.27. Feed health: per-feed fetch status (last success, last error, HTTP status, latency, item count, newest item),
+// with feeds flagged "stale" (no new items in FEED_STALE_DAYS) or "failing" (FEED_FAILURE_THRESHOLD failed fetches in
+// a row), and the worst status per section and overall: ?section=
+app.get('/api/health', async (req, res) => {
+    try {
+        res.json(await feedHealth.getHealthReport({ section: req.query.section ? String(req.query.section) : undefined }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-/**
- * Updates the feed.xml file with the latest Claude summary
- * @param {number} timestamp
- * @param {string} summary
- * @returns {Promise<void>}
- */
-async function updateFeedXML(timestamp, summary) {
-    const RFC822_DATE = new Date(timestamp).toUTCString();
-    const GUID = `adtech-summary-${new Date(timestamp).toISOString().split('T')[0]}`;
-
-    // Escape the summary content for XML CDATA
-    const escapedSummary = summary.replace(/]]>/g, ']]]]><![CDATA[>');
-
-    const xmlContent = `<?xml version="1.0" encoding="UTF-8" ?>
-<rss version="2.0"
-     xmlns:atom="http://www.w3.org/2005/Atom"
-     xmlns:content="http://purl.org/rss/1.0/modules/content/">
-  <channel>
-    <title>AdTech News - AI Strategy Summary</title>
-    <link>https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml</link>
-    <description>Claude AI-generated strategic analysis of AdTech, Marketing, and Enterprise Technology news</description>
-    <language>en-us</language>
-    <lastBuildDate>${RFC822_DATE}</lastBuildDate>
-    <atom:link href="https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml" rel="self" type="application/rss+xml" />
-
-    <item>
-      <title>AI Strategy Summary - AdTech &amp; Marketing News</title>
-      <link>https://raw.githubusercontent.com/ikcerog/martechlander-dev/refs/heads/main/feed.xml</link>
-      <guid isPermaLink="false">${GUID}</guid>
-      <pubDate>${RFC822_DATE}</pubDate>
-      <description><![CDATA[Strategic AI analysis of AdTech, Marketing, and Enterprise Technology news - Updated ${formatTimestamp(timestamp)}]]></description>
-      <content:encoded><![CDATA[
-${escapedSummary}
-
----
-
-**Last Updated**: ${formatTimestamp(timestamp)}
-
-**About This Feed**:
-This feed contains AI-generated strategic analysis powered by Claude (Anthropic).
-The summary is updated periodically based on aggregated news from Marketing Dive, Adweek, AdExchanger,
-VideoWeek, CIO Dive, Banking Dive, Wired, and other industry sources.
-
-**How it works**:
-1. The system aggregates news from 10+ industry RSS feeds
-2. Claude AI analyzes the content for strategic patterns and insights
-3. A structured summary is generated highlighting trends, takeaways, and risks
-4. This feed is updated when new analysis is available
-
-**Throttling**: To conserve API resources, summaries are generated no more frequently than every ${THROTTLE_MINUTES} minutes.
-      ]]></content:encoded>
-    </item>
-  </channel>
-</rss>`;
-
-    try {
-        await fs.writeFile('feed.xml', xmlContent, 'utf8');
-        console.log('✅ feed.xml updated successfully');
-    } catch (error) {
-        console.error('❌ Error writing feed.xml:', error);
+// 2.3. Feed registry: list sections and feeds
+app.get('/api/feed-registry', async (req, res) => {
+    try {
+        res.json(await feedRegistry.loadRegistry());
+    } catch (error) {
+        sendError(res, error);
     }
-}
+});
+
+// 2.31. Feed registry: add a feed ({ url, name, section, enabled?, limit? })
+app.post('/api/feed-registry/feeds', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await feedRegistry.addFeed(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
+// 2.32. Feed registry: edit or disable a feed (any of url, name, section, enabled, limit)
+app.patch('/api/feed-registry/feeds/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await feedRegistry.updateFeed(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-// 1. Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+// 2.33. Feed registry: delete a feed
+app.delete('/api/feed-registry/feeds/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await feedRegistry.deleteFeed(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-// 2. Serve the RSS/XML feed file
-app.get('/feed.xml', (req, res) => {
-    res.set('Content-Type', 'application/rss+xml');
-    res.sendFile(path.join(__dirname, 'feed.xml'));
+// 2.34. Feed registry: add a dashboard section ({ label, id?, emoji?, grouped?, community? })
+app.post('/api/feed-registry/sections', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await feedRegistry.addSection(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-// 2.5. Get cached summary without generating (for auto-display on page load)
+// 2.345. Feed registry as OPML: export (one folder per section) as a download, or import an OPML document
+// (raw body, Content-Type text/x-opml or application/xml). Folders map to sections by label or id, and unknown
+// folders become new sections; feeds outside any folder go to ?section= (default "Imported").
+// Returns { added, skipped, failed, sections } (skipped: already registered; failed: invalid URL).
+app.get('/api/feed-registry/opml', async (req, res) => {
+    try {
+        res.set('Content-Disposition', 'attachment; filename="feeds.opml"');
+        res.type('text/x-opml').send(await opml.exportOPML());
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/feed-registry/opml', requireEditor, bodyParser.text({ type: OPML_CONTENT_TYPES, limit: '1mb' }), async (req, res) => {
+    try {
+        const report = await opml.importOPML(req.body, { defaultSection: req.query.section ? String(req.query.section) : undefined });
+        res.status(report.added.length ? 201 : 200).json(report);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.35. Filtering rules: list ({ rules })
+app.get('/api/filter-rules', async (req, res) => {
+    try {
+        res.json({ actions: filterRules.ACTIONS, rules: await filterRules.loadRules() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.36. Filtering rules: add ({ name, action: block|highlight|boost, match: { keywords?, regex?, sources?, sections? }, weight?, enabled? })
+app.post('/api/filter-rules', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await filterRules.addRule(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.37. Filtering rules: edit any of name, action, match, weight, enabled
+app.patch('/api/filter-rules/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await filterRules.updateRule(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.38. Filtering rules: delete
+app.delete('/api/filter-rules/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await filterRules.deleteRule(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.39. Filtering rules: export as a JSON download, or import (replace all) with PUT { rules: [...] }
+app.get('/api/filter-rules/export', async (req, res) => {
+    try {
+        const rules = await filterRules.loadRules();
+        res.set('Content-Disposition', 'attachment; filename="filter-rules.json"');
+        res.type('application/json').send(JSON.stringify({ rules }, null, 2));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.put('/api/filter-rules', requireEditor, async (req, res) => {
+    try {
+        res.json({ rules: await filterRules.replaceRules(req.body) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.4. Prompt profiles: list (with the default profile id)
+app.get('/api/prompt-profiles', async (req, res) => {
+    try {
+        res.json(await promptProfiles.loadProfiles());
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.41. Prompt profiles: add ({ name, audience, lens, outputStructure, id? })
+app.post('/api/prompt-profiles', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await promptProfiles.addProfile(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.42. Prompt profiles: edit any of name, audience, lens, outputStructure
+app.patch('/api/prompt-profiles/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await promptProfiles.updateProfile(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.43. Prompt profiles: delete (the default profile is protected)
+app.delete('/api/prompt-profiles/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await promptProfiles.deleteProfile(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.5. Get cached summary without generating (for auto-display on page load): ?profile=
+// Includes summaryHtml (sanitized rendering) and summaryMarkdown (for copying) next to the raw summary
 app.get('/api/get-cached-summary', async (req, res) => {
-    const cachedData = await readCache();
+    let profile;
+    try {
+        profile = await promptProfiles.resolveProfile(req.query.profile);
+    } catch (error) {
+        return sendError(res, error);
+    }
+    const cachedData = await readCache(profile.id);
 
     if (!cachedData) {
         return res.json({
             cached: false,
+            profile: profile.id,
             message: "No summary available yet. Click 'Generate Summary' to create one."
         });
     }
@@ -194,10 +428,15 @@ app.get('/api/get-cached-summary', async (req, res) => {
     const timeRemaining = THROTTLE_MILLISECONDS - timeElapsed;
     const nextRunTime = cachedData.timestamp + THROTTLE_MILLISECONDS;
     const isThrottled = timeElapsed < THROTTLE_MILLISECONDS;
+    const structured = await getCachedStructure(profile.id, cachedData.timestamp);
 
     return res.json({
         cached: true,
+        profile: profile.id,
+        id: summaryArchive.summaryId(cachedData.timestamp, profile.id),
         summary: cachedData.summary,
+        structured,
+        ...presentSummary(cachedData.summary, structured),
         timestamp: cachedData.timestamp,
         formattedTime: formatTimestamp(cachedData.timestamp),
         isThrottled: isThrottled,
@@ -207,14 +446,572 @@ app.get('/api/get-cached-summary', async (req, res) => {
 });
 
 
+// 2.6. Browse the summary archive (newest first): ?limit=&offset=&profile=&kind= (comma-separated:
+// daily, weekly-rollup, section-brief, community-pulse)
+app.get('/api/summaries', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const kinds = req.query.kind ? String(req.query.kind).split(',').map(kind => kind.trim()) : undefined;
+        if (kinds && kinds.some(kind => !summaryArchive.KINDS.includes(kind))) {
+            return res.status(400).json({ error: `"kind" must be one or more of: ${summaryArchive.KINDS.join(', ')}.` });
+        }
+        const result = await summaryArchive.listSummaries({ limit, offset, profile: req.query.profile, kind: kinds });
+        res.json({
+            total: result.total,
+            summaries: result.summaries.map(entry => ({ ...entry, formattedTime: formatTimestamp(entry.timestamp) }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.61. Get a single archived summary with its source-article list
+app.get('/api/summaries/:id', async (req, res) => {
+    try {
+        const record = await summaryArchive.getSummary(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `Summary "${req.params.id}" not found.` });
+        }
+        res.json({
+            ...record,
+            ...presentSummary(record.summary, record.structured || null, record.articles),
+            formattedTime: formatTimestamp(record.timestamp)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+
+// 2.62. Generate the weekly rollup of a profile's daily summaries from the past 7 days: { profile?, force? }
+// Publishes it as its own feed item and delivers it like a daily summary. 409 when a rollup was made in the
+// last 6 days (unless force) or there is nothing to roll up.
+app.post('/api/summaries/weekly-rollup', requireEditor, async (req, res) => {
+    const body = req.body || {};
+    let release = null;
+    try {
+        const profile = await promptProfiles.resolveProfile(body.profile);
+        await usageLedger.assertWithinBudget();
+        if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+            return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+        }
+        release = await auth.reserveRegeneration(req.user);
+
+        const { record } = await generateWeeklyRollup({
+            provider: llm,
+            profile,
+            throttleMinutes: THROTTLE_MINUTES,
+            force: body.force === true,
+            user: req.user ? req.user.username : undefined
+        });
+        delivery.deliverSummary(record);
+
+        res.status(201).json({
+            ...record,
+            ...presentSummary(record.summary, null),
+            formattedTime: formatTimestamp(record.timestamp)
+        });
+    } catch (error) {
+        if (release) await release();
+        sendError(res, error);
+    }
+});
+
+
+// 2.63. Latest brief of each editorial section for a profile: ?profile=
+app.get('/api/section-briefs', async (req, res) => {
+    try {
+        const profile = await promptProfiles.resolveProfile(req.query.profile);
+        const { sections } = await feedRegistry.loadRegistry();
+        const briefs = await sectionReports.getLatestBriefs(profile.id, sections);
+        res.json({ profile: profile.id, briefs: briefs.map(presentReport) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.64. Generate one brief per editorial section: { profile?, sections?, windowHours?, excludeLinks?, force? }
+// One LLM call per section; the request counts once against the regeneration quota. Within the throttle window
+// the latest briefs are returned unless force is set. Sections without articles are listed in "skipped".
+app.post('/api/section-briefs', requireEditor, requireJSONBody, async (req, res) => {
+    const body = req.body;
+    let release = null;
+    try {
+        const { sections } = await feedRegistry.loadRegistry();
+        const selection = parseSelection(body, sections.map(section => section.id));
+        const profile = await promptProfiles.resolveProfile(body.profile);
+        const wanted = sections.filter(section => !sectionReports.isCommunitySection(section) &&
+            (!selection.sections || selection.sections.includes(section.id)));
+
+        if (body.force !== true) {
+            const latest = await sectionReports.getLatestBriefs(profile.id, wanted);
+            const newest = Math.max(0, ...latest.map(record => record.timestamp));
+            if (Date.now() - newest < THROTTLE_MILLISECONDS) {
+                return res.json({
+                    profile: profile.id,
+                    throttled: true,
+                    nextRunTime: formatTimestamp(newest + THROTTLE_MILLISECONDS),
+                    briefs: latest.map(presentReport),
+                    skipped: []
+                });
+            }
+        }
+
+        await usageLedger.assertWithinBudget();
+        if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+            return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+        }
+        release = await auth.reserveRegeneration(req.user);
+
+        // Without editorial sections there is nothing to fetch; generateSectionBriefs reports why
+        const { articles } = wanted.length
+            ? await collectArticles({ ...selection, sections: wanted.map(section => section.id), timeoutMs: FEED_TIMEOUT_MS, fullText: articleText.FULL_TEXT_ENABLED })
+            : { articles: [] };
+        const { briefs, skipped } = await sectionReports.generateSectionBriefs({
+            provider: llm,
+            profile,
+            articles,
+            sections: wanted,
+            user: req.user ? req.user.username : undefined
+        });
+
+        res.status(201).json({ profile: profile.id, throttled: false, briefs: briefs.map(presentReport), skipped });
+    } catch (error) {
+        if (release) await release();
+        sendError(res, error);
+    }
+});
+
+// 2.65. Latest Community Pulse report for a profile: ?profile= (report is null until one is generated)
+app.get('/api/community-pulse', async (req, res) => {
+    try {
+        const profile = await promptProfiles.resolveProfile(req.query.profile);
+        const record = await sectionReports.getLatestPulse(profile.id);
+        res.json({ profile: profile.id, report: record ? presentReport(record) : null });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.66. Generate the Community Pulse report from the community sections: { profile?, windowHours?, excludeLinks?, force? }
+// Within the throttle window the latest report is returned unless force is set.
+app.post('/api/community-pulse', requireEditor, requireJSONBody, async (req, res) => {
+    const body = req.body;
+    let release = null;
+    try {
+        const { sections } = await feedRegistry.loadRegistry();
+        const selection = parseSelection({ ...body, sections: undefined }, sections.map(section => section.id));
+        const profile = await promptProfiles.resolveProfile(body.profile);
+
+        if (body.force !== true) {
+            const latest = await sectionReports.getLatestPulse(profile.id);
+            if (latest && Date.now() - latest.timestamp < THROTTLE_MILLISECONDS) {
+                return res.json({
+                    profile: profile.id,
+                    throttled: true,
+                    nextRunTime: formatTimestamp(latest.timestamp + THROTTLE_MILLISECONDS),
+                    report: presentReport(latest)
+                });
+            }
+        }
+
+        await usageLedger.assertWithinBudget();
+        if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+            return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+        }
+        release = await auth.reserveRegeneration(req.user);
+
+        const community = sections.filter(sectionReports.isCommunitySection);
+        const { articles } = community.length
+            ? await collectArticles({ ...selection, sections: community.map(section => section.id), timeoutMs: FEED_TIMEOUT_MS })
+            : { articles: [] };
+        const record = await sectionReports.generateCommunityPulse({
+            provider: llm,
+            profile,
+            articles,
+            sections,
+            user: req.user ? req.user.username : undefined
+        });
+
+        res.status(201).json({ profile: profile.id, throttled: false, report: presentReport(record) });
+    } catch (error) {
+        if (release) await release();
+        sendError(res, error);
+    }
+});
+
+
+// 2.7. Full-text search over the article archive
+// Query: q (terms must all match; "quoted phrases" allowed), source (feed id or name), section,
+// from / to (ISO dates), sort (relevance | date), limit, offset
+app.get('/api/search', async (req, res) => {
+    try {
+        const query = articleArchive.parseSearchQuery(req.query);
+        const result = await articleArchive.search(query);
+        res.json({
+            ...result,
+            results: result.results.map(article => ({
+                ...article,
+                formattedDate: formatTimestamp(new Date(article.pubDate || article.firstSeen).getTime())
+            }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.71. Ask the news: answer a question from the most relevant archived articles (ranked with BM25), with citations.
+// Body: { question, conversationId?, profile?, windowDays? (default 7), section? }. Omit conversationId to start a
+// conversation; pass the returned one to ask follow-ups. Asking calls the LLM, so it needs the "editor" role like
+// regenerating; each question counts against the regeneration quota and the LLM budgets. 422 when no article matches.
+app.post('/api/ask', requireEditor, requireJSONBody, async (req, res) => {
+    const body = req.body;
+    let release = null;
+    try {
+        const request = newsQA.parseAskRequest(body);
+        const profile = await promptProfiles.resolveProfile(body.profile);
+        await usageLedger.assertWithinBudget();
+        if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+            return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+        }
+        release = await auth.reserveRegeneration(req.user);
+
+        const { conversationId, turn } = await newsQA.askQuestion({ ...request, provider: llm, profile, user: req.user });
+        res.json({ conversationId, ...presentTurn(turn) });
+    } catch (error) {
+        if (release) await release();
+        sendError(res, error);
+    }
+});
+
+// 2.72. A conversation of the signed-in user (conversations expire a day after their last question)
+app.get('/api/ask/conversations/:id', async (req, res) => {
+    try {
+        const conversation = await newsQA.getConversation(req.user, req.params.id);
+        res.json({ conversationId: conversation.id, profile: conversation.profile, turns: conversation.turns.map(presentTurn) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+
+/**
+ * A question-and-answer turn as returned by the API: the answer with its citations linked, and the numbered sources.
+ * @param {object} turn Stored turn (see lib/news-qa.js)
+ * @returns {object}
+ */
+function presentTurn(turn) {
+    const answerMarkdown = linkCitations(turn.answer, turn.sources);
+    return {
+        question: turn.question,
+        answerMarkdown,
+        answerHtml: renderMarkdown(answerMarkdown),
+        model: turn.model,
+        timestamp: turn.timestamp,
+        formattedTime: formatTimestamp(turn.timestamp),
+        sources: turn.sources.map((source, index) => ({
+            number: index + 1,
+            ...source,
+            formattedDate: source.pubDate ? formatTimestamp(new Date(source.pubDate).getTime()) : null
+        }))
+    };
+}
+
+/**
+ * Loads the structured (cited) form of a cached summary from the archive.
+ * @param {string} profileId
+ * @param {number} timestamp Cache timestamp
+ * @returns {Promise<object|null>}
+ */
+async function getCachedStructure(profileId, timestamp) {
+    const record = await summaryArchive.getSummary(summaryArchive.summaryId(timestamp, profileId));
+    return record ? record.structured || null : null;
+}
+
+/**
+ * Prepares a summary for display and copying: clean Markdown (citations as source links when the structured
+ * form or the article list is available, markers stripped otherwise) and the sanitized HTML rendering of it.
+ * @param {string} summary Markdown as generated
+ * @param {object|null} structured
+ * @param {object[]} [articles] The summary's numbered source articles
+ * @returns {{summaryMarkdown: string, summaryHtml: string}}
+ */
+function presentSummary(summary, structured, articles) {
+    const summaryMarkdown = summaryExport.summaryMarkdown({ summary, structured, articles });
+    return { summaryMarkdown, summaryHtml: renderMarkdown(summaryMarkdown) };
+}
+
+/**
+ * A section brief or Community Pulse record as returned by the API.
+ * @param {object} record Archived record
+ * @returns {object}
+ */
+function presentReport(record) {
+    return {
+        id: record.id,
+        kind: record.kind,
+        profile: record.profile,
+        section: record.section || null,
+        model: record.model,
+        timestamp: record.timestamp,
+        formattedTime: formatTimestamp(record.timestamp),
+        articleCount: record.articles.length,
+        ...presentSummary(record.summary, null, record.articles)
+    };
+}
+
+/**
+ * Switches the response to Server-Sent Events and returns a function that sends one named event.
+ * @param {import('express').Response} res
+ * @returns {function(string, object): void}
+ */
+function openEventStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+// 2.75. Topic and entity trends over the article archive: mentions per day, source and section, with spikes flagged
+// Query: days (default 30, max 90), type (company | platform | topic | regulation), entity, section, source, limit
+app.get('/api/trends', async (req, res) => {
+    try {
+        res.json(await trends.getTrendReport(trends.parseTrendQuery(req.query)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.76. Entity dictionary: list ({ types, entities })
+app.get('/api/trends/entities', async (req, res) => {
+    try {
+        res.json({ types: trends.TYPES, entities: await trends.loadEntities() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.77. Entity dictionary: add ({ label, type, aliases?, caseSensitive?, enabled?, id? })
+app.post('/api/trends/entities', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await trends.addEntity(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.78. Entity dictionary: edit any of label, type, aliases, caseSensitive, enabled
+app.patch('/api/trends/entities/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await trends.updateEntity(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.79. Entity dictionary: delete
+app.delete('/api/trends/entities/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await trends.deleteEntity(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.8. LLM usage: token and cost totals, a per-day series, breakdowns and budget status: ?days= (default 30)
+app.get('/api/usage', async (req, res) => {
+    try {
+        res.json(await usageLedger.getUsageReport({ days: req.query.days }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.9. Delivery channels (editor; webhook URLs are masked): list with the available types and formats
+app.get('/api/delivery/channels', requireEditor, async (req, res) => {
+    try {
+        const channels = await delivery.loadChannels();
+        res.json({ types: delivery.TYPES, formats: delivery.FORMATS, channels: channels.map(delivery.publicChannel) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.91. Delivery channels: add ({ name, type: email|webhook, recipients? | format + (url | urlEnv), profiles?, enabled? })
+app.post('/api/delivery/channels', requireEditor, async (req, res) => {
+    try {
+        res.status(201).json(await delivery.addChannel(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.92. Delivery channels: edit any field (omit "url" to keep the stored webhook URL)
+app.patch('/api/delivery/channels/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await delivery.updateChannel(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.93. Delivery channels: delete
+app.delete('/api/delivery/channels/:id', requireEditor, async (req, res) => {
+    try {
+        res.json(await delivery.deleteChannel(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.94. Delivery channels: send the latest archived summary to one channel (waits for retries; returns the log entry)
+app.post('/api/delivery/channels/:id/test', requireEditor, async (req, res) => {
+    try {
+        const entry = await delivery.testChannel(req.params.id);
+        res.status(entry.status === 'delivered' ? 200 : 502).json(entry);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.95. Delivery log (newest first): ?limit=&channel=
+app.get('/api/delivery/log', requireEditor, async (req, res) => {
+    try {
+        res.json({ entries: await delivery.getDeliveryLog({ limit: req.query.limit, channel: req.query.channel }) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.96. Reading state of the signed-in user (or the single local user without authentication):
+// { migrated, articles: [{ id, link, read, saved, hidden, note, title?, source?, section?, pubDate?, savedAt?, updatedAt }] }
+app.get('/api/reading-state', async (req, res) => {
+    try {
+        res.json(await readingState.getState(req.user));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.97. Set one article's state: { link, read?, saved?, hidden?, note?, title?, source?, section?, pubDate? }
+app.put('/api/reading-state/articles', async (req, res) => {
+    try {
+        res.json(await readingState.updateArticle(req.user, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.98. One-time import of the browser's localStorage "Hide Forever" links: { hiddenLinks: [...] }
+// ({ imported, alreadyMigrated }), and unhiding every hidden article ("Reset Hidden Tiles")
+app.post('/api/reading-state/migrate', async (req, res) => {
+    try {
+        res.json(await readingState.migrateHiddenLinks(req.user, (req.body || {}).hiddenLinks));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/reading-state/hidden', async (req, res) => {
+    try {
+        res.json({ cleared: await readingState.clearHidden(req.user) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.99. Saved articles with their notes, as JSON or as a CSV / Markdown download: ?format=csv|md
+app.get('/api/reading-state/saved', async (req, res) => {
+    try {
+        if (!req.query.format) {
+            return res.json({ articles: await readingState.listSaved(req.user) });
+        }
+        const file = await readingState.exportSaved(req.user, String(req.query.format));
+        res.attachment(file.filename);
+        res.type(file.contentType).send(file.body);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.995. Scheduled jobs (data/schedule.json): whether the scheduler runs, its time zone, each job with its next run
+// and latest run, and the run history (newest first) with durations and errors: ?job=&limit= (default 50)
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const [status, runs] = await Promise.all([
+            scheduler.getStatus(),
+            scheduler.listRuns({ job: req.query.job ? String(req.query.job) : undefined, limit })
+        ]);
+        res.json({
+            ...status,
+            jobs: status.jobs.map(job => ({ ...job, nextRunTime: job.nextRunAt ? formatTimestamp(job.nextRunAt) : null })),
+            runs
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 2.996. Run a job now (also when the scheduler is off). Answers 202 with the started run; follow it through
+// GET /api/jobs. 409 while the job is running. Summarize and weekly-rollup jobs count against the regeneration quota.
+app.post('/api/jobs/:id/run', requireEditor, async (req, res) => {
+    let release = null;
+    try {
+        if (await scheduler.usesLLM(req.params.id)) {
+            if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+                return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+            }
+            release = await auth.reserveRegeneration(req.user);
+        }
+
+        const { run, finished } = await scheduler.runJob(req.params.id, { user: req.user ? req.user.username : undefined });
+        // A run that generated nothing (failed or skipped) gives the regeneration back
+        if (release) {
+            finished.then(result => (result.status === 'succeeded' ? null : release()));
+        }
+        res.status(202).json({ run });
+    } catch (error) {
+        if (release) await release();
+        sendError(res, error);
+    }
+});
+
 // 3. AI Summary Endpoint (Caching/Throttling logic KEPT, API call changed)
-app.post('/api/summarize-news', async (req, res) => {
-    const htmlContent = req.body.htmlContent;
-    const forceRegenerate = req.body.forceRegenerate || false;
+// Body: { profile?: string, sections?: string[], windowHours?: number, excludeLinks?: string[], compare?: string, forceRegenerate?: boolean, stream?: boolean }
+// compare ("previous" or "week") sends the profile's earlier summaries along and adds a "what changed" section.
+// The server assembles the article set from its own feeds; raw HTML payloads are rejected.
+// With stream: true the response is Server-Sent Events: "delta" events ({ text }) as tokens arrive, then a
+// "done" event ({ header, summary, structured }) or an "error" event ({ error }). Closing the connection aborts the LLM request,
+// and the summary is only cached and published once the stream completes.
+// With auth enabled, viewers only receive the cached summary; calling the LLM needs the editor role and counts
+// against the user's daily regeneration quota (429 once it is used up).
+// Every LLM call is recorded in the usage ledger; once the daily or monthly budget is spent the server answers 429.
+app.post('/api/summarize-news', requireJSONBody, async (req, res) => {
+    const body = req.body;
+    const forceRegenerate = body.forceRegenerate || false;
+    const streaming = body.stream === true;
+    let selection;
+    let profile;
+    let compare;
+    try {
+        const { sections } = await feedRegistry.loadRegistry();
+        selection = parseSelection(body, sections.map(section => section.id));
+        profile = await promptProfiles.resolveProfile(body.profile);
+        compare = parseComparisonMode(body.compare);
+    } catch (error) {
+        return sendError(res, error);
+    }
+
     const currentTime = Date.now();
-    let cachedData = await readCache();
-    let summaryToReturn = null;
-    let headerToReturn = null;
+    let cachedData = await readCache(profile.id);
 
     if (cachedData && !forceRegenerate) {
         const timeElapsed = currentTime - cachedData.timestamp;
@@ -224,7 +1021,7 @@ app.post('/api/summarize-news', async (req, res) => {
             const timeRemaining = THROTTLE_MILLISECONDS - timeElapsed;
             const nextRunTime = cachedData.timestamp + THROTTLE_MILLISECONDS;
 
-            headerToReturn = `
+            const header = `
                 ## ⏳ Summary Throttle Active ⏳
                 This summary was last generated at **${formatTimestamp(cachedData.timestamp)}**.
                 The next beneficial generation time is **${formatTimestamp(nextRunTime)}** (in ${Math.ceil(timeRemaining / (60 * 1000))} minutes).
@@ -232,126 +1029,243 @@ app.post('/api/summarize-news', async (req, res) => {
                 ---
             `;
 
-            summaryToReturn = cachedData.summary; // Return CLEAN summary
+            // Ensure the XML feed is up to date with the archive
+            await rebuildSummaryFeeds({ throttleMinutes: THROTTLE_MINUTES });
 
-            // Ensure the XML feed is up to date with cached summary
-            await updateFeedXML(cachedData.timestamp, cachedData.summary);
-
-        } else {
-            // --- THROTTLING WINDOW EXPIRED: GENERATE NEW SUMMARY ---
-            console.log('Throttle window expired. Calling Claude API...');
+            // Return separate fields: the status header, the CLEAN summary content and its cited structure.
+            const payload = {
+                header,
+                summary: cachedData.summary,
+                structured: await getCachedStructure(profile.id, cachedData.timestamp)
+            };
+            if (streaming) {
+                openEventStream(res)('done', payload);
+                return res.end();
+            }
+            return res.json(payload);
         }
+
+        // --- THROTTLING WINDOW EXPIRED: GENERATE NEW SUMMARY ---
+        console.log('Throttle window expired. Calling the LLM provider...');
     } else {
         // --- NO CACHE FILE: GENERATE NEW SUMMARY (First Run) ---
-        console.log('No cache file found. Calling Claude API for the first time...');
+        console.log('No cache file found. Calling the LLM provider for the first time...');
     }
-    
-    // If summaryToReturn is still null, it means we need to call the API
-    if (!summaryToReturn) {
-        if (!htmlContent) {
-            return res.status(400).json({ error: 'Missing HTML content in request body.' });
-        }
-        if (!apiKey) {
-            return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
-        }
 
+    if (!auth.hasRole(req.user, 'editor')) {
+        return res.status(req.user ? 403 : 401).json({ error: 'Regenerating the summary requires the "editor" role.' });
+    }
+    if (llm.name === 'anthropic' && !llmConfig.apiKey) {
+        return res.status(500).json({ error: 'CLAUDE_API_KEY environment variable is not set.' });
+    }
 
-        // --- ANTHROPIC API CALL LOGIC ---
-        const systemPrompt = `
-            You are a senior strategic analyst specializing in AdTech, Marketing, and Enterprise Technology.
-            Analyze the following HTML content, which contains recent news articles from various industry feeds.
+    // The regeneration is reserved before the call and given back if nothing is generated
+    let release;
+    try {
+        await usageLedger.assertWithinBudget();
+        release = await auth.reserveRegeneration(req.user);
+    } catch (error) {
+        return sendError(res, error);
+    }
 
-            Your task is to:
-            1. **SCAN** the provided HTML content for all titles, sources, and descriptions within the '.news-card' elements.
-            2. **IGNORE** all hidden elements or administrative content (like 'Hide Forever' buttons).
-            3. **GENERATE** a strategic summary in Markdown format that is ready to be directly displayed in a dashboard panel.
+    let articles;
+    try {
+        ({ articles } = await collectArticles({ ...selection, timeoutMs: FEED_TIMEOUT_MS, fullText: articleText.FULL_TEXT_ENABLED }));
+    } catch (error) {
+        await release();
+        return sendError(res, error);
+    }
+    if (articles.length === 0) {
+        await release();
+        return res.status(422).json({ error: 'No articles matched the selected sections and date window.' });
+    }
 
-            Your output MUST be structured using Markdown headings and lists, focusing on actionable insights, without preamble. Go directly into the following structure:
+    // In streaming mode, abort the upstream request if the client disconnects (e.g. presses Cancel)
+    const controller = new AbortController();
+    let send = null;
+    if (streaming) {
+        send = openEventStream(res);
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+    }
 
-            ## 📰 Core Trends & Market Focus
-            * **[Trend 1/Topic]**: Briefly describe the key theme (e.g., "AI Regulation").
-            * **[Trend 2/Topic]**: Briefly describe the key theme (e.g., "Retail Media Expansion").
-            * ... (List 3-5 major recurring themes)
+    try {
+        const generated = await generateSummary({
+            provider: llm,
+            profile,
+            articles,
+            throttleMinutes: THROTTLE_MINUTES,
+            signal: controller.signal,
+            onText: streaming ? text => send('delta', { text }) : undefined,
+            trigger: forceRegenerate ? 'force' : 'dashboard',
+            user: req.user ? req.user.username : undefined,
+            compare
+        });
 
-            ## 💡 Strategic Takeaways for AdTech Leadership
-            * **For Branding & Campaigns**: What should leadership be doing right now based on the news?
-            * **For Ad Technology**: What specific technology area requires immediate investment or planning?
-            * **For Enterprise Tech/FinTech**: What is the key market shift that requires a business response?
+        // Push the new summary to the delivery channels in the background (retries can take a while)
+        delivery.deliverSummary(generated.record);
 
-            ## 📉 Potential Risks & Blindspots
-            * [Risk 1]: A critical risk emerging from the news (e.g., privacy changes, economic downturn, competitor move).
-        `;
+        // Construct the header for the *new* summary output
+        const header = `
+                ## ✅ Summary Freshly Generated (${generated.model}) ✅
+                This summary was generated **just now** at **${formatTimestamp(generated.timestamp)}**.
+                The next beneficial generation time will be **${formatTimestamp(generated.timestamp + THROTTLE_MILLISECONDS)}**.
+                ---
+            `;
 
-        const userContent = `
-            ---
-            HTML Content to Analyze:
-            ---
-            ${htmlContent}
-        `;
+        const payload = { header, summary: generated.summary, structured: generated.structured };
+        if (streaming) {
+            send('done', payload);
+            return res.end();
+        }
+        res.json(payload);
 
-        try {
-            console.log(`Making API call to Claude (ID: ${CLAUDE_MODEL})...`);
-            
-            const response = await fetch(API_URL, {
-                method: 'POST',
-                headers: {
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01', // Required API version
-                    'content-type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: CLAUDE_MODEL,
-                    max_tokens: 4096,
-                    system: systemPrompt, 
-                    messages: [
-                        { "role": "user", "content": userContent }
-                    ]
-                })
-            });
+    } catch (error) {
+        await release();
+        if (controller.signal.aborted) {
+            console.log(`⚠️  Summary generation cancelled by the client (profile: ${profile.id}); nothing was cached.`);
+            return res.end();
+        }
+        console.error("LLM Provider Error:", error.message);
+        const message = `Failed to generate AI summary: ${error.message}`;
+        if (streaming) {
+            send('error', { error: message });
+            return res.end();
+        }
+        return res.status(500).json({ error: message });
+    }
+});
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`Claude API HTTP Error ${response.status}:`, errorText);
-                throw new Error(`Anthropic API request failed with status ${response.status}: ${errorText}`);
-            }
+// Account routes only exist when authentication is enabled
+function requireAuthEnabled(req, res, next) {
+    if (!auth.AUTH_ENABLED) {
+        return res.status(404).json({ error: 'Authentication is not enabled on this server.' });
+    }
+    next();
+}
 
-            const data = await response.json();
-            
-            // Extract the summary text from Claude's response structure
-            const newSummary = data.content?.[0]?.text || "Error: Could not extract summary text from Claude response.";
-            const newTimestamp = Date.now();
+// 4. Authentication: sign in ({ username, password }) and receive the session cookie
+// Repeated failures from one IP or for one username are refused with 429 for a while (see lib/auth.js)
+app.post('/api/auth/login', requireAuthEnabled, async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        auth.assertLoginAllowed(req.ip, username);
+        const user = await auth.verifyCredentials(username, password);
+        if (!user) {
+            auth.recordLoginFailure(req.ip, username);
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        auth.clearLoginFailures(username);
+        res.cookie(auth.SESSION_COOKIE, auth.createSession(user), auth.sessionCookieOptions(req));
+        res.json({ user: auth.publicUser(user), quota: await auth.getQuotaStatus(user) });
+    } catch (error) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        sendError(res, error);
+    }
+});
 
-            // Save the new summary and timestamp to the cache
-            await writeCache(newTimestamp, newSummary);
+// 4.1. Sign out (clears the session cookie)
+app.post('/api/auth/logout', (req, res) => {
+    res.clearCookie(auth.SESSION_COOKIE, { path: '/' });
+    res.json({ ok: true });
+});
 
-            // Update the XML feed with the new summary
-            await updateFeedXML(newTimestamp, newSummary);
+// 4.2. Current user: { authEnabled, user, canRegenerate, quota }
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        res.json({
+            authEnabled: auth.AUTH_ENABLED,
+            user: req.user ? auth.publicUser(req.user) : null,
+            canRegenerate: auth.hasRole(req.user, 'editor'),
+            quota: await auth.getQuotaStatus(req.user)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-            // Construct the header for the *new* summary output
-            headerToReturn = `
-                ## ✅ Summary Freshly Generated by Claude ✅
-                This summary was generated **just now** at **${formatTimestamp(newTimestamp)}**.
-                The next beneficial generation time will be **${formatTimestamp(newTimestamp + THROTTLE_MILLISECONDS)}**.
-                ---
-            `;
+// 4.3. API tokens for scripts (sent as "Authorization: Bearer <token>"): list, create ({ name }), revoke
+// The token value is only returned once, when it is created.
+app.get('/api/auth/tokens', requireAuthEnabled, (req, res) => {
+    res.json({ tokens: auth.listApiTokens(req.user) });
+});
 
-            summaryToReturn = newSummary; // Return CLEAN summary
+app.post('/api/auth/tokens', requireAuthEnabled, async (req, res) => {
+    try {
+        res.status(201).json(await auth.createApiToken(req.user.id, (req.body || {}).name));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        } catch (error) {
-            console.error("Claude API Error:", error.message);
-            return res.status(500).json({ error: `Failed to generate AI summary: ${error.message}` });
-        }
+app.delete('/api/auth/tokens/:id', requireAuthEnabled, async (req, res) => {
+    try {
+        await auth.revokeApiToken(req.user.id, req.params.id);
+        res.json({ ok: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// 4.4. User management (admin): list, create ({ username, password, role?, dailyQuota? }),
+// edit any of role, dailyQuota, password, delete
+app.get('/api/users', requireAuthEnabled, requireAdmin, async (req, res) => {
+    try {
+        const users = await auth.loadUsers();
+        res.json({ roles: auth.ROLES, users: users.map(auth.publicUser) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/users', requireAuthEnabled, requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await auth.createUser(req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.patch('/api/users/:id', requireAuthEnabled, requireAdmin, async (req, res) => {
+    try {
+        res.json(await auth.updateUser(req.params.id, req.body || {}));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/users/:id', requireAuthEnabled, requireAdmin, async (req, res) => {
+    if (req.user && req.user.id === req.params.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account.' });
+    }
+    try {
+        res.json(await auth.deleteUser(req.params.id));
+    } catch (error) {
+        sendError(res, error);
     }
-    
-    // Return two separate fields: the status header and the clean summary content.
-    res.json({ 
-        header: headerToReturn,
-        summary: summaryToReturn 
-    });
 });
 
 
 // Start the server
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
+auth.bootstrapAdmin()
+    .catch(error => console.error('❌ Failed to create the admin account:', error.message))
+    .finally(() => {
+        app.listen(port, () => {
+            console.log(`Server running on port ${port}${auth.AUTH_ENABLED ? ' (authentication enabled)' : ''}`);
+            // Runs jobs from data/schedule.json when SCHEDULER_ENABLED=true; manual runs work either way
+            scheduler.start({ provider: llm, throttleMinutes: THROTTLE_MINUTES, timeoutMs: FEED_TIMEOUT_MS })
+                .catch(error => console.error('❌ Failed to start the scheduler:', error.message));
+        });
+    });
+
+// Write pending article-archive and feed health changes before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, async () => {
+        try {
+            await Promise.all([articleArchive.flush(), feedHealth.flush()]);
+        } finally {
+            process.exit(0);
+        }
+    });
 });
@@ -0,0 +1,162 @@
+// test/article-text.test.js
+// Full-text extraction against saved HTML fixtures, robots.txt parsing and matching, and the fetch rules
+// (opt-out list, robots.txt and redirects) against a local HTTP server
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'article-text');
+const ARTICLE_BODY = `<html><body><article><p>${'A paragraph of readable article text about retail media budgets. '.repeat(4)}</p></article></body></html>`;
+
+// The module reads its settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-text-'));
+process.env.DATA_DIR = dataDir;
+process.env.FULL_TEXT_EXCLUDED_DOMAINS = 'localhost';
+const { extractReadableText, excerpt, parseRobots, isAllowedByRobots, getArticleText, enrichArticles } = require('../lib/article-text');
+
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+let pageServer;
+let origin;
+const requested = [];
+
+before(async () => {
+    pageServer = http.createServer((req, res) => {
+        requested.push(req.url);
+        const redirects = {
+            '/to-allowed': '/allowed',
+            '/to-private': '/private/page',
+            '/to-excluded': `http://localhost:${pageServer.address().port}/allowed`,
+            '/loop': '/loop'
+        };
+        if (req.url === '/robots.txt') {
+            res.writeHead(200, { 'content-type': 'text/plain' });
+            return res.end('User-agent: *\nDisallow: /private/\n');
+        }
+        if (redirects[req.url]) {
+            res.writeHead(302, { location: redirects[req.url] });
+            return res.end();
+        }
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_BODY);
+    });
+    await new Promise(resolve => pageServer.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${pageServer.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => pageServer.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('retries loading the page cache after a failed read', async () => {
+    const cacheFile = path.join(dataDir, 'article-text-cache.json');
+    fs.writeFileSync(cacheFile, '{ not json');
+    await assert.rejects(getArticleText(`${origin}/allowed`), SyntaxError);
+
+    fs.writeFileSync(cacheFile, JSON.stringify({ pages: { [`${origin}/cached`]: { fetchedAt: Date.now(), text: 'From the cache.' } } }));
+    assert.deepEqual(await getArticleText(`${origin}/cached`), { text: 'From the cache.', cached: true, error: undefined });
+});
+
+test('extracts the article paragraphs of a saved page without navigation, scripts and boilerplate', () => {
+    const text = extractReadableText(readFixture('news-article.html'));
+    const blocks = text.split('\n\n');
+
+    assert.deepEqual(blocks, [
+        'Brands moved another slice of their trade marketing budgets into retail media networks this quarter, according to a survey of 300 marketing leaders.',
+        'Most respondents said closed-loop measurement was the main reason for the shift, although many still struggle to compare results across networks.',
+        'Measurement gaps remain',
+        'Marketers want standard definitions for incrementality & attribution windows before they commit larger budgets to smaller networks.',
+        'We cannot keep buying twenty networks with twenty different dashboards and twenty ways of counting a sale.'
+    ]);
+    for (const unwanted of ['dataLayer', 'renderAd', 'Sidebar teaser', 'commented-out', 'Subscribe', 'Five retail media trends', 'Related coverage', 'Chart', 'All rights reserved']) {
+        assert.ok(!text.includes(unwanted), `"${unwanted}" is not extracted`);
+    }
+});
+
+test('falls back to <main> and keeps articles that are about cookies', () => {
+    assert.equal(extractReadableText(readFixture('main-only.html')), [
+        'Cookie deprecation delayed again',
+        'The browser maker pushed back its timeline for removing third-party cookies, citing feedback from regulators and the industry.',
+        'Testing of the replacement APIs will continue for at least another two quarters.',
+        'Publishers said the delay gives them more time to build first-party data strategies but prolongs uncertainty.'
+    ].join('\n\n'));
+});
+
+test('returns an empty string when a page has no readable text', () => {
+    assert.equal(extractReadableText('<html><body><nav><p>Home · News · Opinion · Events · Podcasts · Jobs · Contact</p></nav></body></html>'), '');
+    assert.equal(extractReadableText(''), '');
+});
+
+test('shortens excerpts at a sentence or word boundary', () => {
+    const text = 'First sentence is here. Second sentence is a bit longer than the first one.';
+    assert.equal(excerpt(text, 200), text);
+    assert.equal(excerpt(text, 30), 'First sentence is here.');
+    assert.equal(excerpt('one two three four five six', 12), 'one two...');
+});
+
+test('parses robots.txt into user-agent groups', () => {
+    assert.deepEqual(parseRobots(readFixture('robots.txt')), [
+        {
+            agents: ['*'],
+            rules: [
+                { allow: false, pattern: '/private/' },
+                { allow: true, pattern: '/private/press/' },
+                { allow: false, pattern: '/*.pdf$' }
+            ]
+        },
+        {
+            agents: ['googlebot', 'thanos-feedfetcher'],
+            rules: [
+                { allow: false, pattern: '/search' },
+                { allow: true, pattern: '/search/about' },
+                { allow: false, pattern: '/drafts/' }
+            ]
+        }
+    ]);
+});
+
+test('applies the group naming our user agent, where the longest matching rule wins', () => {
+    const groups = parseRobots(readFixture('robots.txt'));
+
+    assert.equal(isAllowedByRobots(groups, '/search?q=cookies'), false);
+    assert.equal(isAllowedByRobots(groups, '/search/about'), true);
+    assert.equal(isAllowedByRobots(groups, '/drafts/story'), false);
+    // The "*" group does not apply when a group names our user agent
+    assert.equal(isAllowedByRobots(groups, '/private/report'), true);
+    assert.equal(isAllowedByRobots(groups, '/news/story'), true);
+});
+
+test('falls back to the "*" group, with wildcards, end anchors and Allow winning ties', () => {
+    const groups = parseRobots('User-agent: *\nDisallow: /private/\nAllow: /private/press/\nDisallow: /*.pdf$\nDisallow: /tie\nAllow: /tie\n');
+
+    assert.equal(isAllowedByRobots(groups, '/private/report'), false);
+    assert.equal(isAllowedByRobots(groups, '/private/press/release'), true);
+    assert.equal(isAllowedByRobots(groups, '/files/report.pdf'), false);
+    assert.equal(isAllowedByRobots(groups, '/files/report.pdf?download=1'), true);
+    assert.equal(isAllowedByRobots(groups, '/tie'), true);
+    assert.equal(isAllowedByRobots([], '/anything'), true);
+});
+
+test('follows redirects one hop at a time, checking robots.txt and the opt-out list on each', async () => {
+    const allowed = await getArticleText(`${origin}/to-allowed`);
+    assert.match(allowed.text, /readable article text/);
+
+    assert.equal((await getArticleText(`${origin}/to-private`)).error, 'Disallowed by robots.txt');
+    assert.ok(!requested.includes('/private/page'), 'the disallowed redirect target is never requested');
+    assert.equal((await getArticleText(`${origin}/to-excluded`)).error, 'Excluded domain');
+    assert.equal((await getArticleText(`${origin}/loop`)).error, 'More than 5 redirects');
+});
+
+test('skips malformed and excluded links instead of failing', async () => {
+    const stats = await enrichArticles([
+        { link: 'https://[malformed' },
+        { link: 'ftp://example.com/file' },
+        { link: `http://localhost:${pageServer.address().port}/allowed` }
+    ]);
+    assert.deepEqual(stats, { enriched: 0, cached: 0, failed: 0, skipped: 3 });
+});
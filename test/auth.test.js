@@ -0,0 +1,198 @@
+// test/auth.test.js
+// Accounts, sessions, roles, sign-in rate limits and regeneration quotas: lib/auth.js directly, then the server's
+// auth routes end to end with a model endpoint that always fails
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listen, serveFeeds, createWorkDir, startServer, stopServer } = require('./helpers');
+
+// The module reads its settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+Object.assign(process.env, { DATA_DIR: dataDir, AUTH_ENABLED: 'true', AUTH_SESSION_SECRET: 'test-secret' });
+delete process.env.USERS_FILE;
+delete process.env.REGENERATION_DAILY_QUOTA;
+const auth = require('../lib/auth');
+
+const ADMIN_PASSWORD = 'admin-password';
+
+/**
+ * Resolves the user of a request carrying the given Cookie header through the authenticate middleware.
+ * @param {string} cookie
+ * @returns {Promise<object|null>}
+ */
+async function userForCookie(cookie) {
+    const req = { get: name => (name.toLowerCase() === 'cookie' ? cookie : undefined) };
+    await new Promise((resolve, reject) => auth.authenticate(req, {}, error => (error ? reject(error) : resolve())));
+    return req.user;
+}
+
+const sessionCookie = user => `${auth.SESSION_COOKIE}=${auth.createSession(user)}`;
+
+/**
+ * Runs a requireRole middleware and reports whether it let the request through, or the status it answered.
+ * @param {string} role
+ * @param {object|null} user
+ * @returns {true|number}
+ */
+function gate(role, user) {
+    let status = null;
+    let passed = false;
+    const res = { status: code => ({ json: () => { status = code; } }) };
+    auth.requireRole(role)({ user }, res, () => { passed = true; });
+    return passed || status;
+}
+
+let viewer;
+let editor;
+
+before(async () => {
+    viewer = await auth.createUser({ username: 'Viewer.One', password: 'viewer-password' });
+    editor = await auth.createUser({ username: 'editor', password: 'editor-password', role: 'editor', dailyQuota: 2 });
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('stores salted scrypt hashes and verifies passwords', async () => {
+    const stored = (await auth.loadUsers()).find(user => user.id === viewer.id);
+    assert.match(stored.passwordHash, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    assert.ok(!stored.passwordHash.includes('viewer-password'));
+    assert.equal(viewer.username, 'viewer.one');
+    assert.equal(viewer.role, 'viewer');
+    assert.equal(viewer.passwordHash, undefined, 'public users carry no hash');
+
+    assert.equal((await auth.verifyCredentials('VIEWER.ONE', 'viewer-password')).id, viewer.id);
+    assert.equal(await auth.verifyCredentials('viewer.one', 'wrong-password'), null);
+    assert.equal(await auth.verifyCredentials('nobody', 'viewer-password'), null);
+    await assert.rejects(auth.createUser({ username: 'short', password: 'short' }), { statusCode: 400 });
+    await assert.rejects(auth.createUser({ username: 'viewer.one', password: 'another-password' }), { statusCode: 409 });
+});
+
+test('accepts signed session cookies and rejects tampered, foreign or outdated ones', async () => {
+    const cookie = sessionCookie(viewer);
+    assert.equal((await userForCookie(cookie)).id, viewer.id);
+
+    const [payload, signature] = cookie.split('=')[1].split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, u: editor.id })).toString('base64url');
+    assert.equal(await userForCookie(`${auth.SESSION_COOKIE}=${forged}.${signature}`), null, 'changed payload');
+    assert.equal(await userForCookie(`${auth.SESSION_COOKIE}=${payload}.${signature.slice(0, -2)}AA`), null, 'changed signature');
+    assert.equal(await userForCookie(`${auth.SESSION_COOKIE}=${payload}`), null, 'no signature');
+    assert.equal(await userForCookie('other=1'), null);
+
+    await auth.updateUser(viewer.id, { password: 'new-viewer-password' });
+    assert.equal(await userForCookie(cookie), null, 'a password change ends existing sessions');
+    assert.equal((await userForCookie(sessionCookie(await auth.verifyCredentials('viewer.one', 'new-viewer-password')))).id, viewer.id);
+});
+
+test('gates routes by role', () => {
+    const admin = { role: 'admin' };
+    assert.equal(gate('viewer', { role: 'viewer' }), true);
+    assert.equal(gate('editor', { role: 'viewer' }), 403);
+    assert.equal(gate('editor', { role: 'editor' }), true);
+    assert.equal(gate('admin', { role: 'editor' }), 403);
+    assert.equal(gate('admin', admin), true);
+    assert.equal(gate('viewer', null), 401);
+    assert.equal(auth.hasRole({ role: 'unknown' }, 'viewer'), false);
+});
+
+test('limits failed sign-ins per username and per client IP', () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        auth.assertLoginAllowed('10.0.0.1', 'Target');
+        auth.recordLoginFailure('10.0.0.1', 'target');
+    }
+    assert.throws(() => auth.assertLoginAllowed('10.0.0.2', 'TARGET'), error => {
+        assert.equal(error.statusCode, 429);
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 15 * 60);
+        return true;
+    });
+    auth.assertLoginAllowed('10.0.0.1', 'someone-else');
+
+    auth.clearLoginFailures('target');
+    auth.assertLoginAllowed('10.0.0.2', 'target');
+
+    for (let attempt = 0; attempt < 15; attempt++) auth.recordLoginFailure('10.0.0.1', `user-${attempt}`);
+    assert.throws(() => auth.assertLoginAllowed('10.0.0.1', 'fresh-user'), { statusCode: 429 });
+    auth.assertLoginAllowed('10.0.0.3', 'fresh-user');
+});
+
+test('reserves regenerations up to the daily quota and gives released ones back', async () => {
+    const first = await auth.reserveRegeneration(editor);
+    await auth.reserveRegeneration(editor);
+    await assert.rejects(auth.reserveRegeneration(editor), { statusCode: 429 });
+    assert.deepEqual(await auth.getQuotaStatus(editor), { used: 2, limit: 2, remaining: 0 });
+
+    await first();
+    await first();
+    assert.deepEqual(await auth.getQuotaStatus(editor), { used: 1, limit: 2, remaining: 1 }, 'a release counts once');
+
+    const concurrent = await Promise.allSettled([auth.reserveRegeneration(editor), auth.reserveRegeneration(editor)]);
+    assert.deepEqual(concurrent.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal((await auth.getQuotaStatus(editor)).used, 2);
+});
+
+test('the server gates generation, limits sign-ins and returns the quota of failed generations', async t => {
+    const { server: feedServer, origin } = await serveFeeds({ '/news.xml': ['Retail media budgets grow', 'CTV prices fall'] });
+    const { server: modelServer, origin: modelOrigin } = await listen((req, res) => {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'model unavailable' } }));
+    });
+    const { workDir } = createWorkDir('auth-server-', {
+        sections: [{ id: 'news-feed', label: 'News', emoji: '📰' }],
+        feeds: [{ id: 'news', url: `${origin}/news.xml`, name: 'News Fixture', section: 'news-feed', enabled: true, limit: 10 }]
+    });
+    const { child, baseUrl } = await startServer(workDir, {
+        AUTH_ENABLED: 'true',
+        AUTH_ADMIN_PASSWORD: ADMIN_PASSWORD,
+        AUTH_SESSION_SECRET: 'server-secret',
+        LLM_PROVIDER: 'openai-compatible',
+        LLM_BASE_URL: modelOrigin,
+        LLM_MODEL: 'test-model',
+        LLM_MAX_ATTEMPTS: '1'
+    });
+    t.after(async () => {
+        await stopServer(child);
+        await new Promise(resolve => feedServer.close(resolve));
+        await new Promise(resolve => modelServer.close(resolve));
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    const post = (route, body, cookie) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+        body: JSON.stringify(body)
+    });
+    const signIn = async (username, password) => {
+        const response = await post('/api/auth/login', { username, password });
+        assert.equal(response.status, 200);
+        return response.headers.get('set-cookie').split(';')[0];
+    };
+    const me = async cookie => (await fetch(`${baseUrl}/api/auth/me`, { headers: { cookie } })).json();
+
+    assert.equal((await fetch(`${baseUrl}/api/feeds?id=news`)).status, 401);
+    assert.equal((await post('/api/auth/logout', {})).status, 200, 'signing out needs no session');
+
+    const adminCookie = await signIn('admin', ADMIN_PASSWORD);
+    assert.equal((await post('/api/users', { username: 'reader', password: 'reader-password' }, adminCookie)).status, 201);
+    assert.equal((await post('/api/users', { username: 'writer', password: 'writer-password', role: 'editor', dailyQuota: 1 }, adminCookie)).status, 201);
+
+    const readerCookie = await signIn('reader', 'reader-password');
+    assert.equal((await post('/api/summarize-news', { forceRegenerate: true }, readerCookie)).status, 403);
+    assert.equal((await post('/api/ask', { question: 'CTV prices?' }, readerCookie)).status, 403);
+    assert.equal((await post('/api/users', { username: 'sneaky', password: 'sneaky-password' }, readerCookie)).status, 403);
+
+    const writerCookie = await signIn('writer', 'writer-password');
+    const failed = await post('/api/summarize-news', { forceRegenerate: true }, writerCookie);
+    assert.equal(failed.status, 500);
+    assert.match((await failed.json()).error, /model unavailable/);
+    assert.deepEqual((await me(writerCookie)).quota, { used: 0, limit: 1, remaining: 1 }, 'the failed generation is not counted');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await post('/api/auth/login', { username: 'writer', password: 'wrong-password' })).status, 401);
+    }
+    const limited = await post('/api/auth/login', { username: 'writer', password: 'writer-password' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
@@ -0,0 +1,93 @@
+// test/cron.test.js
+// Cron expression parsing, day matching and next runs in IANA time zones, including daylight-saving transitions
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, parseCron, isDue, nextRun } = require('../lib/cron');
+
+const NEW_YORK = 'America/New_York';
+const at = iso => Date.parse(iso);
+const iso = time => new Date(time).toISOString();
+const values = set => [...set].sort((a, b) => a - b);
+
+/**
+ * The next `count` runs after `from`, as ISO strings.
+ * @param {string} expression
+ * @param {string} timeZone
+ * @param {string} from ISO instant
+ * @param {number} count
+ * @returns {string[]}
+ */
+function nextRuns(expression, timeZone, from, count) {
+    const schedule = parseCron(expression);
+    const runs = [];
+    let time = at(from);
+    while (runs.length < count) {
+        time = nextRun(schedule, timeZone, time);
+        runs.push(iso(time));
+    }
+    return runs;
+}
+
+test('parses lists, ranges, steps, names and macros', () => {
+    const schedule = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+    assert.deepEqual(values(schedule.minute), [0, 15, 30, 45]);
+    assert.deepEqual(values(schedule.hour), [9, 13, 17]);
+    assert.deepEqual(values(schedule.dayOfMonth), [1, 15]);
+    assert.deepEqual(values(schedule.month), [1, 2, 3]);
+    assert.deepEqual(values(schedule.dayOfWeek), [1, 2, 3, 4, 5]);
+
+    assert.deepEqual(values(parseCron('5/20 * * * *').minute), [5, 25, 45]);
+    assert.deepEqual(values(parseCron('0 0 * * 7').dayOfWeek), [0], '7 is Sunday');
+    const daily = parseCron('@DAILY');
+    assert.deepEqual([values(daily.minute), values(daily.hour), daily.dayOfMonth.size], [[0], [0], 31]);
+});
+
+test('rejects malformed expressions', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8',
+        '*/0 * * * *', '5-1 * * * *', '* * * foo *', '1.5 * * * *']) {
+        assert.throws(() => parseCron(expression), Error, expression);
+    }
+});
+
+test('only a day field that does not start with "*" restricts the day', () => {
+    assert.deepEqual([parseCron('0 9 1 * mon').restrictsDayOfMonth, parseCron('0 9 1 * mon').restrictsDayOfWeek], [true, true]);
+    assert.deepEqual([parseCron('0 9 */2 * mon').restrictsDayOfMonth, parseCron('0 9 */2 * mon').restrictsDayOfWeek], [false, true]);
+    assert.equal(parseCron('0 9 * * */2').restrictsDayOfWeek, false);
+
+    // Both restricted: the 1st or any Monday (2026-06-01 is a Monday, 2026-07-01 a Wednesday)
+    assert.deepEqual(nextRuns('0 9 1 * mon', 'UTC', '2026-06-28T00:00:00Z', 3),
+        ['2026-06-29T09:00:00.000Z', '2026-07-01T09:00:00.000Z', '2026-07-06T09:00:00.000Z']);
+    // "*/2" only narrows the Mondays to odd dates
+    assert.deepEqual(nextRuns('0 9 */2 * mon', 'UTC', '2026-06-01T10:00:00Z', 2),
+        ['2026-06-15T09:00:00.000Z', '2026-06-29T09:00:00.000Z']);
+});
+
+test('finds the next run, including February 29', () => {
+    assert.equal(iso(nextRun(parseCron('*/30 * * * *'), 'UTC', at('2026-05-01T10:29:59Z'))), '2026-05-01T10:30:00.000Z');
+    assert.equal(iso(nextRun(parseCron('*/30 * * * *'), 'UTC', at('2026-05-01T10:30:00Z'))), '2026-05-01T11:00:00.000Z');
+    assert.equal(iso(nextRun(parseCron('0 0 29 2 *'), 'UTC', at('2026-03-01T00:00:00Z'))), '2028-02-29T00:00:00.000Z');
+    assert.equal(nextRun(parseCron('0 0 31 2 *'), 'UTC', at('2026-03-01T00:00:00Z')), null);
+});
+
+test('keeps the local wall-clock time across daylight-saving changes', () => {
+    // New York moves from EST (UTC-5) to EDT (UTC-4) on 2026-03-08 and back on 2026-11-01
+    assert.deepEqual(nextRuns('0 12 * * *', NEW_YORK, '2026-03-07T00:00:00Z', 2), ['2026-03-07T17:00:00.000Z', '2026-03-08T16:00:00.000Z']);
+    assert.deepEqual(nextRuns('0 12 * * *', NEW_YORK, '2026-10-31T00:00:00Z', 2), ['2026-10-31T16:00:00.000Z', '2026-11-01T17:00:00.000Z']);
+});
+
+test('skips local times that do not exist and runs repeated ones once', () => {
+    // 02:30 does not exist on 2026-03-08 in New York
+    assert.deepEqual(nextRuns('30 2 * * *', NEW_YORK, '2026-03-07T12:00:00Z', 2), ['2026-03-09T06:30:00.000Z', '2026-03-10T06:30:00.000Z']);
+    // 01:30 happens twice on 2026-11-01 (EDT, then EST); only the first one runs
+    assert.deepEqual(nextRuns('30 1 * * *', NEW_YORK, '2026-10-31T12:00:00Z', 2), ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+    assert.equal(isDue(parseCron('30 1 * * *'), NEW_YORK, at('2026-11-01T05:30:00Z')), true);
+    assert.equal(isDue(parseCron('30 1 * * *'), NEW_YORK, at('2026-11-01T06:30:00Z')), false);
+});
+
+test('validates IANA time zones', () => {
+    assert.equal(isValidTimeZone(NEW_YORK), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+});
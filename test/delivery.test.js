@@ -0,0 +1,184 @@
+// test/delivery.test.js
+// Digest delivery: channel validation, Slack/Teams/JSON payloads, and which webhook and SMTP failures are retried,
+// against local HTTP and SMTP servers
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { listen } = require('./helpers');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-'));
+process.env.DATA_DIR = dataDir;
+const { validateChannel, withRetry } = require('../lib/delivery');
+const { buildPayload, postWebhook } = require('../lib/delivery/webhook');
+const { sendEmail } = require('../lib/delivery/email');
+
+const DIGEST = {
+    subject: 'T.H.A.N.O.S. AI Strategy Summary: Mortgage CMO (Oct 19, 2026)',
+    markdown: '## 📈 Market Moves\n\n* **Retail media** keeps growing ([AdWeek](https://example.com/a))\n\n## ⚙️ Ad Tech\n\n- CTV prices fall',
+    generatedAt: 'Oct 19, 2026',
+    link: 'https://dashboard.example.com/'
+};
+const RECORD = { id: '1-mortgage-cmo', kind: 'daily', timestamp: 1792400000000, profile: 'mortgage-cmo', model: 'test-model', articles: [{}, {}] };
+
+const permanentError = message => Object.assign(new Error(message), { permanent: true });
+
+// --- A local SMTP server answering RCPT TO with the reply set per test ---
+
+let smtpServer;
+let rcptReply = '250 OK';
+const received = [];
+
+before(async () => {
+    smtpServer = net.createServer(socket => {
+        let data = false;
+        let buffer = '';
+        socket.write('220 localhost test SMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data) {
+                    if (line === '.') {
+                        data = false;
+                        received.push(true);
+                        socket.write('250 Queued\r\n');
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    socket.write('250 localhost\r\n');
+                } else if (/^MAIL FROM/i.test(line)) {
+                    socket.write('250 OK\r\n');
+                } else if (/^RCPT TO/i.test(line)) {
+                    socket.write(`${rcptReply}\r\n`);
+                } else if (/^DATA/i.test(line)) {
+                    data = true;
+                    socket.write('354 Go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+    await new Promise(resolve => smtpServer.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('validates email and webhook channels', () => {
+    assert.deepEqual(validateChannel({ id: 'team', name: ' Team ', type: 'email', recipients: [' cmo@example.com '] }),
+        { id: 'team', name: 'Team', type: 'email', enabled: true, profiles: [], recipients: ['cmo@example.com'] });
+    assert.deepEqual(validateChannel({ id: 'slack', name: 'Slack', type: 'webhook', format: 'slack', urlEnv: 'SLACK_WEBHOOK_URL', enabled: false }),
+        { id: 'slack', name: 'Slack', type: 'webhook', enabled: false, profiles: [], format: 'slack', urlEnv: 'SLACK_WEBHOOK_URL' });
+    assert.equal(validateChannel({ name: 'Hook', type: 'webhook', format: 'json', url: 'https://hooks.example.com/x' }).url, 'https://hooks.example.com/x');
+
+    const invalid = [
+        { name: '', type: 'email', recipients: ['a@example.com'] },
+        { name: 'Fax', type: 'fax' },
+        { name: 'Team', type: 'email', recipients: [] },
+        { name: 'Team', type: 'email', recipients: ['not-an-address'] },
+        { name: 'Team', type: 'email', recipients: Array(51).fill('a@example.com') },
+        { name: 'Team', type: 'email', recipients: ['a@example.com'], profiles: 'mortgage-cmo' },
+        { name: 'Hook', type: 'webhook', format: 'xml', url: 'https://hooks.example.com/x' },
+        { name: 'Hook', type: 'webhook', format: 'json', url: 'ftp://hooks.example.com/x' },
+        { name: 'Hook', type: 'webhook', format: 'json', urlEnv: 'lower-case' }
+    ];
+    invalid.forEach(channel => assert.throws(() => validateChannel(channel), { statusCode: 400 }, JSON.stringify(channel)));
+});
+
+test('builds Slack payloads in mrkdwn within the block and section limits', () => {
+    const payload = buildPayload('slack', DIGEST, RECORD);
+    assert.equal(payload.text, DIGEST.subject);
+    assert.deepEqual(payload.blocks[0], { type: 'header', text: { type: 'plain_text', text: DIGEST.subject } });
+    assert.deepEqual(payload.blocks.slice(1, -1).map(block => block.text.text), [
+        '*📈 Market Moves*\n\n• *Retail media* keeps growing (<https://example.com/a|AdWeek>)',
+        '*⚙️ Ad Tech*\n\n• CTV prices fall'
+    ]);
+    assert.match(payload.blocks.at(-1).elements[0].text, /test-model · <https:\/\/dashboard\.example\.com\/\|Open the dashboard>/);
+
+    const long = buildPayload('slack', { ...DIGEST, subject: 'S'.repeat(200), markdown: Array.from({ length: 80 }, (_, i) => `## Section ${i}\n${'word '.repeat(1000)}`).join('\n') }, RECORD);
+    assert.equal(long.blocks.length, 50, 'header, 48 sections and the context block');
+    assert.equal(long.blocks[0].text.text.length, 150);
+    long.blocks.filter(block => block.type === 'section').forEach(block => assert.ok(block.text.text.length <= 3000));
+});
+
+test('builds Teams Adaptive Cards and generic JSON payloads', () => {
+    const teams = buildPayload('teams', DIGEST, RECORD);
+    const card = teams.attachments[0].content;
+    assert.equal(teams.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+    assert.equal(card.body[0].text, DIGEST.subject);
+    assert.match(card.body[1].text, /^\*\*📈 Market Moves\*\*/m, 'headings become bold lines');
+    assert.deepEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Open the dashboard', url: DIGEST.link }]);
+
+    const json = buildPayload('json', DIGEST, RECORD);
+    assert.equal(json.event, 'summary.generated');
+    assert.deepEqual({ ...json.summary, text: undefined }, {
+        id: RECORD.id, kind: 'daily', timestamp: RECORD.timestamp, profile: 'mortgage-cmo', model: 'test-model',
+        articleCount: 2, markdown: DIGEST.markdown, text: undefined, structured: null
+    });
+    assert.match(json.summary.text, /^📈 MARKET MOVES$/m);
+    assert.match(json.summary.text, /Retail media keeps growing \(AdWeek \(https:\/\/example\.com\/a\)\)/);
+});
+
+test('retries until success, a permanent error or the last attempt', async () => {
+    let calls = 0;
+    const flaky = () => (++calls < 3 ? Promise.reject(new Error('timeout')) : Promise.resolve(200));
+    assert.deepEqual(await withRetry(flaky, { baseDelayMs: 1 }), { attempts: 3, result: 200 });
+
+    calls = 0;
+    const rejected = await withRetry(() => { calls++; return Promise.reject(permanentError('HTTP 404')); }, { baseDelayMs: 1 });
+    assert.deepEqual([rejected.attempts, rejected.error.message, calls], [1, 'HTTP 404', 1]);
+
+    const exhausted = await withRetry(() => Promise.reject(new Error('HTTP 503')), { maxAttempts: 2, baseDelayMs: 1 });
+    assert.deepEqual([exhausted.attempts, exhausted.error.message], [2, 'HTTP 503']);
+});
+
+test('classifies webhook responses: 408, 429 and 5xx can be retried, other 4xx are permanent', async t => {
+    const { server, origin } = await listen((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const status = parseInt(req.url.slice(1), 10);
+            res.writeHead(status, { 'content-type': 'text/plain' });
+            res.end(status === 200 ? 'ok' : `rejected ${JSON.parse(body).event}`);
+        });
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    assert.equal(await postWebhook(`${origin}/200`, { event: 'test' }), 200);
+    for (const [status, permanent] of [[400, true], [404, true], [408, false], [429, false], [500, false], [503, false]]) {
+        await assert.rejects(postWebhook(`${origin}/${status}`, { event: 'test' }), error => {
+            assert.equal(error.permanent, permanent, `HTTP ${status}`);
+            assert.match(error.message, new RegExp(`HTTP ${status}: rejected test`));
+            return true;
+        });
+    }
+    await assert.rejects(postWebhook('http://127.0.0.1:1/', {}), error => !error.permanent);
+});
+
+test('classifies SMTP failures: rejected recipients are permanent, temporary replies can be retried', async () => {
+    const message = { to: ['cmo@example.com'], subject: 'Digest', text: 'Text', html: '<p>Text</p>' };
+    delete process.env.SMTP_HOST;
+    await assert.rejects(sendEmail(message), { permanent: true, message: 'SMTP_HOST is not set.' });
+
+    Object.assign(process.env, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtpServer.address().port), SMTP_SECURE: 'false' });
+    delete process.env.SMTP_USER;
+    assert.ok(await sendEmail(message));
+    assert.equal(received.length, 1);
+
+    rcptReply = '550 5.1.1 No such user';
+    await assert.rejects(sendEmail(message), error => error.permanent === true && error.responseCode === 550);
+
+    rcptReply = '451 4.3.0 Try again later';
+    await assert.rejects(sendEmail(message), error => !error.permanent && error.responseCode === 451);
+});
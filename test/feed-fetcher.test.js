@@ -0,0 +1,109 @@
+// test/feed-fetcher.test.js
+// Server-side feed parsing of saved RSS 2.0, Atom and RDF documents, and fetching with conditional GET, timeouts,
+// size caps and HTTP errors against a local server
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { listen } = require('./helpers');
+
+// The module reads its settings at load time
+process.env.FEED_MAX_BYTES = '4096';
+const { parseFeed, fetchFeed, getCachedItems, USER_AGENT } = require('../lib/feed-fetcher');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'feeds');
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+let server;
+let origin;
+const requests = [];
+
+before(async () => {
+    ({ server, origin } = await listen((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        if (req.url === '/feed.xml') {
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304);
+                return res.end();
+            }
+            res.writeHead(200, { 'content-type': 'application/rss+xml', etag: '"v1"' });
+            return res.end(readFixture('rss.xml'));
+        }
+        if (req.url === '/slow.xml') return setTimeout(() => res.end(readFixture('rss.xml')), 1000);
+        if (req.url === '/huge.xml') {
+            res.writeHead(200, { 'content-type': 'application/rss+xml' });
+            return res.end(readFixture('rss.xml').replace('<item>', `<item><!-- ${'x'.repeat(8192)} -->`));
+        }
+        if (req.url === '/page.html') {
+            res.writeHead(200, { 'content-type': 'text/html' });
+            return res.end('<html><body>Not a feed</body></html>');
+        }
+        res.writeHead(503);
+        res.end();
+    }));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('parses RSS 2.0 items with CDATA, guid links, authors, categories and enclosures', () => {
+    const { format, feed, items } = parseFeed(readFixture('rss.xml'));
+    assert.equal(format, 'rss');
+    assert.deepEqual(feed, { title: 'Marketing Dive', link: 'https://www.marketingdive.com/', description: 'Marketing news and analysis' });
+    assert.deepEqual(items[0], {
+        title: 'Brands shift budgets to retail media & CTV',
+        link: 'https://www.marketingdive.com/news/retail-media-budgets/',
+        pubDate: '2026-10-19T13:30:00.000Z',
+        description: '<p>Marketers are moving <b>trade budgets</b> into retail media.</p>',
+        content: '<p>The full story.</p>',
+        author: 'Jane Doe',
+        categories: ['Retail Media', 'Budgets'],
+        enclosure: { url: 'https://cdn.example.com/chart.png', type: 'image/png', length: 2048 }
+    });
+    assert.equal(items[1].link, 'https://www.marketingdive.com/news/guid-only/');
+    assert.equal(items[1].pubDate, null);
+});
+
+test('parses Atom entries with alternate links, several authors and published or updated dates', () => {
+    const { format, feed, items } = parseFeed(readFixture('atom.xml'));
+    assert.equal(format, 'atom');
+    assert.deepEqual(feed, { title: 'AdExchanger', link: 'https://www.adexchanger.com/', description: 'Programmatic advertising news' });
+    assert.equal(items[0].link, 'https://www.adexchanger.com/clean-rooms/');
+    assert.equal(items[0].pubDate, '2026-10-19T02:15:00.000Z', 'published wins over updated');
+    assert.equal(items[0].author, 'Sam Smith, Alex Lee');
+    assert.deepEqual(items[0].categories, ['Data', 'Privacy']);
+    assert.deepEqual(items[0].enclosure, { url: 'https://cdn.example.com/podcast.mp3', type: 'audio/mpeg', length: 4096 });
+    assert.equal(items[1].pubDate, '2026-10-17T08:00:00.000Z');
+    assert.equal(items[1].description, 'Content used as the description.');
+});
+
+test('parses RSS 1.0 (RDF) items and rejects other documents', () => {
+    const { format, items } = parseFeed(readFixture('rdf.xml'));
+    assert.equal(format, 'rdf');
+    assert.deepEqual(items.map(item => [item.title, item.link, item.pubDate, item.author, item.categories]), [
+        ['Loyalty programs get personal', 'https://news.example.org/story-1', '2026-10-16T12:00:00.000Z', 'Pat Kim', ['Loyalty']]
+    ]);
+    assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Unrecognized feed format/);
+});
+
+test('fetches with conditional GET and serves unchanged feeds from the cache', async () => {
+    const url = `${origin}/feed.xml`;
+    assert.equal(getCachedItems(url), null);
+
+    const first = await fetchFeed(url);
+    assert.deepEqual([first.status, first.notModified, first.items.length], [200, false, 2]);
+    assert.equal(requests.at(-1).headers['user-agent'], USER_AGENT);
+
+    const second = await fetchFeed(url);
+    assert.deepEqual([second.status, second.notModified], [304, true]);
+    assert.equal(requests.at(-1).headers['if-none-match'], '"v1"');
+    assert.deepEqual(second.items, first.items);
+    assert.deepEqual(getCachedItems(url), first.items);
+});
+
+test('fails on HTTP errors, timeouts, oversized bodies and documents that are not feeds', async () => {
+    await assert.rejects(fetchFeed(`${origin}/missing.xml`), { message: 'HTTP 503', httpStatus: 503 });
+    await assert.rejects(fetchFeed(`${origin}/slow.xml`, { timeoutMs: 100 }), { message: 'Timed out after 100ms' });
+    await assert.rejects(fetchFeed(`${origin}/huge.xml`), { message: 'Feed is larger than 4096 bytes', httpStatus: 200 });
+    await assert.rejects(fetchFeed(`${origin}/page.html`), { message: /Unrecognized feed format/, httpStatus: 200 });
+});
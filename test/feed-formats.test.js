@@ -0,0 +1,115 @@
+// test/feed-formats.test.js
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 output of one feed model, read back with the feed parser, and the models of
+// the per-section article feeds and the summary feeds
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-formats-'));
+process.env.DATA_DIR = dataDir;
+process.env.FEED_BASE_URL = 'https://thanos.example.com//';
+const { FORMATS, getBaseUrl, formatForExtension, buildRSS, buildAtom, buildJSONFeed } = require('../lib/feed-formats');
+const { parseFeed } = require('../lib/feed-fetcher');
+const { buildSectionFeed } = require('../lib/section-feeds');
+const { buildSummaryFeed } = require('../lib/summary-feeds');
+
+const SECTION = { id: 'ad-tech-feed', label: 'Ad Tech' };
+const ARTICLES = [
+    {
+        title: 'Old <b>news</b>', link: 'https://news.example.com/old', description: 'Older story', source: 'Digiday',
+        pubDate: '2026-10-10T00:00:00Z'
+    },
+    {
+        title: 'CTV & retail media', link: 'https://news.example.com/ctv', description: 'Prices fall ]]> further', source: 'AdWeek',
+        author: 'Jane Doe', pubDate: '2026-10-18T10:00:00Z', categories: ['CTV'],
+        related: [{ title: 'Same story', link: 'https://other.example.com/ctv', source: 'Digiday' }, { title: 'Bad', link: 'javascript:alert(1)', source: 'X' }]
+    },
+    { title: 'Not a web link', link: 'ftp://news.example.com/file', description: '', source: 'FTP' }
+];
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('resolves links against FEED_BASE_URL and maps file extensions to formats', () => {
+    assert.equal(getBaseUrl(), 'https://thanos.example.com');
+    assert.deepEqual(['xml', 'atom', 'json', 'html'].map(formatForExtension), ['rss', 'atom', 'json', null]);
+    assert.equal(FORMATS.json.contentType, 'application/feed+json; charset=utf-8');
+});
+
+test('builds section feeds of web links, newest first, with related coverage', () => {
+    const feed = buildSectionFeed(SECTION, ARTICLES);
+    assert.equal(feed.title, 'T.H.A.N.O.S. - Ad Tech');
+    assert.deepEqual(feed.feedUrls, {
+        rss: 'https://thanos.example.com/feeds/ad-tech-feed.xml',
+        atom: 'https://thanos.example.com/feeds/ad-tech-feed.atom',
+        json: 'https://thanos.example.com/feeds/ad-tech-feed.json'
+    });
+    assert.deepEqual(feed.items.map(item => item.url), ['https://news.example.com/ctv', 'https://news.example.com/old']);
+    assert.equal(feed.updated, Date.parse('2026-10-18T10:00:00Z'));
+
+    const [item] = feed.items;
+    assert.deepEqual(item.authors, ['Jane Doe (AdWeek)']);
+    assert.deepEqual(item.tags, ['CTV']);
+    assert.match(item.contentHtml, /<a href="https:\/\/other\.example\.com\/ctv">Same story<\/a> \(Digiday\)/);
+    assert.doesNotMatch(item.contentHtml, /javascript:/);
+});
+
+test('writes RSS 2.0 and Atom 1.0 that read back as the same items', () => {
+    const feed = buildSectionFeed(SECTION, ARTICLES);
+
+    const rss = parseFeed(buildRSS(feed));
+    assert.equal(rss.format, 'rss');
+    assert.deepEqual(rss.feed, { title: feed.title, link: 'https://thanos.example.com/', description: feed.description });
+    assert.deepEqual(rss.items[0], {
+        title: 'CTV & retail media',
+        link: 'https://news.example.com/ctv',
+        pubDate: '2026-10-18T10:00:00.000Z',
+        description: 'Prices fall ]]> further',
+        content: feed.items[0].contentHtml,
+        author: 'Jane Doe (AdWeek)',
+        categories: ['CTV'],
+        enclosure: null
+    });
+    assert.equal(rss.items[1].title, 'Old <b>news</b>', 'titles are escaped, not markup');
+
+    const atom = parseFeed(buildAtom(feed));
+    assert.equal(atom.format, 'atom');
+    assert.equal(atom.feed.link, 'https://thanos.example.com/');
+    assert.deepEqual(atom.items.map(item => [item.title, item.link, item.pubDate, item.author, item.content]), [
+        ['CTV & retail media', 'https://news.example.com/ctv', '2026-10-18T10:00:00.000Z', 'Jane Doe (AdWeek)', feed.items[0].contentHtml],
+        ['Old <b>news</b>', 'https://news.example.com/old', '2026-10-10T00:00:00.000Z', 'Digiday', feed.items[1].contentHtml]
+    ]);
+});
+
+test('writes JSON Feed 1.1 and leaves out empty optional fields', () => {
+    const feed = buildSectionFeed(SECTION, ARTICLES);
+    const document = JSON.parse(buildJSONFeed(feed));
+    assert.equal(document.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(document.feed_url, 'https://thanos.example.com/feeds/ad-tech-feed.json');
+    assert.deepEqual(document.items[0].authors, [{ name: 'Jane Doe (AdWeek)' }]);
+    assert.equal(document.items[0].date_published, '2026-10-18T10:00:00.000Z');
+    assert.equal('tags' in document.items[1], false);
+});
+
+test('builds the summary feed with one item per summary, linking to the server pages', () => {
+    const records = [
+        { id: '1792400000000-mortgage-cmo', kind: 'weekly-rollup', timestamp: 1792400000000, model: 'test-model', profile: 'mortgage-cmo',
+            summary: '## Week', rollup: { from: 1, to: 2, summaries: ['a', 'b'] } },
+        { id: '1792300000000-mortgage-cmo', kind: 'daily', timestamp: 1792300000000, model: 'test-model', profile: 'mortgage-cmo',
+            summary: '## Trends\n\n- CTV grows [1]', articles: [{ title: 'CTV', link: 'https://news.example.com/ctv', source: 'AdWeek' }] }
+    ];
+    const feed = buildSummaryFeed(records, { throttleMinutes: 60 });
+    assert.equal(feed.homePageUrl, 'https://thanos.example.com/');
+    assert.equal(feed.updated, 1792400000000);
+    assert.deepEqual(feed.items.map(item => [item.id, item.url, item.tags]), [
+        ['adtech-weekly-rollup-1792400000000-mortgage-cmo', 'https://thanos.example.com/summaries/1792400000000-mortgage-cmo.html', ['mortgage-cmo', 'weekly-rollup']],
+        ['adtech-summary-1792300000000-mortgage-cmo', 'https://thanos.example.com/summaries/1792300000000-mortgage-cmo.html', ['mortgage-cmo']]
+    ]);
+    assert.match(feed.items[0].title, /^Weekly Rollup - AdTech & Marketing News \(week ending Oct 19, 2026\)$/);
+    assert.match(feed.items[0].contentText, /\*\*Daily summaries rolled up\*\*: 2/);
+    assert.match(feed.items[1].contentHtml, /CTV grows \(<a href="https:\/\/news\.example\.com\/ctv"[^>]*>AdWeek<\/a>\)/);
+    assert.match(feed.items[1].contentText, /\*\*Throttling\*\*: .* every 60 minutes\.$/);
+});
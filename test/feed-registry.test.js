@@ -0,0 +1,86 @@
+// test/feed-registry.test.js
+// The persisted feed registry: ids, URL validation, duplicate detection across URL variants, and feed and section
+// edits in a temporary data directory
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module reads its settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-registry-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.FEED_REGISTRY_FILE;
+const registry = require('../lib/feed-registry');
+
+before(() => {
+    fs.writeFileSync(path.join(dataDir, 'feeds.json'), JSON.stringify({
+        sections: [{ id: 'ad-tech-feed', label: 'Ad Tech', emoji: '⚙️' }],
+        feeds: [{ id: 'adexchanger', url: 'https://www.adexchanger.com/feed/', name: 'AdExchanger', section: 'ad-tech-feed', enabled: true, limit: 10 }]
+    }));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('derives URL-safe ids that do not collide', () => {
+    assert.equal(registry.slugify('  Marketing Dive: News!  '), 'marketing-dive-news');
+    assert.equal(registry.slugify('!!!'), 'feed');
+    assert.equal(registry.uniqueId('AdExchanger', ['adexchanger']), 'adexchanger-2');
+    assert.equal(registry.uniqueId('AdExchanger', ['adexchanger', 'adexchanger-2']), 'adexchanger-3');
+    assert.equal(registry.uniqueId('Digiday', ['adexchanger']), 'digiday');
+});
+
+test('accepts only absolute http(s) feed URLs', () => {
+    assert.equal(registry.isFeedURL('https://digiday.com/feed/'), true);
+    assert.equal(registry.isFeedURL('http://example.com/rss.xml'), true);
+    ['ftp://example.com/feed', 'javascript:alert(1)', '/feed.xml', 'not a url', undefined].forEach(value => {
+        assert.equal(registry.isFeedURL(value), false, String(value));
+    });
+});
+
+test('adds feeds with defaults and validates their fields', async () => {
+    const added = await registry.addFeed({ url: ' https://digiday.com/feed/ ', name: ' Digiday ', section: 'ad-tech-feed' });
+    assert.deepEqual(added, { id: 'digiday', url: 'https://digiday.com/feed/', name: 'Digiday', section: 'ad-tech-feed', enabled: true, limit: 10 });
+    assert.deepEqual(await registry.getFeed('digiday'), added);
+
+    await assert.rejects(registry.addFeed({ url: 'https://example.com/feed', name: 'Example' }), { statusCode: 400 });
+    await assert.rejects(registry.addFeed({ url: 'https://example.com/feed', name: 'Example', section: 'nope' }), { statusCode: 400 });
+    await assert.rejects(registry.addFeed({ url: 'https://example.com/feed', name: 'Example', section: 'ad-tech-feed', limit: 51 }), { statusCode: 400 });
+});
+
+test('rejects URLs that only differ by scheme, "www.", host case, tracking parameters or a trailing slash', async () => {
+    const variants = ['http://adexchanger.com/feed', 'https://WWW.AdExchanger.com/feed/?utm_source=newsletter'];
+    for (const url of variants) {
+        await assert.rejects(registry.addFeed({ url, name: 'Copy', section: 'ad-tech-feed' }), {
+            statusCode: 409,
+            message: /already registered as "adexchanger"/
+        });
+        assert.equal((await registry.findFeedByUrl(url)).id, 'adexchanger');
+    }
+    assert.equal(await registry.findFeedByUrl('https://www.adexchanger.com/podcasts/feed/'), null);
+
+    await assert.rejects(registry.updateFeed('digiday', { url: 'http://adexchanger.com/feed' }), { statusCode: 409 });
+    assert.equal((await registry.updateFeed('adexchanger', { url: 'https://adexchanger.com/feed' })).url, 'https://adexchanger.com/feed',
+        'a feed may keep its own URL');
+});
+
+test('edits, disables and deletes feeds', async () => {
+    const updated = await registry.updateFeed('digiday', { name: 'Digiday News', enabled: false, limit: '5' });
+    assert.deepEqual([updated.name, updated.enabled, updated.limit], ['Digiday News', false, 5]);
+    assert.deepEqual((await registry.getEnabledFeeds()).map(feed => feed.id), ['adexchanger']);
+    assert.deepEqual(await registry.getEnabledFeeds(['core-marketing-feed']), []);
+
+    assert.equal((await registry.deleteFeed('digiday')).id, 'digiday');
+    assert.equal(await registry.getFeed('digiday'), null);
+    await assert.rejects(registry.deleteFeed('digiday'), { statusCode: 404 });
+    await assert.rejects(registry.updateFeed('digiday', { enabled: true }), { statusCode: 404 });
+});
+
+test('adds sections with unique ids', async () => {
+    assert.deepEqual(await registry.addSection({ label: 'Retail Media', emoji: '🛒' }), { id: 'retail-media-feed', label: 'Retail Media', emoji: '🛒' });
+    assert.deepEqual(await registry.addSection({ label: 'r/PPC', community: true }), { id: 'r-ppc-feed', label: 'r/PPC', emoji: '📰', community: true });
+    await assert.rejects(registry.addSection({ id: 'Retail-Media-Feed', label: 'Again' }), { statusCode: 409 });
+    await assert.rejects(registry.addSection({ label: ' ' }), { statusCode: 400 });
+    assert.deepEqual((await registry.loadRegistry()).sections.map(section => section.id), ['ad-tech-feed', 'retail-media-feed', 'r-ppc-feed']);
+});
@@ -0,0 +1,53 @@
+// test/filter-rules.test.js
+// Rule validation and matching, including the guards against regexes that backtrack catastrophically
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module reads its settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-rules-'));
+process.env.DATA_DIR = dataDir;
+const { addRule, replaceRules, compileRules } = require('../lib/filter-rules');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const regexRule = (id, regex) => ({ id, name: id, action: 'highlight', match: { regex } });
+
+test('accepts ordinary regexes, including repeated groups without inner repetition', async () => {
+    const added = await addRule({ name: 'Privacy watch', action: 'highlight', match: { regex: '\\b(GDPR|CCPA|consent)\\b' } });
+    assert.equal(added.match.regex, '\\b(GDPR|CCPA|consent)\\b');
+    await addRule({ name: 'Repeated words', action: 'highlight', match: { regex: '(very )+good|[a-z(]+\\)' } });
+});
+
+test('rejects long regexes, backreferences and nested quantifiers', async () => {
+    for (const regex of ['(a+)+$', '(\\w+\\s?)*x', '((ab)+c){2,}', '(x)\\1', 'a'.repeat(101), '(a|a)*b', '((a|ab)c)+']) {
+        await assert.rejects(addRule({ name: 'Unsafe', action: 'block', match: { regex } }), { statusCode: 400 }, regex);
+    }
+    await assert.rejects(replaceRules({ rules: [regexRule('unsafe', '(a*)*b')] }), /Rule 1: .*nested quantifiers/);
+});
+
+test('refuses repeated groups with overlapping alternatives, which would block the event loop', async () => {
+    await assert.rejects(addRule({ name: 'Overlap', action: 'block', match: { regex: '(a|a)*b' } }),
+        { statusCode: 400, message: /repeated groups with alternatives/ });
+
+    const match = compileRules([regexRule('overlap', '(a|a)*b')]);
+    const started = Date.now();
+    assert.deepEqual(match({ title: 'a'.repeat(28), description: '' }).rules, []);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('skips unsafe stored regexes and only tests the start of long text', () => {
+    const match = compileRules([
+        regexRule('unsafe', '(a+)+$'),
+        regexRule('early', '^a+'),
+        regexRule('late', 'GDPR')
+    ]);
+    const started = Date.now();
+    const result = match({ title: `${'a'.repeat(50000)}!`, description: 'GDPR' });
+
+    assert.deepEqual(result.rules, ['early']);
+    assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,165 @@
+// test/helpers.js
+// Shared helpers of the end-to-end tests: local HTTP servers, fixture feeds and running server.js in a temporary
+// directory (data files under DATA_DIR, summary feeds in the cwd)
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+// Settings of the developer's environment that would change how the server under test behaves
+const ISOLATED_ENV = ['AUTH_ENABLED', 'AUTH_ADMIN_USERNAME', 'AUTH_ADMIN_PASSWORD', 'AUTH_SESSION_SECRET', 'SCHEDULER_ENABLED',
+    'ARTICLE_FULL_TEXT', 'LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_DAILY_BUDGET_USD',
+    'LLM_MONTHLY_BUDGET_USD', 'LLM_MAX_ATTEMPTS', 'USAGE_LEDGER_FILE', 'USERS_FILE', 'REGENERATION_DAILY_QUOTA'];
+
+/**
+ * An RSS 2.0 document with one recent item per title.
+ * @param {string[]} titles
+ * @param {string} origin
+ * @returns {string}
+ */
+function buildRss(titles, origin) {
+    const items = titles.map((title, index) => `<item><title>${title}</title>` +
+        `<link>${origin}/articles/${encodeURIComponent(title)}</link>` +
+        `<pubDate>${new Date(Date.now() - index * 3600000).toUTCString()}</pubDate>` +
+        `<description>${title}: details and analysis for practitioners.</description></item>`).join('');
+    return `<?xml version="1.0"?><rss version="2.0"><channel><title>Fixture</title>${items}</channel></rss>`;
+}
+
+/**
+ * Starts an HTTP server on a free local port.
+ * @param {http.RequestListener} handler
+ * @returns {Promise<{server: http.Server, origin: string}>}
+ */
+function listen(handler) {
+    return new Promise(resolve => {
+        const instance = http.createServer(handler).listen(0, '127.0.0.1', () => {
+            resolve({ server: instance, origin: `http://127.0.0.1:${instance.address().port}` });
+        });
+    });
+}
+
+/**
+ * Serves RSS feeds with the given item titles, by path (e.g. { '/marketing.xml': ['Title', ...] }).
+ * @param {Object<string, string[]>} feeds
+ * @returns {Promise<{server: http.Server, origin: string}>}
+ */
+async function serveFeeds(feeds) {
+    let origin;
+    const started = await listen((req, res) => {
+        if (!feeds[req.url]) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'content-type': 'application/rss+xml' });
+        res.end(buildRss(feeds[req.url], origin));
+    });
+    origin = started.origin;
+    return started;
+}
+
+/**
+ * A free local port (the server takes its port from PORT).
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+    const { server: probe } = await listen(() => {});
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    return port;
+}
+
+/**
+ * Creates a temporary working directory with a data directory holding the default prompt profiles and the given
+ * feed registry.
+ * @param {string} prefix
+ * @param {object} registry Contents of feeds.json
+ * @returns {{workDir: string, dataDir: string}}
+ */
+function createWorkDir(prefix, registry) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    const dataDir = path.join(workDir, 'data');
+    fs.mkdirSync(dataDir);
+    fs.copyFileSync(path.join(ROOT, 'data', 'prompt-profiles.json'), path.join(dataDir, 'prompt-profiles.json'));
+    fs.writeFileSync(path.join(dataDir, 'feeds.json'), JSON.stringify(registry));
+    return { workDir, dataDir };
+}
+
+/**
+ * Starts server.js in `workDir` on a free port and resolves once it listens.
+ * @param {string} workDir
+ * @param {object} env Settings on top of the isolated environment (DATA_DIR defaults to workDir/data)
+ * @returns {Promise<{child: import('child_process').ChildProcess, baseUrl: string}>}
+ */
+async function startServer(workDir, env) {
+    const port = await freePort();
+    const childEnv = { ...process.env };
+    ISOLATED_ENV.forEach(name => delete childEnv[name]);
+    Object.assign(childEnv, { PORT: String(port), DATA_DIR: path.join(workDir, 'data'), LLM_PROVIDER: 'mock' }, env);
+
+    const child = await new Promise((resolve, reject) => {
+        const started = spawn(process.execPath, [path.join(ROOT, 'server.js')], { cwd: workDir, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+        const timer = setTimeout(() => {
+            started.kill();
+            reject(new Error(`The server did not start:\n${output}`));
+        }, STARTUP_TIMEOUT_MS);
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve(started);
+            }
+        };
+        started.stdout.on('data', onData);
+        started.stderr.on('data', onData);
+        started.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`The server exited with code ${code}:\n${output}`));
+        });
+    });
+    return { child, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Stops a server started with startServer(), waiting until it has exited (it may still be writing data files).
+ * @param {import('child_process').ChildProcess} child
+ * @returns {Promise<void>}
+ */
+async function stopServer(child) {
+    child.removeAllListeners('exit');
+    if (child.exitCode !== null) return;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+}
+
+/**
+ * Polls until `check` returns a truthy value.
+ * @param {function(): *} check
+ * @param {number} [timeoutMs]
+ * @returns {Promise<*>}
+ */
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+module.exports = {
+    buildRss,
+    listen,
+    serveFeeds,
+    createWorkDir,
+    startServer,
+    stopServer,
+    waitFor
+};
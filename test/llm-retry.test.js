@@ -0,0 +1,70 @@
+// test/llm-retry.test.js
+// Retries of failed LLM requests: which failures are retried, and the usage and attempts the caller is told about
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { httpError, isRetryable, withRetries } = require('../lib/llm/retry');
+
+const headers = values => ({ get: name => values[name] ?? null });
+
+/**
+ * A provider whose generate() fails with the given errors, then succeeds.
+ * @param {Error[]} failures
+ * @returns {{name: string, model: string, generate: Function, calls: number}}
+ */
+function flakyProvider(failures) {
+    const provider = {
+        name: 'test',
+        model: 'test-model',
+        calls: 0,
+        async generate() {
+            const failure = failures[provider.calls++];
+            if (failure) throw failure;
+            return { text: 'ok', model: 'test-model', usage: { inputTokens: 100, outputTokens: 10 } };
+        }
+    };
+    return provider;
+}
+
+const failure = (status, usage) => Object.assign(new Error(`HTTP ${status}`), { status, usage });
+
+test('classifies rate limits, server and network errors as retryable', () => {
+    assert.equal(isRetryable(failure(429)), true);
+    assert.equal(isRetryable(failure(529)), true);
+    assert.equal(isRetryable(failure(400)), false);
+    assert.equal(isRetryable(Object.assign(new Error('reset'), { name: 'FetchError', type: 'system' })), true);
+    assert.equal(isRetryable(Object.assign(new Error('aborted'), { name: 'AbortError' })), false);
+
+    const error = httpError({ status: 429, headers: headers({ 'retry-after': '3' }) }, 'Rate limited');
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 3000);
+});
+
+test('retries and adds the tokens of failed attempts to the result', async () => {
+    const provider = flakyProvider([failure(529, { inputTokens: 100, outputTokens: 0 }), failure(500)]);
+    const result = await withRetries(provider, { maxAttempts: 3, baseDelayMs: 1 }).generate({});
+
+    assert.equal(provider.calls, 3);
+    assert.deepEqual(result.usage, { inputTokens: 200, outputTokens: 10 });
+});
+
+test('fails at once on errors that are not retryable, reporting the attempts', async () => {
+    const provider = flakyProvider([failure(400)]);
+    await assert.rejects(withRetries(provider, { baseDelayMs: 1 }).generate({}), { status: 400, attempts: 1 });
+    assert.equal(provider.calls, 1);
+});
+
+test('an abort while waiting to retry still reports the tokens of the failed attempts', async () => {
+    const controller = new AbortController();
+    const provider = flakyProvider([failure(529, { inputTokens: 120, outputTokens: 30 })]);
+    const pending = withRetries(provider, { baseDelayMs: 60000 }).generate({ signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, error => {
+        assert.equal(error.name, 'AbortError');
+        assert.equal(error.attempts, 1);
+        assert.deepEqual(error.usage, { inputTokens: 120, outputTokens: 30 });
+        assert.equal(error.model, 'test-model');
+        return true;
+    });
+});
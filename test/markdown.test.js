@@ -0,0 +1,33 @@
+// test/markdown.test.js
+// Inline rendering of the sanitizing Markdown renderer: links, emphasis and code spans
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown } = require('../lib/markdown');
+
+const link = (href, label) => `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('leaves underscores and asterisks in link URLs alone', () => {
+    assert.equal(
+        renderMarkdown('Read [the report](https://example.com/q3_retail_media_report) and [this](https://example.com/*draft*)'),
+        `<p>Read ${link('https://example.com/q3_retail_media_report', 'the report')} and ${link('https://example.com/*draft*', 'this')}</p>`
+    );
+});
+
+test('applies emphasis inside link text and around links', () => {
+    assert.equal(
+        renderMarkdown('**Big news:** [the _new_ **rules**](https://example.com/a_b) are _out_'),
+        `<p><strong>Big news:</strong> ${link('https://example.com/a_b', 'the <em>new</em> <strong>rules</strong>')} are <em>out</em></p>`
+    );
+});
+
+test('drops unsafe link targets and keeps code spans unformatted', () => {
+    assert.equal(renderMarkdown('[click](javascript:void) `snake_case_name`'), '<p>click <code>snake_case_name</code></p>');
+});
+
+test('never puts a code span inside a link URL, and keeps code spans in link text and around links', () => {
+    assert.equal(
+        renderMarkdown('[docs](https://example.com/`a`) and [the `x_y` helper](https://example.com/x_y) and `[a](https://b.com)`'),
+        `<p>[docs](https://example.com/<code>a</code>) and ${link('https://example.com/x_y', 'the <code>x_y</code> helper')} and <code>[a](https://b.com)</code></p>`
+    );
+});
@@ -0,0 +1,124 @@
+// test/news-qa.test.js
+// "Ask the news": BM25 retrieval over the article archive, the grounded prompt sent to the model, and follow-up
+// questions in a conversation, with a stand-in provider that records its requests
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-qa-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.ARTICLE_FULL_TEXT;
+delete process.env.LLM_DAILY_BUDGET_USD;
+delete process.env.LLM_MONTHLY_BUDGET_USD;
+const articleArchive = require('../lib/article-archive');
+const { parseAskRequest, askQuestion } = require('../lib/news-qa');
+
+const PROFILE = { id: 'test-profile', audience: 'a marketing team', lens: 'brand growth' };
+const HOUR_MS = 60 * 60 * 1000;
+
+const requests = [];
+const answers = [];
+const provider = {
+    name: 'mock',
+    model: 'mock-summarizer-1',
+    async generate(request) {
+        requests.push(request);
+        return { text: answers.shift() || 'No answer.', model: 'mock-summarizer-1', usage: { inputTokens: 100, outputTokens: 20 } };
+    }
+};
+
+/**
+ * Asks a question with the stand-in provider, which answers `answer`.
+ * @param {string} question
+ * @param {string} answer
+ * @param {object} [options] Extra askQuestion options
+ * @returns {Promise<{conversationId: string, turn: object, request: object}>}
+ */
+async function ask(question, answer, options = {}) {
+    answers.push(answer);
+    const result = await askQuestion({ provider, profile: PROFILE, question, ...options });
+    return { ...result, request: requests[requests.length - 1] };
+}
+
+const item = (slug, title, description, hoursAgo = 1) => ({
+    link: `https://news.example.com/${slug}`,
+    title,
+    description,
+    pubDate: new Date(Date.now() - hoursAgo * HOUR_MS).toUTCString()
+});
+
+before(async () => {
+    await articleArchive.recordItems({ id: 'adtech', name: 'AdTech Daily', section: 'ad-tech-feed' }, [
+        item('ctv-measurement', 'CTV measurement standards finally arrive', 'The industry body published CTV measurement guidelines.'),
+        item('ctv-mention', 'Upfront season wrap-up', 'Buyers spent cautiously; CTV was one topic among many, alongside audio and print.'),
+        item('netflix-ads', 'Netflix expands its ad tier', 'The streamer adds programmatic buying for its ad-supported plan.'),
+        item('old-ctv', 'CTV prices in the spring', 'An older look at CTV pricing.', 20 * 24)
+    ]);
+    await articleArchive.recordItems({ id: 'retail', name: 'Retail Wire', section: 'retail-feed' }, [
+        item('loyalty', 'Loyalty programs get personal', 'Retailers tailor loyalty rewards with first-party data.')
+    ]);
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('validates questions, windows and sections', () => {
+    assert.deepEqual(parseAskRequest({ question: '  What about CTV?  ' }),
+        { question: 'What about CTV?', conversationId: null, windowDays: 7, section: null });
+    assert.throws(() => parseAskRequest({ question: '' }), { statusCode: 400 });
+    assert.throws(() => parseAskRequest({ question: 'x'.repeat(501) }), { statusCode: 400 });
+    assert.throws(() => parseAskRequest({ question: 'CTV?', windowDays: 0 }), { statusCode: 400 });
+    assert.throws(() => parseAskRequest({ question: 'CTV?', conversationId: 7 }), { statusCode: 400 });
+});
+
+test('ranks matching articles with BM25, title matches first, within the window and section', async () => {
+    const { turn } = await ask('What happened with CTV measurement?', 'Standards arrived [1].');
+
+    assert.deepEqual(turn.sources.map(source => source.link), [
+        'https://news.example.com/ctv-measurement',
+        'https://news.example.com/ctv-mention'
+    ]);
+    assert.equal(turn.answer, 'Standards arrived [1].');
+
+    const { turn: wider } = await ask('CTV prices', 'Prices fell [1].', { windowDays: 30 });
+    assert.equal(wider.sources[0].link, 'https://news.example.com/old-ctv');
+
+    await assert.rejects(ask('CTV measurement', 'unused', { section: 'retail-feed' }), { statusCode: 422 });
+    answers.length = 0;
+    await assert.rejects(ask('weather forecast', 'unused'), { statusCode: 422 });
+    answers.length = 0;
+});
+
+test('grounds the answer in the numbered articles and asks for citations', async () => {
+    const { request } = await ask('Is anyone changing loyalty programs?', 'Yes, with first-party data [1].');
+
+    assert.match(request.system, /Answer ONLY from the news articles supplied with the question/);
+    assert.match(request.system, /square\s+brackets/);
+    assert.match(request.system, /a marketing team/);
+    assert.equal(request.messages.length, 1);
+    const [message] = request.messages;
+    assert.equal(message.role, 'user');
+    assert.match(message.content, /## Article 1: Loyalty programs get personal\n\*\*Source:\*\* Retail Wire/);
+    assert.doesNotMatch(message.content, /Netflix/, 'only the retrieved articles are sent');
+    assert.match(message.content, /# Question\n\nIs anyone changing loyalty programs\?$/);
+});
+
+test('follow-up questions carry the earlier turns, without their citations, and steer retrieval', async () => {
+    const first = await ask('Any news on CTV measurement?', 'Guidelines were published [1, 2].');
+    const followUp = await ask('And what about Netflix?', 'Netflix added programmatic buying [1].', { conversationId: first.conversationId });
+
+    assert.equal(followUp.conversationId, first.conversationId);
+    assert.deepEqual(followUp.request.messages.slice(0, 2), [
+        { role: 'user', content: 'Any news on CTV measurement?' },
+        { role: 'assistant', content: 'Guidelines were published.' }
+    ]);
+    const links = followUp.turn.sources.map(source => source.link);
+    assert.equal(links[0], 'https://news.example.com/netflix-ads');
+    assert.ok(links.includes('https://news.example.com/ctv-measurement'), 'the earlier question still steers retrieval');
+
+    await assert.rejects(ask('More?', 'unused', { conversationId: first.conversationId, user: { id: 'someone-else' } }), { statusCode: 404 });
+    answers.length = 0;
+});
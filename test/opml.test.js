@@ -0,0 +1,102 @@
+// test/opml.test.js
+// OPML import and export of the feed registry: folders as sections, an export/import round trip, and the added,
+// skipped and failed report, in a temporary data directory
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opml-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.FEED_REGISTRY_FILE;
+const { parseOPML, importOPML, exportOPML } = require('../lib/opml');
+const { loadRegistry } = require('../lib/feed-registry');
+
+const REGISTRY_FILE = path.join(dataDir, 'feeds.json');
+const REGISTRY = {
+    sections: [
+        { id: 'ad-tech-feed', label: 'Ad Tech', emoji: '⚙️' },
+        { id: 'core-marketing-feed', label: 'Marketing & Brand', emoji: '📈' },
+        { id: 'empty-feed', label: 'Empty', emoji: '📰' }
+    ],
+    feeds: [
+        { id: 'adexchanger', url: 'https://www.adexchanger.com/feed/', name: 'AdExchanger', section: 'ad-tech-feed', enabled: true, limit: 10 },
+        { id: 'videoweek', url: 'https://videoweek.com/feed/?a=1&b=2', name: 'VideoWeek "Daily"', section: 'ad-tech-feed', enabled: false, limit: 10 },
+        { id: 'marketing-dive', url: 'https://www.marketingdive.com/feeds/news/', name: "Marketing Dive's <News>", section: 'core-marketing-feed', enabled: true, limit: 10 }
+    ]
+};
+
+const writeRegistry = registry => fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry));
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('maps nested folders to sections and keeps the enabled flag', () => {
+    const entries = parseOPML(`<?xml version="1.0"?>
+<opml version="1.0"><head><title>Reader</title></head><body>
+  <outline type="rss" text="Loose &amp; free" xmlUrl=" https://loose.example.com/rss "/>
+  <outline title="Ad Tech">
+    <outline text="Programmatic">
+      <outline text="Deep" xmlUrl="https://deep.example.com/feed" enabled="false"/>
+    </outline>
+    <outline text="" title="By title" xmlUrl="https://title.example.com/feed"/>
+  </outline>
+</body></opml>`);
+    assert.deepEqual(entries, [
+        { url: 'https://loose.example.com/rss', name: 'Loose & free', section: undefined, enabled: true },
+        { url: 'https://deep.example.com/feed', name: 'Deep', section: 'Programmatic', enabled: false },
+        { url: 'https://title.example.com/feed', name: 'By title', section: 'Ad Tech', enabled: true }
+    ]);
+});
+
+test('rejects documents that are not OPML or list no feeds', () => {
+    assert.throws(() => parseOPML(''), { statusCode: 400 });
+    assert.throws(() => parseOPML('<opml><body><outline text="x"></body></opml>'), { statusCode: 400, message: /^Invalid OPML: .*\(line \d+\)\.$/ });
+    assert.throws(() => parseOPML('<rss><channel/></rss>'), { statusCode: 400, message: /expected an <opml> document/ });
+    assert.throws(() => parseOPML('<opml><body><outline text="Folder"/></body></opml>'), { statusCode: 400, message: /no feeds/ });
+});
+
+test('exports the registry by section and imports the same feeds back', async () => {
+    writeRegistry(REGISTRY);
+    const opml = await exportOPML();
+    assert.match(opml, /<outline text="Marketing &amp; Brand" title="Marketing &amp; Brand">/);
+    assert.match(opml, /text="VideoWeek &quot;Daily&quot;" .*xmlUrl="https:\/\/videoweek\.com\/feed\/\?a=1&amp;b=2" enabled="false"/);
+    assert.doesNotMatch(opml, /Empty/, 'sections without feeds are left out');
+
+    writeRegistry({ sections: REGISTRY.sections, feeds: [] });
+    const report = await importOPML(opml);
+    assert.deepEqual([report.added.length, report.skipped.length, report.failed.length, report.sections.length], [3, 0, 0, 0]);
+    const withoutId = ({ id, ...feed }) => feed;
+    assert.deepEqual((await loadRegistry()).feeds.map(withoutId), REGISTRY.feeds.map(withoutId), 'ids are derived from the names again');
+});
+
+test('skips feeds already registered or listed twice, by normalized URL, and reports invalid ones', async () => {
+    writeRegistry(REGISTRY);
+    const report = await importOPML(`<opml version="2.0"><body>
+  <outline text="Ad Tech">
+    <outline text="AdExchanger again" xmlUrl="http://AdExchanger.com/feed?utm_source=reader"/>
+    <outline text="Digiday" xmlUrl="https://digiday.com/feed/"/>
+    <outline text="Digiday copy" xmlUrl="https://www.digiday.com/feed"/>
+  </outline>
+  <outline text="Retail Media">
+    <outline text="Retail Wire" xmlUrl="https://retailwire.example.com/rss"/>
+    <outline text="Broken" xmlUrl="feed://retail.example.com"/>
+  </outline>
+  <outline text="No folder" xmlUrl="https://nofolder.example.com/rss"/>
+</body></opml>`, { defaultSection: 'core-marketing-feed' });
+
+    assert.deepEqual(report.added.map(feed => [feed.name, feed.section]), [
+        ['Digiday', 'ad-tech-feed'],
+        ['Retail Wire', 'retail-media-feed'],
+        ['No folder', 'core-marketing-feed']
+    ]);
+    assert.deepEqual(report.skipped.map(entry => [entry.name, entry.reason]), [
+        ['AdExchanger again', 'Already registered as "adexchanger".'],
+        ['Digiday copy', 'Listed more than once in the import.']
+    ]);
+    assert.deepEqual(report.failed, [{ url: 'feed://retail.example.com', name: 'Broken', reason: 'Not an absolute http(s) URL.' }]);
+    assert.deepEqual(report.sections, [{ id: 'retail-media-feed', label: 'Retail Media', emoji: '📰' }]);
+    assert.equal((await loadRegistry()).feeds.length, 6);
+});
@@ -0,0 +1,85 @@
+// test/reading-state.test.js
+// Per-user article state: flags and notes, the one-time hidden-link migration, and CSV and Markdown exports of
+// saved articles, in a temporary data directory
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-state-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.READING_STATE_FILE;
+const readingState = require('../lib/reading-state');
+
+const ALICE = { id: 'alice' };
+const BOB = { id: 'bob' };
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('keeps article state per user and forgets entries once cleared', async () => {
+    const entry = await readingState.updateArticle(ALICE, { link: ' https://news.example.com/ctv ', read: 1, note: '  Follow up  ', title: 'CTV' });
+    assert.deepEqual({ ...entry, updatedAt: undefined }, {
+        id: entry.id, link: 'https://news.example.com/ctv', read: true, saved: false, hidden: false, note: 'Follow up', title: 'CTV', updatedAt: undefined
+    });
+    assert.equal((await readingState.getState(BOB)).articles.length, 0);
+    assert.equal((await readingState.getState(null)).articles.length, 0, 'the local user is separate');
+
+    await readingState.updateArticle(ALICE, { link: 'https://news.example.com/ctv', read: false, note: null });
+    assert.deepEqual((await readingState.getState(ALICE)).articles, []);
+
+    await assert.rejects(readingState.updateArticle(ALICE, { link: 'javascript:alert(1)', read: true }), { statusCode: 400 });
+    await assert.rejects(readingState.updateArticle(ALICE, { link: 'https://news.example.com/a', note: 'x'.repeat(5001) }), { statusCode: 400 });
+    await assert.rejects(readingState.updateArticle(ALICE, { link: 'https://news.example.com/a', title: 42 }), { statusCode: 400 });
+});
+
+test('imports the browser\'s hidden links once and unhides them on reset', async () => {
+    const links = ['https://news.example.com/hidden-1', 'https://news.example.com/hidden-2', 'not a link'];
+    assert.deepEqual(await readingState.migrateHiddenLinks(BOB, links), { imported: 2, alreadyMigrated: false });
+    assert.deepEqual(await readingState.migrateHiddenLinks(BOB, ['https://news.example.com/hidden-3']), { imported: 0, alreadyMigrated: true });
+    await assert.rejects(readingState.migrateHiddenLinks(BOB, 'https://news.example.com/x'), { statusCode: 400 });
+
+    const state = await readingState.getState(BOB);
+    assert.equal(state.migrated, true);
+    assert.deepEqual(state.articles.map(entry => entry.hidden), [true, true]);
+
+    assert.equal(await readingState.clearHidden(BOB), 2);
+    assert.deepEqual((await readingState.getState(BOB)).articles, []);
+});
+
+test('exports saved articles as CSV that spreadsheets show as text', async () => {
+    await readingState.updateArticle(ALICE, {
+        link: 'https://news.example.com/formula', saved: true, title: '=HYPERLINK("https://evil.example.com","Click")',
+        source: 'AdWeek, Inc.', section: 'ad-tech-feed', pubDate: '2026-10-18T10:00:00.000Z', note: '-1 for "this"\nsecond line'
+    });
+    await new Promise(resolve => setTimeout(resolve, 5)); // a later savedAt
+    await readingState.updateArticle(ALICE, { link: 'https://news.example.com/plain', saved: true, read: true, title: 'Plain' });
+
+    const { contentType, filename, body } = await readingState.exportSaved(ALICE, 'csv');
+    assert.deepEqual([contentType, filename], ['text/csv', 'saved-articles.csv']);
+    const [header, plain, formula] = body.split('\r\n');
+    assert.equal(header, 'title,link,source,section,pubDate,savedAt,read,note');
+    assert.match(plain, /^Plain,https:\/\/news\.example\.com\/plain,,,,\d{4}-\d\d-\d\dT[\d:.]+Z,true,$/);
+    assert.ok(formula.startsWith(`"'=HYPERLINK(""https://evil.example.com"",""Click"")",https://news.example.com/formula,"AdWeek, Inc.",ad-tech-feed,`));
+    assert.ok(body.endsWith(`,false,"'-1 for ""this""\nsecond line"\r\n`));
+
+    await assert.rejects(readingState.exportSaved(ALICE, 'xlsx'), { statusCode: 400 });
+});
+
+test('exports saved articles as Markdown with their notes, most recently saved first', async () => {
+    const { contentType, body } = await readingState.exportSaved(ALICE, 'md');
+    assert.equal(contentType, 'text/markdown');
+    assert.match(body, /^# Saved Articles\n\n_Exported .+_\n\n/);
+    assert.ok(body.endsWith([
+        '- [Plain](https://news.example.com/plain)',
+        '- [=HYPERLINK("https://evil.example.com","Click")](https://news.example.com/formula) (AdWeek, Inc. · 2026-10-18)',
+        '',
+        '  > -1 for "this"',
+        '  > second line',
+        ''
+    ].join('\n')));
+
+    assert.match((await readingState.exportSaved(BOB, 'md')).body, /No saved articles\.\n$/);
+});
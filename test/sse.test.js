@@ -0,0 +1,34 @@
+// test/sse.test.js
+// Server-Sent Events parsing of streamed provider responses
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readServerSentEvents } = require('../lib/llm/sse');
+
+/**
+ * Collects every event parsed from the given chunks.
+ * @param {Array<Buffer|string>} chunks
+ * @returns {Promise<Array<{event: string, data: string}>>}
+ */
+async function parse(chunks) {
+    const events = [];
+    for await (const event of readServerSentEvents(chunks)) events.push(event);
+    return events;
+}
+
+test('parses named events, multi-line data and comments across chunk boundaries', async () => {
+    assert.deepEqual(await parse([': keep-alive\nevent: delta\nda', 'ta: {"text":"a"}\n\ndata: one\r\ndata: two\n\n', 'data: last']), [
+        { event: 'delta', data: '{"text":"a"}' },
+        { event: 'message', data: 'one\ntwo' },
+        { event: 'message', data: 'last' }
+    ]);
+});
+
+test('keeps multi-byte characters that are split across chunks', async () => {
+    const bytes = Buffer.from('data: {"text":"## 📈 Market moves — Q3"}\n\n');
+    const emoji = bytes.indexOf(Buffer.from('📈'));
+    const dash = bytes.indexOf(Buffer.from('—'));
+    const chunks = [bytes.subarray(0, emoji + 2), bytes.subarray(emoji + 2, dash + 1), bytes.subarray(dash + 1)];
+
+    assert.deepEqual(await parse(chunks), [{ event: 'message', data: '{"text":"## 📈 Market moves — Q3"}' }]);
+});
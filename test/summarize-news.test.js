@@ -0,0 +1,175 @@
+// test/summarize-news.test.js
+// Offline end-to-end tests of /api/summarize-news: the server runs with the mock LLM provider against feeds served
+// from a local fixture server, in a temporary directory (data files under DATA_DIR, summary feeds in the cwd)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { serveFeeds, createWorkDir, startServer, stopServer, waitFor } = require('./helpers');
+
+const PROFILE = 'mortgage-cmo'; // Default profile of data/prompt-profiles.json
+
+const ARTICLES = {
+    '/marketing.xml': ['Brands shift budgets to retail media', 'CMOs rethink agency retainers', 'Loyalty programs get personal'],
+    '/adtech.xml': ['Programmatic CTV prices fall', 'Cookie deprecation delayed again', 'Clean rooms gain adoption']
+};
+
+let feedServer;
+let server;
+let baseUrl;
+let workDir;
+let dataDir;
+
+/**
+ * POSTs a JSON body to /api/summarize-news.
+ * @param {object} body
+ * @param {object} [options] Extra fetch options
+ * @returns {Promise<Response>}
+ */
+function summarize(body, options = {}) {
+    return fetch(`${baseUrl}/api/summarize-news`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+        ...options
+    });
+}
+
+/**
+ * Parses a complete Server-Sent Events body into { event, data } pairs.
+ * @param {string} text
+ * @returns {Array<{event: string, data: object}>}
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+/**
+ * Reads a JSON file of the server's data directory.
+ * @param {string} name
+ * @param {*} fallback Returned when the file does not exist yet
+ * @returns {*}
+ */
+function readDataFile(name, fallback) {
+    const file = path.join(dataDir, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+const ledgerEntries = () => readDataFile('usage-ledger.json', { entries: [] }).entries;
+const archivedSummaries = () => readDataFile(path.join('summaries', 'index.json'), []);
+const readCacheFile = () => fs.readFileSync(path.join(dataDir, 'cache', `${PROFILE}.txt`), 'utf8');
+
+before(async () => {
+    let origin;
+    ({ server: feedServer, origin } = await serveFeeds(ARTICLES));
+    ({ workDir, dataDir } = createWorkDir('summarize-news-', {
+        sections: [
+            { id: 'core-marketing-feed', label: 'Core Marketing', emoji: '📈' },
+            { id: 'ad-tech-feed', label: 'Ad Technology', emoji: '⚙️' }
+        ],
+        feeds: [
+            { id: 'marketing', url: `${origin}/marketing.xml`, name: 'Marketing Fixture', section: 'core-marketing-feed', enabled: true, limit: 10 },
+            { id: 'adtech', url: `${origin}/adtech.xml`, name: 'AdTech Fixture', section: 'ad-tech-feed', enabled: true, limit: 10 }
+        ]
+    }));
+    ({ child: server, baseUrl } = await startServer(workDir, {}));
+});
+
+after(async () => {
+    if (server) await stopServer(server);
+    if (feedServer) await new Promise(resolve => feedServer.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('generates, caches, archives and publishes a summary of the feed articles', async () => {
+    const response = await summarize({});
+    assert.equal(response.status, 200);
+    const payload = await response.json();
+
+    assert.match(payload.header, /Summary Freshly Generated \(mock-summarizer-1\)/);
+    assert.match(payload.summary, /Brands shift budgets to retail media \[\d+\]/);
+    assert.ok(payload.structured, 'the cited structure is returned');
+
+    assert.ok(readCacheFile().includes(payload.summary));
+    assert.equal(archivedSummaries().length, 1);
+    for (const extension of ['xml', 'atom', 'json']) {
+        assert.ok(fs.existsSync(path.join(workDir, `feed.${extension}`)), `feed.${extension} is written`);
+    }
+    assert.match(fs.readFileSync(path.join(workDir, 'feed.xml'), 'utf8'), /Programmatic CTV prices fall/);
+
+    const entries = ledgerEntries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].provider, 'mock');
+    assert.equal(entries[0].trigger, 'dashboard');
+    assert.ok(entries[0].inputTokens > 0 && entries[0].outputTokens > 0);
+});
+
+test('returns the cached summary within the throttle window without calling the model', async () => {
+    const cached = readCacheFile();
+    const response = await summarize({});
+    assert.equal(response.status, 200);
+    const payload = await response.json();
+
+    assert.match(payload.header, /Summary Throttle Active/);
+    assert.ok(cached.includes(payload.summary));
+    assert.equal(ledgerEntries().length, 1);
+    assert.equal(archivedSummaries().length, 1);
+});
+
+test('streams a forced regeneration as delta events followed by a done event', async () => {
+    const response = await summarize({ forceRegenerate: true, stream: true, sections: ['ad-tech-feed'] });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const events = parseEvents(await response.text());
+
+    const deltas = events.filter(event => event.event === 'delta');
+    const done = events[events.length - 1];
+    assert.ok(deltas.length > 1, 'the summary arrives in several deltas');
+    assert.equal(done.event, 'done');
+    assert.equal(deltas.map(event => event.data.text).join(''), done.data.summary);
+    assert.match(done.data.summary, /Clean rooms gain adoption/);
+    assert.doesNotMatch(done.data.summary, /Brands shift budgets/, 'only the selected section is summarized');
+
+    assert.ok(readCacheFile().includes(done.data.summary));
+    assert.equal(archivedSummaries().length, 2);
+    assert.equal(ledgerEntries().at(-1).trigger, 'force');
+});
+
+test('a cancelled stream caches nothing and records the tokens consumed so far', async () => {
+    const cached = readCacheFile();
+    const controller = new AbortController();
+    const response = await summarize({ forceRegenerate: true, stream: true }, { signal: controller.signal });
+    const reader = response.body.getReader();
+    let received = '';
+    while (!received.includes('event: delta')) {
+        const { value } = await reader.read();
+        received += Buffer.from(value).toString();
+    }
+    controller.abort();
+
+    const partial = await waitFor(() => ledgerEntries().find(entry => entry.partial));
+    assert.equal(partial.trigger, 'force');
+    assert.ok(partial.outputTokens > 0);
+    assert.equal(readCacheFile(), cached);
+    assert.equal(archivedSummaries().length, 2);
+});
+
+test('rejects bodies that are not JSON selection parameters', async () => {
+    const form = await fetch(`${baseUrl}/api/summarize-news`, {
+        method: 'POST',
+        headers: { 'content-type': 'text/html' },
+        body: '<html><body>news</body></html>'
+    });
+    assert.equal(form.status, 415);
+
+    const html = await summarize({ htmlContent: '<div>news</div>' });
+    assert.equal(html.status, 400);
+
+    const section = await summarize({ sections: ['no-such-section'] });
+    assert.equal(section.status, 400);
+});
@@ -0,0 +1,56 @@
+// test/summary-archive.test.js
+// The summary archive: ids that stay unique across profiles and sections, the metadata index and record lookups
+// in a temporary data directory
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module reads its settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-archive-'));
+process.env.DATA_DIR = dataDir;
+const archive = require('../lib/summary-archive');
+
+const TIMESTAMP = 1792400000000;
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('builds ids that differ for every profile and section pair', () => {
+    assert.equal(archive.summaryId(TIMESTAMP, 'mortgage-cmo'), `${TIMESTAMP}-mortgage-cmo`);
+    assert.equal(archive.summaryId(TIMESTAMP, 'mortgage-cmo', 'ad-tech-feed'), `${TIMESTAMP}-mortgage-cmo_ad-tech-feed`);
+    assert.notEqual(archive.summaryId(1, 'a-b', 'c'), archive.summaryId(1, 'a', 'b-c'));
+    assert.notEqual(archive.summaryId(1, 'a-b'), archive.summaryId(1, 'a', 'b'));
+    assert.match(archive.summaryId(TIMESTAMP, 'My Profile/../x', 'r/PPC feed'), /^[A-Za-z0-9_-]+$/);
+});
+
+test('archives records, indexes them newest first and filters the index', async () => {
+    const article = { title: 'Retail media grows', link: 'https://example.com/a', source: 'AdWeek', pubDate: null, description: 'dropped' };
+    const daily = await archive.archiveSummary({ timestamp: TIMESTAMP, summary: '## Daily', model: 'test-model', profile: 'mortgage-cmo', articles: [article] });
+    assert.deepEqual(daily.articles, [{ title: 'Retail media grows', link: 'https://example.com/a', source: 'AdWeek', pubDate: null }]);
+    assert.equal(daily.kind, 'daily');
+
+    const brief = await archive.archiveSummary({
+        timestamp: TIMESTAMP + 1000, summary: '## Brief', model: 'test-model', profile: 'mortgage-cmo', kind: 'section-brief', section: 'ad-tech-feed'
+    });
+    assert.equal(brief.id, `${TIMESTAMP + 1000}-mortgage-cmo_ad-tech-feed`);
+
+    const { total, summaries } = await archive.listSummaries();
+    assert.equal(total, 2);
+    assert.deepEqual(summaries.map(entry => [entry.id, entry.kind, entry.articleCount]), [
+        [brief.id, 'section-brief', 0],
+        [daily.id, 'daily', 1]
+    ]);
+    assert.deepEqual((await archive.listSummaries({ kind: 'daily' })).summaries.map(entry => entry.id), [daily.id]);
+    assert.equal((await archive.listSummaries({ profile: 'other' })).total, 0);
+    assert.equal((await archive.listSummaries({ since: TIMESTAMP + 1 })).total, 1);
+    assert.deepEqual((await archive.getRecentSummaries(5)).map(record => record.id), [daily.id], 'briefs are not published');
+});
+
+test('loads records by id and ignores ids outside the id pattern', async () => {
+    assert.equal((await archive.getSummary(`${TIMESTAMP}-mortgage-cmo`)).summary, '## Daily');
+    assert.equal(await archive.getSummary(`${TIMESTAMP}-unknown`), null);
+    assert.equal(await archive.getSummary('../index'), null);
+    assert.equal(archive.summaryKind({}), 'daily', 'records from before rollups are daily summaries');
+});
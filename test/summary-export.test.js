@@ -0,0 +1,51 @@
+// test/summary-export.test.js
+// Markdown and standalone HTML downloads of archived summaries: titles, provenance, citations and source lists
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportFileName, summaryTitle, summarySources, exportMarkdown, exportHTML } = require('../lib/summary-export');
+
+const DAILY = {
+    id: '1792400000000-mortgage-cmo',
+    kind: 'daily',
+    timestamp: 1792400000000,
+    model: 'test-model',
+    profile: 'mortgage-cmo',
+    summary: '## Trends\n\n- CTV grows [1]\n- Retail media & more [3]',
+    structured: null,
+    articles: [
+        { title: 'CTV [prices] fall', link: 'https://news.example.com/ctv', source: 'AdWeek', pubDate: null },
+        { title: '<script>alert(1)</script>', link: 'javascript:alert(1)', source: 'Unknown', pubDate: null }
+    ]
+};
+
+test('names and titles exports by kind, profile, section and date', () => {
+    assert.equal(exportFileName(DAILY), 'thanos-summary-mortgage-cmo-2026-10-19');
+    assert.equal(exportFileName({ ...DAILY, kind: 'section-brief', section: 'ad-tech-feed' }), 'thanos-section-brief-mortgage-cmo-ad-tech-feed-2026-10-19');
+    assert.equal(exportFileName({ timestamp: DAILY.timestamp }), 'thanos-summary-default-2026-10-19');
+
+    assert.match(summaryTitle(DAILY), /^AI Strategy Summary \(Oct 19, 2026, \d\d:\d\d:\d\d [AP]M EDT\)$/);
+    assert.match(summaryTitle({ ...DAILY, kind: 'community-pulse' }), /^Community Pulse \(/);
+    assert.deepEqual(summarySources(DAILY), { label: 'Articles analyzed', count: 2 });
+    assert.deepEqual(summarySources({ kind: 'weekly-rollup', rollup: { summaries: ['a', 'b', 'c'] } }), { label: 'Daily summaries rolled up', count: 3 });
+});
+
+test('exports Markdown with linked citations and a numbered source list', () => {
+    const markdown = exportMarkdown(DAILY);
+    assert.match(markdown, /^# AI Strategy Summary \(/);
+    assert.match(markdown, /\*\*Profile\*\*: mortgage-cmo · \*\*Model\*\*: test-model · \*\*Articles analyzed\*\*: 2/);
+    assert.match(markdown, /^- CTV grows \(\[AdWeek\]\(https:\/\/news\.example\.com\/ctv\)\)$/m);
+    assert.match(markdown, /^- Retail media & more$/m, 'citations of unknown articles are dropped');
+    assert.match(markdown, /## Source Articles\n\n1\. \[CTV prices fall\]\(https:\/\/news\.example\.com\/ctv\) \(AdWeek\)/);
+    assert.doesNotMatch(exportMarkdown({ ...DAILY, articles: [] }), /Source Articles|\[1\]/);
+});
+
+test('exports a standalone, escaped HTML page that only links web sources', () => {
+    const html = exportHTML(DAILY);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.doesNotMatch(html, /<link|<script|src=/, 'no external assets or scripts');
+    assert.match(html, /<h2>Trends<\/h2>/);
+    assert.match(html, /Retail media &amp; more/);
+    assert.match(html, /<li><a href="https:\/\/news\.example\.com\/ctv">CTV \[prices\] fall<\/a> <span class="source">AdWeek<\/span><\/li>/);
+    assert.doesNotMatch(html, /javascript:/);
+});
@@ -0,0 +1,107 @@
+// test/trends.test.js
+// Entity trend analytics: dictionary matching and validation, daily mention counts in Eastern Time across a
+// daylight saving change, and the spike rule, over a temporary article archive
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The modules read their settings at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trends-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.ENTITIES_FILE;
+delete process.env.TREND_SPIKE_MIN_MENTIONS;
+const articleArchive = require('../lib/article-archive');
+const trends = require('../lib/trends');
+
+// 00:30 EDT on Monday 2026-03-09, the day after clocks sprang forward (Sunday 2026-03-08 lasted 23 hours)
+const NOW = Date.parse('2026-03-09T04:30:00Z');
+
+/**
+ * Archives `count` articles mentioning `text`, published at noon Eastern Time on each day of a series.
+ * @param {{id: string, name: string, section: string}} feed
+ * @param {string} text
+ * @param {Object<string, number>} perDay Article count by YYYY-MM-DD date
+ * @returns {Promise<void>}
+ */
+async function archiveSeries(feed, text, perDay) {
+    const items = Object.entries(perDay).flatMap(([date, count]) => Array.from({ length: count }, (_, n) => ({
+        title: `${text} story ${n + 1}`,
+        link: `https://news.example.com/${feed.id}/${date}/${slugOf(text)}-${n}`,
+        description: 'Details.',
+        pubDate: `${date}T17:00:00Z`
+    })));
+    await articleArchive.recordItems(feed, items);
+}
+
+const slugOf = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    await trends.addEntity({ label: 'CTV', type: 'topic', aliases: ['Connected TV'] });
+    await trends.addEntity({ label: 'Netflix', type: 'company' });
+    await archiveSeries({ id: 'adweek', name: 'AdWeek', section: 'ad-tech-feed' }, 'Connected TV', {
+        '2026-03-01': 1, '2026-03-02': 1, '2026-03-03': 1, '2026-03-04': 1, '2026-03-05': 1, '2026-03-06': 1, '2026-03-07': 1,
+        '2026-03-08': 3
+    });
+    await archiveSeries({ id: 'digiday', name: 'Digiday', section: 'core-marketing-feed' }, 'Netflix', {
+        '2026-03-02': 4, '2026-03-04': 4, '2026-03-06': 4,
+        '2026-03-08': 5
+    });
+});
+
+after(() => {
+    mock.timers.reset();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('matches labels and aliases as whole words, honoring case sensitivity and disabled entities', () => {
+    const match = trends.compileEntities([
+        { id: 'ctv', label: 'CTV', aliases: ['Connected TV'] },
+        { id: 'x', label: 'X', caseSensitive: true },
+        { id: 'meta', label: 'Meta', enabled: false }
+    ]);
+    assert.deepEqual(match({ title: 'Connected TV ad prices', description: '' }), ['ctv']);
+    assert.deepEqual(match({ title: 'ctv', description: 'X changes its API' }), ['ctv', 'x']);
+    assert.deepEqual(match({ title: 'CTVs, xbox and metadata', description: 'Meta' }), []);
+    assert.deepEqual(match({ title: 'ÉCTV', description: '' }), [], 'letters outside ASCII are word characters too');
+});
+
+test('validates entities and trend queries', async () => {
+    await assert.rejects(trends.addEntity({ label: 'Nobody', type: 'person' }), { statusCode: 400 });
+    await assert.rejects(trends.addEntity({ label: 'Too many', type: 'topic', aliases: Array(51).fill('a') }), { statusCode: 400 });
+    await assert.rejects(trends.addEntity({ type: 'topic' }), { statusCode: 400 });
+    await assert.rejects(trends.updateEntity('missing', { enabled: false }), { statusCode: 404 });
+
+    assert.deepEqual(trends.parseTrendQuery({ days: '500', limit: '0' }),
+        { days: 90, type: undefined, entity: undefined, section: undefined, source: undefined, limit: 20 });
+    assert.equal(trends.parseTrendQuery({ days: '-3' }).days, 1);
+    assert.throws(() => trends.parseTrendQuery({ type: 'person' }), { statusCode: 400 });
+});
+
+test('counts mentions per Eastern Time calendar day without skipping the daylight saving day', async () => {
+    const report = await trends.getTrendReport({ days: 3 });
+    assert.deepEqual(report.dates, ['2026-03-07', '2026-03-08', '2026-03-09']);
+    assert.equal(report.articleCount, 9);
+    assert.deepEqual(report.entities.map(item => [item.id, item.total, item.daily]), [
+        ['netflix', 5, [0, 5, 0]],
+        ['ctv', 4, [1, 3, 0]]
+    ]);
+    assert.deepEqual(report.entities[1].bySource, { AdWeek: 4 });
+    assert.deepEqual(report.entities[1].bySection, { 'ad-tech-feed': 4 });
+
+    const filtered = await trends.getTrendReport({ days: 3, section: 'ad-tech-feed' });
+    assert.deepEqual(filtered.entities.map(item => item.id), ['ctv']);
+    await assert.rejects(trends.getTrendReport({ entity: 'missing' }), { statusCode: 404 });
+});
+
+test('flags a spike only when a day exceeds the last week by two standard deviations', async () => {
+    const { spikes, entities } = await trends.getTrendReport({ days: 3 });
+    // CTV: 3 mentions after a steady week of 1 a day. Netflix: 5 after a week of 0 and 4 (mean 1.7, deviation 2),
+    // at least double the mean but below mean + 2σ (5.7)
+    assert.deepEqual(spikes, [{ entity: 'ctv', label: 'CTV', type: 'topic', date: '2026-03-08', count: 3, baseline: 1 }]);
+    assert.deepEqual(entities.find(item => item.id === 'netflix').spikes, []);
+});